@@ -5,13 +5,24 @@
  * Environment variables required:
  *  - DISCORD_TOKEN
  *  - RANDOMORG_API_KEY
+ *  - RNG_PROVIDERS (optional, default "randomorg-signed,randomorg,local")
+ *  - RANDOMORG_ENDPOINT (optional, e.g. the local JSON-RPC stub scripts/randomorg-stub.js for testing)
  *  - PORT (optional, default 3000)
+ *  - DISCORD_GUILD_ID (optional, register slash commands in this guild only)
+ *  - ADMIN_TOKEN (optional, bearer token with the admin role for the web API)
+ *  - DISCORD_CLIENT_ID, DISCORD_CLIENT_SECRET, OAUTH_REDIRECT_URI (optional, Discord login for the web UI)
+ *  - COOKIE_SECURE (optional, "true" when the web UI is served over https)
+ *  - STORAGE_DRIVER (optional, "sqlite" (default) or "json" for the legacy files)
+ *  - DATA_DIR, SQLITE_FILE (optional, default ./data and ./data/giveaways.db)
+ *  - PUBLIC_URL (optional, e.g. https://giveaways.example.com; result embeds link to the public results page)
+ *  - LOG_LEVEL (optional, "debug", "info" (default), "warn" or "error"; logs are JSON lines)
+ *  - WEBHOOK_ALLOW_PRIVATE (optional, "true" lets webhooks reach localhost and private networks, e.g. scripts/webhook-receiver.js)
  *
  * NOTE: This is a starting implementation. Tune validations, error handling,
  * database persistence, rate-limits, and security for production.
  */
 
-import fs from "fs-extra";
+import crypto from "crypto";
 import express from "express";
 import bodyParser from "body-parser";
 import { fileURLToPath } from "url";
@@ -24,22 +35,74 @@ import {
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
+  StringSelectMenuBuilder,
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
   ComponentType,
   EmbedBuilder,
-  PermissionsBitField
+  PermissionsBitField,
+  Status
 } from "discord.js";
+import { createScheduler } from "./src/scheduler.js";
+import { createRngChain, createRandomOrgClient, providersFromList, verifyRandomOrgSignature, DEFAULT_CHAIN, RANDOMORG_ENDPOINT } from "./src/rng.js";
+import { openStorage } from "./src/storage/index.js";
+import { createWallet, userAccount, escrowAccount, houseAccount, HOUSE, MINT, InsufficientFundsError } from "./src/wallet.js";
+import { createPayouts } from "./src/payouts.js";
+import { createAuth, roleIn, globalRole, visibleGuildIds } from "./src/auth.js";
+import { createConfigStore, deepMerge, diffConfig, validateConfig, validateEmbedTemplate, validateGuildOverrides, ConfigValidationError, CONFIG_SCHEMA } from "./src/config.js";
+import { commandDefinitions, parseDuration, parseTiers, parseStartTime, formatDuration, SUBCOMMAND_PERMISSIONS, MIN_DURATION_MS, MAX_DURATION_MS } from "./src/commands.js";
+import { normalizeTiers, winnerCount, winnersOf, rankEntries, assignPrizes, placeLabel, doubleDown, doubleDownSettings, doubleDownOdds, DOUBLE_DOWN_DEFAULTS, entryOdds, basePayout } from "./src/engine.js";
+import { createAuditLog } from "./src/audit.js";
+import { normalizeSimulation, simulateEconomy } from "./src/simulate.js";
+import { normalizeSchedule, nextRun, minGapMs, describeSchedule } from "./src/series.js";
+import { exportJson, exportCsv, readImportedGiveaway, lifecycleStatus, giveawayReport, entryReport, EXPORT_FORMAT } from "./src/export.js";
+import { createWebhooks, normalizeWebhook, publicWebhook, WEBHOOK_EVENTS } from "./src/webhooks.js";
+import { normalizeRules, checkEntry, checkStake, recordRejection, describeRules, memberRoleIds, memberJoinedAt } from "./src/eligibility.js";
+import { gameMode, parseNumbers, hasNumbers, entryPicks, MODE_NAMES, DEFAULT_MODE } from "./src/modes.js";
+import { publicGiveaway } from "./src/results.js";
+import { resolveTemplate, templateVars, fillTemplate } from "./src/templates.js";
+import { createLogger } from "./src/log.js";
+import { createMetrics } from "./src/metrics.js";
+import { createCommitment, fairRoll, revealServerSeed, revealDoubleDownSeed, redactFair, verifyGiveaway } from "./src/fair.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// ---------- Config / Data files ----------
-const DATA_DIR = path.join(__dirname, "data");
-await fs.ensureDir(DATA_DIR);
-const GIVE_FILE = path.join(DATA_DIR, "giveaways.json");
-const CONFIG_FILE = path.join(DATA_DIR, "config.json");
+// ---------- Logging and metrics ----------
+// Interaction handlers and giveaway jobs log inside withContext({ giveawayId }),
+// so every line they lead to carries the giveaway's ID.
+const log = createLogger({ level: process.env.LOG_LEVEL || "info" });
+
+// Served at GET /metrics; the gauges read from storage are set in its onScrape hook
+const metrics = createMetrics();
+const counters = {
+  entries: metrics.counter("giveaway_entries_added_total", "Entries added to giveaways"),
+  rngFailures: metrics.counter("giveaway_rng_failures_total", "Failed calls to a randomness provider", ["provider"]),
+  rollsFailed: metrics.counter("giveaway_rolls_failed_total", "Rolls no provider could make", ["purpose"]),
+  discordFailures: metrics.counter("giveaway_discord_failures_total", "Failed Discord message operations", ["operation", "reason"]),
+  interactionErrors: metrics.counter("giveaway_interaction_errors_total", "Interactions whose handler threw"),
+  payouts: metrics.counter("giveaway_payouts_c_total", "Payouts released to winners, in c"),
+  clawbacks: metrics.counter("giveaway_payouts_clawed_back_c_total", "Payouts taken back from winners for a reroll, in c")
+};
+const rngDuration = metrics.histogram("giveaway_rng_duration_seconds", "Time a randomness provider took to answer", ["provider", "outcome"]);
+const gauges = {
+  giveaways: metrics.gauge("giveaway_giveaways", "Giveaways by lifecycle status", ["status"]),
+  activeEntries: metrics.gauge("giveaway_active_entries", "Entries in running giveaways"),
+  activePot: metrics.gauge("giveaway_active_pot_c", "Sum of the pots of running giveaways, in c"),
+  carriedPot: metrics.gauge("giveaway_series_carried_pot_c", "Pot waiting to roll over into the next run of active series, in c"),
+  discordReady: metrics.gauge("giveaway_discord_ready", "1 while the Discord gateway connection is ready"),
+  storageUp: metrics.gauge("giveaway_storage_up", "1 while storage answers reads")
+};
+
+// ---------- Storage ----------
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const storage = await openStorage({
+  driver: process.env.STORAGE_DRIVER || "sqlite",
+  dataDir: DATA_DIR,
+  sqliteFile: process.env.SQLITE_FILE,
+  logger: log
+});
 
 // default config if not exists
 const defaultConfig = {
@@ -49,596 +112,2427 @@ const defaultConfig = {
   riskProfiles: {
     low: { potSharePercent: 30 },   // give 30% of pot to winner if choose low risk
     high: { potSharePercent: 70 }   // give 70% if high risk
-  }
+  },
+  startingBalanceC: 100, // coins credited to a member's wallet the first time they use it
+  doubleDown: { ...DOUBLE_DOWN_DEFAULTS } // first place's Double Down ladder, see src/engine.js
 };
 
-if (!(await fs.pathExists(CONFIG_FILE))) {
-  await fs.writeJson(CONFIG_FILE, defaultConfig, { spaces: 2 });
-}
-if (!(await fs.pathExists(GIVE_FILE))) {
-  await fs.writeJson(GIVE_FILE, { giveaways: [] }, { spaces: 2 });
-}
+// append-only record of everything that happens to a giveaway
+const audit = createAuditLog({ storage, logger: log });
 
-// helper to read/write
-const readData = async (file) => JSON.parse(await fs.readFile(file, "utf8"));
-const writeData = async (file, obj) => await fs.writeFile(file, JSON.stringify(obj, null, 2));
+// versioned config; the first run records the existing config.json as v1
+const configStore = createConfigStore({ storage, defaults: defaultConfig, logger: log });
+await configStore.init();
 
-// ---------- Random.org helper ----------
+// ---------- Wallets ----------
+const wallet = createWallet({
+  storage,
+  startingBalance: async () => (await storage.getValue("config")).startingBalanceC ?? 0
+});
+await wallet.init();
+
+// settling stakes, payouts, and taking them back (src/payouts.js)
+const { settleStakes, releasePayout, payAwaitingHouse, clawBackPayout, refundStakes, refundGiveawayStakes } =
+  createPayouts({ storage, wallet, audit, counters, logger: log });
+
+// ---------- Randomness ----------
 const RANDOMORG_API_KEY = process.env.RANDOMORG_API_KEY;
-if (!RANDOMORG_API_KEY) {
-  console.warn("Warning: RANDOMORG_API_KEY not set. Random.org requests will fail.");
-}
-
-async function randomOrgInteger(min = 0, max = 100) {
-  if (!RANDOMORG_API_KEY) throw new Error("No RANDOMORG_API_KEY");
-  // Random.org JSON-RPC endpoint
-  const body = {
-    jsonrpc: "2.0",
-    method: "generateIntegers",
-    params: {
-      apiKey: RANDOMORG_API_KEY,
-      n: 1,
-      min,
-      max,
-      replacement: true
-    },
-    id: Date.now()
-  };
-  const res = await fetch("https://api.random.org/json-rpc/4/invoke", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body)
-  });
-  const j = await res.json();
-  if (j.error) throw new Error("Random.org error: " + JSON.stringify(j.error));
-  return j.result.random.data[0];
+const RNG_PROVIDERS = process.env.RNG_PROVIDERS || DEFAULT_CHAIN;
+if (!RANDOMORG_API_KEY && /randomorg/.test(RNG_PROVIDERS)) {
+  log.warn("Warning: RANDOMORG_API_KEY not set. Random.org providers will be skipped.");
+}
+const RANDOMORG_URL = process.env.RANDOMORG_ENDPOINT || RANDOMORG_ENDPOINT;
+// whole number from the environment, or the default when unset or invalid
+const envInt = (name, def) => (/^\d+$/.test(process.env[name] ?? "") ? Number(process.env[name]) : def);
+const randomOrg = createRandomOrgClient({
+  apiKey: RANDOMORG_API_KEY,
+  endpoint: RANDOMORG_URL,
+  timeoutMs: envInt("RANDOMORG_TIMEOUT_MS", 5000),
+  retries: envInt("RANDOMORG_RETRIES", 2),
+  lowBits: envInt("RANDOMORG_LOW_BITS", 5000),
+  lowRequests: envInt("RANDOMORG_LOW_REQUESTS", 50),
+  logger: log
+});
+const rng = createRngChain(providersFromList(RNG_PROVIDERS, { client: randomOrg, endpoint: RANDOMORG_URL }), {
+  logger: log,
+  observe({ provider, ok, seconds }) {
+    rngDuration.observe({ provider, outcome: ok ? "ok" : "error" }, seconds);
+    if (!ok) counters.rngFailures.inc({ provider });
+  }
+});
+
+// Keep the known Random.org allowance current for the dashboard. Allowances
+// reset daily; a refresh is also what lets a used-up key be tried again.
+const USAGE_REFRESH_MS = 10 * 60 * 1000;
+async function refreshRandomOrgUsage() {
+  if (!RANDOMORG_API_KEY || !/randomorg/.test(RNG_PROVIDERS)) return randomOrg.usage();
+  try {
+    return await randomOrg.refreshUsage();
+  } catch (e) {
+    log.warn("Random.org usage check failed:", e.message);
+    return randomOrg.usage();
+  }
+}
+refreshRandomOrgUsage();
+setInterval(refreshRandomOrgUsage, USAGE_REFRESH_MS).unref();
+
+// Roll an integer for a giveaway and record which provider produced it.
+// Provably-fair giveaways derive every roll from their committed seeds instead.
+async function rollFor(g, purpose, min, max) {
+  let rec;
+  try {
+    rec = g.fair?.enabled ? fairRoll(g, purpose, min, max) : await rng.integer(min, max);
+  } catch (e) {
+    counters.rollsFailed.inc({ purpose });
+    await audit.record("rng.failed", { giveawayId: g.id, data: { purpose, min, max, message: e.message, failures: e.failures } });
+    throw e;
+  }
+  g.rolls = g.rolls || [];
+  g.rolls.push({ purpose, ...rec });
+  await audit.record("rng.roll", { giveawayId: g.id, data: { purpose, ...rec } });
+  return rec.value;
 }
 
 // ---------- Discord client ----------
 const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
 if (!DISCORD_TOKEN) {
-  console.error("DISCORD_TOKEN missing - set environment variable");
+  log.error("DISCORD_TOKEN missing - set environment variable");
   process.exit(1);
 }
 
 const client = new Client({
-  intents: [ GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent ],
+  intents: [ GatewayIntentBits.Guilds ],
   partials: [ Partials.Channel ]
 });
 
-client.once(Events.ClientReady, () => {
-  console.log("Discord client ready as", client.user.tag);
+client.once(Events.ClientReady, async () => {
+  log.info("Discord client ready", { user: client.user.tag, guilds: client.guilds.cache.size });
+  // register slash commands (per guild when DISCORD_GUILD_ID is set: updates instantly)
+  try {
+    const target = process.env.DISCORD_GUILD_ID ? await client.guilds.fetch(process.env.DISCORD_GUILD_ID) : client.application;
+    await target.commands.set(commandDefinitions);
+  } catch (e) {
+    log.error("Failed to register slash commands:", e);
+  }
+  // rebuild timers from persisted state and catch up on anything that came due while offline
+  const giveaways = await storage.list("giveaways");
+  const series = await storage.list("series");
+  const deliveries = await storage.list("webhookDeliveries", { where: { status: "pending" } });
+  const { scheduled, caughtUp } = await scheduler.restore([...jobsFromGiveaways(giveaways), ...jobsFromSeries(series), ...jobsFromDeliveries(deliveries)]);
+  log.info("Scheduler restored", { scheduled, caughtUp });
 });
 
-// Utility: save giveaway list
-async function saveGiveaways(obj) {
-  await writeData(GIVE_FILE, obj);
+// Effective config: the global one, with a guild's overrides when given
+async function loadConfig(guildId = null) {
+  if (!guildId) return storage.getValue("config");
+  return (await configStore.forGuild(guildId).current()).config;
 }
-async function loadGiveaways() {
-  return readData(GIVE_FILE);
+
+// Economics a giveaway runs under: its snapshot, or its guild's current config
+// for giveaways created before snapshots
+async function configFor(g) {
+  return g.config ?? loadConfig(g.guildId);
 }
-async function loadConfig() {
-  return readData(CONFIG_FILE);
+
+// ---------- Scheduler ----------
+const scheduler = createScheduler({ logger: log });
+// giveaway jobs log with the giveaway's ID (see withContext in src/log.js)
+const forGiveaway = (job) => (gid) => log.withContext({ giveawayId: gid, job: job.name }, () => job(gid));
+scheduler.define("giveaway.end", forGiveaway(resolveGiveaway));
+scheduler.define("giveaway.resolve", forGiveaway(resumeResolution));
+scheduler.define("doubledown.expire", forGiveaway(expireDoubleDown));
+scheduler.define("series.run", (sid) => runSeries(sid));
+scheduler.define("webhook.deliver", (id) => webhooks.deliver(id));
+
+// outbound webhooks; retries are scheduler jobs like everything else
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+const webhooks = createWebhooks({ storage, schedule: (id, runAt) => scheduler.schedule("webhook.deliver", id, runAt), allowPrivate: WEBHOOK_ALLOW_PRIVATE, logger: log });
+
+// Jobs implied by stored giveaway state
+function jobsFromGiveaways(giveaways) {
+  const jobs = [];
+  for (const g of giveaways) {
+    if (!g.ended) jobs.push({ type: "giveaway.end", id: g.id, runAt: g.endsAt });
+    else if (g.pendingResolution) jobs.push({ type: "giveaway.resolve", id: g.id, runAt: g.pendingResolution.nextAttemptAt });
+    else if (g.doubleDown && g.doubleDown.state === "pending") jobs.push({ type: "doubledown.expire", id: g.id, runAt: g.doubleDown.deadline });
+  }
+  return jobs;
+}
+
+function jobsFromSeries(series) {
+  return series.filter(s => s.active && s.nextRunAt).map(s => ({ type: "series.run", id: s.id, runAt: s.nextRunAt }));
+}
+
+function jobsFromDeliveries(deliveries) {
+  return deliveries.map(d => ({ type: "webhook.deliver", id: d.id, runAt: d.nextAttemptAt ?? Date.now() }));
+}
+
+// Send a giveaway lifecycle event to the webhooks, with the giveaway as exported
+async function notifyGiveaway(event, g, extra = {}) {
+  const cfg = await configFor(g);
+  await webhooks.emit(event, { ...extra, giveaway: giveawayReport(g, cfg) }, { guildId: g.guildId ?? null });
+}
+
+// giveaway.resolved or giveaway.failed after winners were (re)decided; nothing
+// while the resolution waits in the queue
+async function notifyResult(g, trigger) {
+  if (g.pendingResolution) return;
+  return g.result?.error
+    ? notifyGiveaway("giveaway.failed", g, { trigger, error: g.result.error, message: g.result.message ?? null })
+    : notifyGiveaway("giveaway.resolved", g, { trigger });
+}
+
+// ---------- Giveaway message ----------
+// The giveaway's channel message is always rendered whole from the stored
+// giveaway (renderGiveawayMessage), in every state from running to refunded,
+// with its template: the defaults, its guild's `embed` config as it is now and
+// its own `embed` (src/templates.js). Payout figures come from the config
+// snapshot; the look follows the guild's current template, so a resync picks
+// up template changes.
+
+async function templateFor(g) {
+  return resolveTemplate((await loadConfig(g.guildId ?? null))?.embed, g.embed);
+}
+
+// Discord limits: an empty title/description/footer is left out rather than rejected
+const fit = (text, max) => (text ? text.slice(0, max) : null);
+
+// Title, description, colour, images, footer and the info fields of the giveaway
+function giveawayEmbed(g, t) {
+  const mode = gameMode(g.mode);
+  const vars = templateVars(g, { modeLabel: mode.label });
+  const fill = (text) => fillTemplate(text, vars);
+  const footer = [fill(t.footer), g.fair?.enabled ? `Provably fair, seed hash: ${g.fair.serverSeedHash}` : null].filter(Boolean).join(" • ");
+  const embed = new EmbedBuilder()
+    .setTitle(fit(fill(t.title), 256) ?? "🎉 Giveaway")
+    .setDescription(fit(fill(t.description), 4096))
+    .setFooter(footer ? { text: fit(footer, 2048) } : null);
+  if (t.color) embed.setColor(t.color);
+  if (t.image) embed.setImage(t.image);
+  if (t.thumbnail) embed.setThumbnail(t.thumbnail);
+  if (mode.name !== DEFAULT_MODE) embed.addFields({ name: fill(t.strings.game), value: mode.description });
+  if ((g.winnerCount ?? 1) > 1) embed.addFields({ name: fill(t.strings.prizeTiers), value: tiersText(g.tiers) });
+  if (g.series?.rolloverInC) embed.addFields({ name: fill(t.strings.rolledOver), value: `${g.series.rolloverInC}c of the pot is left over from the previous giveaway in this series.` });
+  const rules = describeRules(g.eligibility);
+  if (rules) embed.addFields({ name: fill(t.strings.whoCanJoin), value: rules });
+  return embed;
 }
-async function saveConfig(cfg) {
-  return writeData(CONFIG_FILE, cfg);
+
+// { content, embeds, components } of the giveaway message as things stand
+function renderGiveawayMessage(g, cfg, t) {
+  const s = t.strings;
+  const fill = (text) => fillTemplate(text, templateVars(g, { modeLabel: gameMode(g.mode).label }));
+  const embed = giveawayEmbed(g, t);
+  const view = (content, embeds, components = []) => ({ content, embeds, components });
+  if (!g.ended) return view(null, [embed], [giveawayButtons(g.id, t)]);
+  if (g.cancelled) return view(null, [embed.setDescription(fit(fill(s.cancelled), 4096))], [giveawayButtons(g.id, t, { disabled: true })]);
+  if (g.refund) return view(null, [embed.setDescription(fit(fill(s.refunded), 4096))]);
+  if (g.pendingResolution) return view(fill(s.pending), [embed]);
+  if (g.result?.error) return view(fill(s.failed), [embed]);
+
+  const roll = fill(g.roll != null ? s.roll : s.drawnAtRandom);
+  const winners = winnersOf(g);
+  if (!winners.length) {
+    return view(null, [embed.setDescription(fit(`${embed.data.description ?? ""}\n\n${roll}\n${fill(s.noWinners)}${fairRevealText(g)}${resultsLinkText(g, t)}`, 4096))]);
+  }
+
+  // the winners, with the Double Down offer for first place or its outcome
+  const w = winners[0];
+  const description = (g.winnerCount ?? 1) === 1
+    ? `${roll}\n${s.winner}: <@${w.userId}> (${w.username})\n${s.payout}: **${w.payoutC}c** (${(w.payoutC * cfg.conversionRateUSDPerC).toFixed(2)}$)\n\n${s.baseWin}: ${w.baseWinC}c\n${s.potShare}: ${w.potShareC}c`
+    : `${roll}\n\n${winners.map(x => winnerLine(x, cfg)).join("\n")}`;
+  const result = new EmbedBuilder()
+    .setTitle(fit(fill(t.resultTitle), 256) ?? "🎉 Giveaway Result")
+    .setDescription(fit(description + fairRevealText(g) + resultsLinkText(g, t) + doubleDownText(g) + (g.ledger?.awaitingHouseC != null ? "\n\nPayouts are on hold until the house has the coins to pay them." : ""), 4096));
+  if (t.color) result.setColor(t.color);
+  if (t.image) result.setImage(t.image);
+  if (t.thumbnail) result.setThumbnail(t.thumbnail);
+  const dd = g.doubleDown;
+  if (dd?.state === "pending") {
+    const offer = doubleDownOffer(g, cfg);
+    return view(null, [result.setFooter({ text: offer.footer })], [offer.row]);
+  }
+  if (dd) {
+    const rounds = doubleDownRounds(dd);
+    const final = { no: "No", yes_win: rounds.length < (dd.maxRounds ?? 1) ? "Cashed out" : "Win", yes_lose: "Lose" }[dd.state] ?? dd.state;
+    result.setFooter({ text: `Double Down: ${final}${dd.auto ? " (auto)" : ""}` });
+  }
+  return view(null, [result]);
 }
 
-// Create giveaway embed + Join button
-function buildGiveawayEmbed(g) {
-  return new EmbedBuilder()
-    .setTitle(g.title || "🎉 Giveaway")
-    .setDescription(`Prize: ${g.prize || "Unknown"}\nPot: ${g.pot}c\nEnds: <t:${Math.floor(g.endsAt/1000)}:R>`)
-    .setFooter({ text: `Giveaway ID: ${g.id}` });
+// One line per tier: "2nd-5th: 4 winners share 20% of the pot"
+function tiersText(tiers) {
+  let place = 1;
+  return tiers.map(t => {
+    const places = placeLabel(place, place + t.winners - 1);
+    place += t.winners;
+    const who = t.winners === 1 ? "" : ` (${t.winners} winners share)`;
+    return `${t.name === places ? places : `${t.name} — ${places}`}: ${t.potPercent}% of the pot${who}`;
+  }).join("\n");
+}
+
+// The giveaway's public results page, when PUBLIC_URL says where the web UI is reachable
+const PUBLIC_URL = (process.env.PUBLIC_URL || "").replace(/\/+$/, "");
+const resultsUrl = (g) => (PUBLIC_URL ? `${PUBLIC_URL}/g/${encodeURIComponent(g.id)}` : null);
+function resultsLinkText(g, t) {
+  const url = resultsUrl(g);
+  return url ? `\n\n[${t.strings.resultsLink}](${url})` : "";
+}
+
+// Seed reveal line for result embeds of provably-fair giveaways
+function fairRevealText(g) {
+  if (!g.fair?.revealedAt) return "";
+  return `\n\nServer seed: \`${g.fair.serverSeed}\`\nClient seed: \`${g.fair.clientSeedUsed}\``;
+}
+
+// ManageGuild, Administrator, or the guild's configured admin role
+async function canManage(interaction) {
+  const permissions = interaction.memberPermissions;
+  if (permissions && (permissions.has(PermissionsBitField.Flags.Administrator) || permissions.has(PermissionsBitField.Flags.ManageGuild))) return true;
+  if (!interaction.guildId) return false;
+  const { adminRoleId } = await loadConfig(interaction.guildId);
+  return !!adminRoleId && memberRoleIds(interaction.member).includes(adminRoleId);
 }
 
 // Button customIds must be unique-ish per giveaway
 function joinButtonId(gid) { return `join:${gid}` }
 function forceEndButtonId(gid) { return `forceend:${gid}` }
+function myEntriesButtonId(gid) { return `mine:${gid}` }
 
-// When giveaway ends: determine winner(s)
-async function resolveGiveaway(gid) {
-  const data = await loadGiveaways();
-  const g = data.giveaways.find(x => x.id === gid);
-  if (!g || g.ended) return;
-  g.ended = true;
-  // request random.org roll 0-100
-  let roll;
+// Join + My entries + Force End row, labelled by the template `t`; disabled once the giveaway is cancelled
+function giveawayButtons(gid, t, { disabled = false } = {}) {
+  const label = (text, fallback) => fit(text, 80) ?? fallback;
+  const joinBtn = new ButtonBuilder().setCustomId(joinButtonId(gid)).setLabel(label(t.strings.join, "Join")).setStyle(ButtonStyle.Primary).setDisabled(disabled);
+  const mineBtn = new ButtonBuilder().setCustomId(myEntriesButtonId(gid)).setLabel(label(t.strings.myEntries, "My entries")).setStyle(ButtonStyle.Secondary).setDisabled(disabled);
+  const forceBtn = new ButtonBuilder().setCustomId(forceEndButtonId(gid)).setLabel(label(t.strings.forceEnd, "Force End")).setStyle(ButtonStyle.Danger).setDisabled(disabled);
+  return new ActionRowBuilder().addComponents(joinBtn, mineBtn, forceBtn);
+}
+
+// Fetch the giveaway's Discord message
+async function fetchGiveawayMessage(g) {
+  const ch = await client.channels.fetch(g.channelId);
+  return ch.messages.fetch(g.messageId);
+}
+
+// Discord error codes for a channel or message that no longer exists
+const GONE_CODES = new Set([10003, 10008]);
+
+// Show the giveaway's current state on its message. When the message was
+// deleted, a running giveaway (or any, with `repostIfGone`) is posted again,
+// so members are never left without a Join button. Returns { messageId,
+// reposted? } or { error }; never throws.
+async function syncGiveawayMessage(g, cfg = null, { repostIfGone = !g.ended, by = "system" } = {}) {
+  const view = renderGiveawayMessage(g, cfg ?? await configFor(g), await templateFor(g));
+  if (g.messageId) {
+    try {
+      const msg = await fetchGiveawayMessage(g);
+      await msg.edit(view);
+      return { messageId: msg.id };
+    } catch (e) {
+      const gone = GONE_CODES.has(e.code);
+      counters.discordFailures.inc({ operation: "edit", reason: gone ? "gone" : "error" });
+      if (!gone) {
+        log.error("Could not update the giveaway message:", e, { giveawayId: g.id, messageId: g.messageId });
+        return { error: e.message };
+      }
+    }
+  }
+  if (!repostIfGone) {
+    log.warn("The giveaway message is gone; /giveaway resync posts it again.", { giveawayId: g.id, messageId: g.messageId });
+    return { error: "The giveaway's message no longer exists." };
+  }
+  return repostGiveawayMessage(g, view, { by });
+}
+
+// Post the message again in the giveaway's channel and point the giveaway at
+// it; the old message is deleted if it is still there
+async function repostGiveawayMessage(g, view, { by = "system" } = {}) {
+  let ch;
+  let msg;
   try {
-    roll = await randomOrgInteger(0, 100);
+    ch = await client.channels.fetch(g.channelId);
+    msg = await ch.send(view);
   } catch (e) {
-    console.error("Random.org roll failed:", e);
-    g.result = { error: "random.org failed", message: e.message };
-    await saveGiveaways(data);
-    // update message to indicate error
+    counters.discordFailures.inc({ operation: "post", reason: GONE_CODES.has(e.code) ? "gone" : "error" });
+    log.error("Could not repost the giveaway message:", e, { giveawayId: g.id, channelId: g.channelId });
+    return { error: `Could not post in the giveaway's channel: ${e.message}` };
+  }
+  const previous = g.messageId;
+  await storage.update("giveaways", g.id, (x) => { x.messageId = msg.id; });
+  g.messageId = msg.id;
+  if (previous) {
     try {
-      const ch = await client.channels.fetch(g.channelId);
-      const msg = await ch.messages.fetch(g.messageId);
-      await msg.edit({ content: "⚠️ Error when resolving giveaway: random.org failed.", embeds: [buildGiveawayEmbed(g)] });
-    } catch(e){}
-    return;
+      await (await ch.messages.fetch(previous)).delete();
+    } catch (e) {
+      // usually already deleted, which is why it was reposted
+      log.debug("Old giveaway message not deleted:", e.message, { giveawayId: g.id, messageId: previous });
+    }
   }
+  await audit.record("giveaway.reposted", { giveawayId: g.id, guildId: g.guildId ?? null, actor: by, data: { previousMessageId: previous ?? null, messageId: msg.id } });
+  return { messageId: msg.id, reposted: true };
+}
 
-  g.roll = roll;
-  // Evaluate winners: criteria: entry chose under/over and match condition:
-  // under: roll <= main ; over: roll >= main
-  const winnersCandidates = g.entries.filter(entry => {
-    if (entry.choice === "under") return roll <= entry.main;
-    if (entry.choice === "over") return roll >= entry.main;
-    return false;
+// Re-render the giveaway's message from stored state, or with `repost` post it anew
+async function resyncGiveaway(gid, { repost = false, by }) {
+  const g = await storage.get("giveaways", gid);
+  if (!g) return { error: "Giveaway not found." };
+  if (g.imported) return { error: "Imported giveaways have no message of their own." };
+  const out = repost
+    ? await repostGiveawayMessage(g, renderGiveawayMessage(g, await configFor(g), await templateFor(g)), { by })
+    : await syncGiveawayMessage(g, null, { repostIfGone: true, by });
+  if (!out.error) await audit.record("giveaway.resynced", { giveawayId: gid, guildId: g.guildId ?? null, actor: by, data: { repost, ...out } });
+  return out;
+}
+
+// When giveaway ends: determine winner(s). Runs under the giveaway's storage
+// lock, so no entry can be added while the rolls are taken.
+async function resolveGiveaway(gid) {
+  let cfg;
+  const g = await storage.update("giveaways", gid, async (g) => {
+    if (g.ended) return null;
+    g.ended = true;
+    await audit.record("giveaway.ended", { giveawayId: gid, data: { entries: g.entries.length, pot: g.pot, lateBy: Math.max(0, Date.now() - g.endsAt) } });
+    // economics are those the giveaway was created under
+    cfg = await configFor(g);
+    await settleGiveaway(g, cfg);
+    await settleStakes(g);
+    await rollOverPot(g);
+    return g;
   });
+  if (!g) return;
+  await publishResolution(g, cfg, "end");
+}
+
+// After settleGiveaway: arm the follow-up jobs, show the result and send it out
+async function publishResolution(g, cfg, trigger) {
+  if (g.pendingResolution) scheduler.schedule("giveaway.resolve", g.id, g.pendingResolution.nextAttemptAt);
+  else scheduler.cancel("giveaway.resolve", g.id);
+  if (g.doubleDown?.state === "pending") scheduler.schedule("doubledown.expire", g.id, g.doubleDown.deadline);
+  await syncGiveawayMessage(g, cfg);
+  await notifyResult(g, trigger);
+}
+
+// Roll and rank the winners, filling in g.roll / g.winner / g.result / g.doubleDown,
+// or queueing the giveaway (g.pendingResolution) when no roll can be had yet
+async function settleGiveaway(g, cfg) {
+  const queued = g.pendingResolution;
+  delete g.pendingResolution;
+  const mode = gameMode(g.mode);
+  // main roll 0-100; a raffle draws its winners with tiebreak picks only
+  let roll = null;
+  if (mode.usesRoll) {
+    try {
+      roll = await rollFor(g, "main", 0, 100);
+    } catch (e) {
+      return deferResolution(g, e, queued);
+    }
+  }
+  g.roll = roll;
+
+  const tiers = g.tiers ?? normalizeTiers({}).tiers;
+  let ranking;
+  try {
+    ranking = await rankEntries(g.entries, roll, winnerCount(tiers), (n) => rollFor(g, "tiebreak", 0, n - 1), { excludedUserIds: g.excludedUserIds, mode });
+  } catch (e) {
+    return deferResolution(g, e, queued);
+  }
 
   // If none, no winners
-  if (winnersCandidates.length === 0) {
-    g.winner = null;
+  if (!ranking.ranked.length) {
+    await audit.record("winners.selected", { giveawayId: g.id, data: { roll, qualified: ranking.qualified, winners: [] } });
+    g.winner = [];
     g.result = { roll, note: "No winners" };
-    await saveGiveaways(data);
-    // Notify channel
-    try {
-      const ch = await client.channels.fetch(g.channelId);
-      const msg = await ch.messages.fetch(g.messageId);
-      const embed = buildGiveawayEmbed(g).setDescription(`${buildGiveawayEmbed(g).data.description}\n\nResult roll: **${roll}**\nNo winners this round.`);
-      await msg.edit({ embeds: [embed], components: [] });
-    } catch(e){}
+    // nothing left to roll: reveal both seeds
+    revealServerSeed(g);
+    revealDoubleDownSeed(g);
     return;
   }
+  revealServerSeed(g);
 
-  // If multiple winners: handle duplicates by main (tiebreak among identical mains)
-  // Step 1: group winners by main
-  const grouped = {};
-  for (const w of winnersCandidates) {
-    grouped[w.main] = grouped[w.main] || [];
-    grouped[w.main].push(w);
-  }
-
-  // For any group with >1, choose by higher tiebreak; if tiebreak equal then request random.org
-  const resolved = [];
-  for (const key of Object.keys(grouped)) {
-    const arr = grouped[key];
-    if (arr.length === 1) { resolved.push(arr[0]); continue; }
-    // find highest tiebreak
-    arr.sort((a,b) => b.tiebreak - a.tiebreak);
-    const top = arr[0];
-    // if tie on tiebreak
-    const tiedTop = arr.filter(e => e.tiebreak === top.tiebreak);
-    if (tiedTop.length === 1) {
-      resolved.push(top);
-    } else {
-      // request random.org for tiebreak between tiedTop indexes
-      try {
-        const r = await randomOrgInteger(0, tiedTop.length - 1);
-        resolved.push(tiedTop[r]);
-      } catch(e) {
-        // fallback: pick first
-        resolved.push(tiedTop[0]);
-      }
+  const { winners, potShareTotal } = assignPrizes(ranking.ranked, { tiers, pot: g.pot, cfg, mode, entries: g.entries });
+  // the payout inputs, so every amount can be recomputed later
+  await audit.record("winners.selected", { giveawayId: g.id, data: {
+    roll,
+    mode: mode.name,
+    qualified: ranking.qualified,
+    tiebreaks: ranking.ties,
+    excludedUserIds: g.excludedUserIds ?? [],
+    potBefore: g.pot,
+    houseEdge: cfg.houseEdge ?? 0.02,
+    riskProfiles: cfg.riskProfiles,
+    tiers,
+    winners
+  } });
+  g.pot = Math.max(0, g.pot - potShareTotal);
+  g.winner = winners;
+  g.result = { roll, qualifiedCount: ranking.qualified, tiebreaks: ranking.ties };
+
+  // Double Down is offered to first place; no answer by the deadline counts as No
+  const dd = doubleDownSettings(cfg);
+  if (!dd.enabled) {
+    revealDoubleDownSeed(g);
+    return;
+  }
+  g.doubleDown = {
+    state: "pending",
+    deadline: Date.now() + dd.deadlineMinutes * 60 * 1000,
+    winnerId: winners[0].userId,
+    maxRounds: dd.maxRounds,
+    startPayoutC: winners[0].payoutC,
+    potTakenC: 0,
+    rounds: []
+  };
+}
+
+// ---------- Pending resolution ----------
+// When every RNG provider fails, the ended giveaway waits in the queue
+// ("pending_resolution", g.pendingResolution) with its stakes still in escrow,
+// and the giveaway.resolve job settles it again with exponential backoff. After
+// RESOLVE_GIVE_UP_MS in the queue it fails for good and needs a manual retry.
+const RESOLVE_BACKOFF_MS = 30 * 1000;
+const RESOLVE_MAX_DELAY_MS = 60 * 60 * 1000;
+const RESOLVE_GIVE_UP_MS = 24 * 60 * 60 * 1000;
+
+// `queued` is the queue entry from before this attempt, if any
+async function deferResolution(g, e, queued) {
+  // a main roll taken before a tiebreak failed is rolled again next time
+  delete g.roll;
+  const now = Date.now();
+  const since = queued?.since ?? now;
+  const attempts = (queued?.attempts ?? 0) + 1;
+  if (now - since >= RESOLVE_GIVE_UP_MS) {
+    await audit.record("giveaway.resolution_abandoned", { giveawayId: g.id, data: { since, attempts, message: e.message } });
+    return failResolution(g, e);
+  }
+  const nextAttemptAt = now + Math.min(RESOLVE_BACKOFF_MS * 2 ** (attempts - 1), RESOLVE_MAX_DELAY_MS);
+  const lastError = e.failures?.length ? e.failures.map(f => `${f.provider}: ${f.message}`).join("; ") : e.message;
+  g.pendingResolution = { since, attempts, nextAttemptAt, lastError, failures: e.failures ?? [] };
+  log.warn(`No randomness (${e.message}); resolution queued`, { giveawayId: g.id, attempts, nextAttemptAt: new Date(nextAttemptAt).toISOString() });
+  // the individual failures are already on the log as rng.failed
+  await audit.record("giveaway.resolution_deferred", { giveawayId: g.id, data: { attempts, nextAttemptAt, message: e.message } });
+}
+
+// The giveaway.resolve job: settle a queued giveaway again
+async function resumeResolution(gid) {
+  let cfg;
+  const g = await storage.update("giveaways", gid, async (g) => {
+    if (!g.pendingResolution || g.ledger?.refunded) return null;
+    cfg = await configFor(g);
+    await settleGiveaway(g, cfg);
+    await settleStakes(g);
+    await rollOverPot(g);
+    return g;
+  });
+  if (!g) return;
+  await publishResolution(g, cfg, "queue");
+}
+
+// Every RNG provider failed: record the error instead of guessing a winner
+function failResolution(g, e) {
+  log.error("RNG roll failed:", e, { giveawayId: g.id });
+  // the individual failures are already on the log as rng.failed
+  g.result = { error: "rng failed", message: e.message, failures: e.failures };
+}
+
+// "🥇 1st <@id> (name) — 12.5c (7.5$) [Top 3]" for multi-winner results
+function winnerLine(w, cfg) {
+  const medal = ["🥇", "🥈", "🥉"][w.place - 1] ?? "🏅";
+  const tier = w.tier && !/^\d/.test(w.tier) ? ` [${w.tier}]` : "";
+  return `${medal} ${placeLabel(w.place, w.place)} <@${w.userId}> (${w.username}) — **${w.payoutC}c** (${(w.payoutC * cfg.conversionRateUSDPerC).toFixed(2)}$): base ${w.baseWinC}c + pot ${w.potShareC}c${tier}`;
+}
+
+// ---------- Double Down ----------
+// First place may play up to maxRounds rounds; after each won round they go
+// again or cash out. The payout stays held in escrow until the ladder ends
+// (No / cash out, a lost round, the last round, or the deadline), and a fair
+// giveaway's Double Down seed is only revealed then.
+
+// Footer and buttons asking for the next round
+function doubleDownOffer(g, cfg) {
+  const dd = g.doubleDown;
+  const s = doubleDownSettings(cfg);
+  const w = winnersOf(g).find(x => x.userId === dd.winnerId);
+  const played = dd.rounds?.length ?? 0;
+  const maxRounds = dd.maxRounds ?? 1;
+  const reward = [s.winPotPercent ? `+${s.winPotPercent}% of the pot (${g.pot}c)` : null, s.winPayoutMultiplier > 1 ? `payout ×${s.winPayoutMultiplier}` : null].filter(Boolean).join(", ") || "nothing";
+  // a roll of 0 always loses (winAt is at least 1)
+  const ifLost = doubleDown(w, g.pot, 0, s, { startPayoutC: dd.startPayoutC ?? w.payoutC, potTakenC: dd.potTakenC ?? 0 }).payoutC;
+  const left = formatDuration(Math.max(0, dd.deadline - Date.now()));
+  const who = (g.winnerCount ?? 1) > 1 || played ? ` for ${w.username}` : "";
+  const footer = [
+    `Double Down${who}${maxRounds > 1 ? ` — round ${played + 1} of ${maxRounds}` : ""}? Payout now ${w.payoutC}c.`,
+    `Roll ≥ ${s.winAt} (${(doubleDownOdds(s) * 100).toFixed(1)}%) wins ${reward}; otherwise the payout drops to ${ifLost}c.`,
+    `${left} to respond${played ? ", then it cashes out" : ""}.`
+  ].join("\n");
+  const yes = new ButtonBuilder().setCustomId(`dd_yes:${g.id}:${w.userId}`).setLabel(played ? "Double again" : "Yes").setStyle(ButtonStyle.Success);
+  const no = new ButtonBuilder().setCustomId(`dd_no:${g.id}:${w.userId}`).setLabel(played ? "Cash out" : "No").setStyle(ButtonStyle.Danger);
+  return { footer, row: new ActionRowBuilder().addComponents(yes, no) };
+}
+
+// The rounds played; Double Downs from before ladders kept a single roll on dd itself
+function doubleDownRounds(dd) {
+  if (dd.rounds) return dd.rounds;
+  if (dd.roll == null) return [];
+  return [{ round: 1, roll: dd.roll, won: dd.state === "yes_win", amount: dd.amount, payoutC: null }];
+}
+
+// One result line per round played, for the result message
+function doubleDownText(g) {
+  const dd = g.doubleDown;
+  if (!dd) return "";
+  return doubleDownRounds(dd).map(round => {
+    const label = (dd.maxRounds ?? 1) > 1 ? `Double Down round ${round.round}` : "Double Down result";
+    const change = round.won ? `Added ${round.amount}c` : `Returned ${round.amount}c to pot`;
+    return `\n\n${label}: **${round.won ? "WIN" : "LOSE"}** (rolled ${round.roll}). ${change}${round.payoutC != null ? `; payout ${round.payoutC}c` : ""}.`;
+  }).join("");
+}
+
+// The ladder is over: pay the held payout and pass the pot on
+async function finishDoubleDown(g) {
+  revealDoubleDownSeed(g);
+  await releasePayout(g);
+  await rollOverPot(g);
+}
+
+// Answer the pending round: "yes" rolls it, "no" declines before the first
+// round or cashes out after a won one. Runs under the giveaway lock so a
+// double click can't roll twice. Returns { g, round } or { error }; throws
+// when the roll fails.
+async function playDoubleDown(gid, winnerId, choice, { auto = false } = {}) {
+  let cfg;
+  const outcome = await storage.update("giveaways", gid, async (g) => {
+    const winner = winnersOf(g).find(w => w.userId === winnerId);
+    if (!winner) return { error: "Giveaway or winner not found." };
+    const dd = g.doubleDown;
+    if (!dd || dd.state !== "pending" || dd.winnerId !== winnerId) return { error: "Double Down no longer available." };
+    cfg = await configFor(g);
+    const settings = doubleDownSettings(cfg);
+    // offers made before ladders have none of these
+    dd.rounds = dd.rounds || [];
+    dd.maxRounds = dd.maxRounds ?? 1;
+    if (dd.startPayoutC == null) dd.startPayoutC = winner.payoutC;
+    if (choice === "no") {
+      dd.state = dd.rounds.length ? "yes_win" : "no";
+      if (auto) dd.auto = true;
+      await audit.record("doubledown.decided", { giveawayId: gid, actor: auto ? "system" : winnerId, data: { winnerId, choice: dd.rounds.length ? "cash_out" : "no", auto, rounds: dd.rounds.length, payoutC: winner.payoutC } });
+      await finishDoubleDown(g);
+      return { g, round: null };
     }
+    const n = dd.rounds.length + 1;
+    const r = await rollFor(g, "doubledown", 0, 100);
+    const res = doubleDown(winner, g.pot, r, settings, { startPayoutC: dd.startPayoutC, potTakenC: dd.potTakenC ?? 0 });
+    const round = { round: n, roll: r, won: res.won, amount: res.amount, payoutC: res.payoutC, potChangeC: Math.round((res.pot - g.pot) * 100) / 100, at: Date.now() };
+    winner.payoutC = res.payoutC;
+    g.pot = res.pot;
+    dd.potTakenC = res.potTakenC;
+    dd.rounds.push(round);
+    // the latest round, where single-round giveaways kept it
+    dd.roll = r;
+    dd.amount = res.amount;
+    await audit.record("doubledown.decided", { giveawayId: gid, actor: winnerId, data: { winnerId, choice: "yes", round: n, roll: r, won: res.won, amount: res.amount, payoutC: winner.payoutC } });
+    if (!res.won) dd.state = "yes_lose";
+    else if (n >= dd.maxRounds) dd.state = "yes_win";
+    else dd.deadline = Date.now() + settings.deadlineMinutes * 60 * 1000;
+    if (dd.state !== "pending") await finishDoubleDown(g);
+    return { g, round };
+  });
+  if (!outcome) return { error: "Giveaway not found." };
+  if (outcome.error) return outcome;
+  const { g } = outcome;
+  if (g.doubleDown.state === "pending") scheduler.schedule("doubledown.expire", gid, g.doubleDown.deadline);
+  else scheduler.cancel("doubledown.expire", gid);
+  await syncGiveawayMessage(g, cfg);
+  if (g.doubleDown.state !== "pending") await notifyGiveaway("doubledown.resolved", g);
+  return outcome;
+}
+
+// Double Down deadline passed without an answer: No, or cash out mid-ladder
+async function expireDoubleDown(gid) {
+  const g = await storage.get("giveaways", gid);
+  if (g?.doubleDown?.state !== "pending") return;
+  await playDoubleDown(gid, g.doubleDown.winnerId, "no", { auto: true });
+}
+
+// ---------- Giveaway lifecycle ----------
+
+// Shared checks for every creation path (slash command, web API)
+function validateGiveawayInput({ durationMs, prize, pot, maxEntries, winners, tiers, eligibility, mode }) {
+  if (!Number.isFinite(durationMs) || durationMs < MIN_DURATION_MS || durationMs > MAX_DURATION_MS) {
+    return `Duration must be between ${formatDuration(MIN_DURATION_MS)} and ${formatDuration(MAX_DURATION_MS)}.`;
   }
+  if (typeof prize !== "string" || !prize.trim() || prize.length > 200) return "Prize must be 1-200 characters.";
+  // the limit the config's own pot has
+  if (pot != null && (!Number.isInteger(pot) || pot < 0 || pot > CONFIG_SCHEMA.pot.max)) return `Pot must be a whole number of c, 0-${CONFIG_SCHEMA.pot.max}.`;
+  if (maxEntries != null && (!Number.isInteger(maxEntries) || maxEntries < 1)) return "Max entries must be at least 1.";
+  if (mode != null && !MODE_NAMES.includes(mode)) return `Game mode must be one of: ${MODE_NAMES.join(", ")}.`;
+  const { error } = normalizeTiers({ winners, tiers });
+  if (error) return error;
+  return normalizeRules(eligibility).error ?? null;
+}
+
+// Create a giveaway, post it with its Join button and schedule its end.
+// `doubleDown` true/false overrides whether the config offers Double Down;
+// `mode` is the game mode (src/modes.js); `embed` is the giveaway's own
+// message template on top of the guild's (src/templates.js).
+// Throws if the message can't be posted (the record is removed again).
+async function createGiveaway({ channelId, guildId = null, creatorId, prize, durationMs, pot, maxEntries, winners, tiers, eligibility, fair = false, clientSeed = "", doubleDown = null, mode = DEFAULT_MODE, embed = null, series = null }) {
+  const id = `G-${Date.now()}-${crypto.randomBytes(3).toString("hex")}`;
+  // the channel decides which guild's config applies
+  const ch = await client.channels.fetch(channelId);
+  guildId = ch.guildId ?? guildId;
+  const now = Date.now();
+  // snapshot the config so later edits don't change this giveaway's economics
+  const scoped = guildId ? await configStore.forGuild(guildId).current() : null;
+  const { version: configVersion, config: cfg } = scoped ? { version: scoped.globalVersion, config: scoped.config } : await configStore.current();
+  const prizeTiers = normalizeTiers({ winners, tiers }).tiers;
+  const g = {
+    id,
+    title: prize,
+    prize,
+    creatorId,
+    guildId,
+    channelId,
+    messageId: null,
+    createdAt: now,
+    endsAt: now + durationMs,
+    mode: mode ?? DEFAULT_MODE,
+    entries: [],
+    pot: (pot ?? cfg.pot) + (series?.rolloverInC ?? 0),
+    maxEntries: maxEntries ?? null,
+    winnerCount: winnerCount(prizeTiers),
+    tiers: prizeTiers,
+    eligibility: normalizeRules(eligibility).rules,
+    rejections: { total: 0, byReason: {} },
+    configVersion,
+    guildConfigVersion: scoped?.version ?? null,
+    config: doubleDown == null ? cfg : { ...cfg, doubleDown: { ...doubleDownSettings(cfg), enabled: doubleDown } },
+    ended: false,
+    ledger: { stakesCollected: false, heldC: 0, released: false }
+  };
+  if (fair) g.fair = createCommitment({ clientSeed });
+  if (embed) g.embed = embed;
+  // { id, run, rolloverInC }: the series this giveaway is a run of
+  if (series) g.series = { ...series, potAtStartC: g.pot, rolledOverC: 0 };
+  await storage.insert("giveaways", g);
+  await audit.record("giveaway.created", { giveawayId: id, guildId, actor: creatorId, data: {
+    channelId, prize, mode: g.mode, pot: g.pot, endsAt: g.endsAt, maxEntries: g.maxEntries, tiers: g.tiers, eligibility: g.eligibility, series: g.series ?? null,
+    configVersion, guildConfigVersion: g.guildConfigVersion, fair: g.fair ? { serverSeedHash: g.fair.serverSeedHash, ddSeedHash: g.fair.ddSeedHash, clientSeed: g.fair.clientSeed } : null
+  } });
+
+  // Post to channel using bot (if bot is in that guild & channel)
+  try {
+    const msg = await ch.send(renderGiveawayMessage(g, cfg, await templateFor(g)));
+    g.messageId = msg.id;
+    await storage.update("giveaways", id, (x) => { x.messageId = msg.id; });
+  } catch (e) {
+    counters.discordFailures.inc({ operation: "post", reason: GONE_CODES.has(e.code) ? "gone" : "error" });
+    await storage.remove("giveaways", id);
+    await audit.record("giveaway.post_failed", { giveawayId: id, actor: creatorId, data: { message: e.message } });
+    throw e;
+  }
+  scheduler.schedule("giveaway.end", id, g.endsAt);
+  await notifyGiveaway("giveaway.created", g);
+  return g;
+}
+
+// A series giveaway hands what is left of its pot to the next run once nothing
+// can change it any more. Later changes (reroll, refund) move the difference.
+async function rollOverPot(g) {
+  if (!g.series || !g.ended || g.result?.error || g.pendingResolution || g.doubleDown?.state === "pending") return;
+  const delta = g.pot - g.series.rolledOverC;
+  if (!delta) return;
+  const s = await storage.update("series", g.series.id, (s) => {
+    s.carriedPotC = Math.max(0, s.carriedPotC + delta);
+    return s;
+  });
+  if (!s) return;
+  g.series.rolledOverC = g.pot;
+  await audit.record("series.pot_rolled_over", { giveawayId: g.id, data: { seriesId: s.id, amount: delta, carriedPotC: s.carriedPotC } });
+}
+
+// Stop a running giveaway without rolling and refund the stakes; the buttons are disabled
+async function cancelGiveaway(gid, by) {
+  const outcome = await storage.update("giveaways", gid, async (g) => {
+    if (g.ended) return { error: g.cancelled ? "Giveaway already cancelled." : "Giveaway already ended." };
+    await refundStakes(g, by);
+    g.ended = true;
+    g.cancelled = true;
+    g.result = { cancelled: true, cancelledBy: by, cancelledAt: Date.now() };
+    await audit.record("giveaway.cancelled", { giveawayId: gid, actor: by, data: { entries: g.entries.length, refunded: g.ledger?.refunded ?? false } });
+    revealServerSeed(g);
+    revealDoubleDownSeed(g);
+    await rollOverPot(g);
+    return { g };
+  });
+  if (!outcome) return { error: "Giveaway not found." };
+  if (outcome.error) return outcome;
+  scheduler.cancel("giveaway.end", gid);
+  await syncGiveawayMessage(outcome.g);
+  return outcome;
+}
+
+// Pick new winners for an ended giveaway. `excludeUserIds` are left out of the
+// new draw (e.g. a winner found to be ineligible); without it everyone who won
+// before is. The previous winners' pot shares go back into the pot first.
+async function rerollGiveaway(gid, by, { excludeUserIds = [] } = {}) {
+  let cfg;
+  const outcome = await storage.update("giveaways", gid, async (g) => {
+    if (!g.ended) return { error: "Giveaway is still running." };
+    if (g.cancelled) return { error: "Giveaway was cancelled." };
+    if (g.ledger?.refunded) return { error: "Stakes were refunded; the giveaway can't be rerolled." };
+    if (g.result?.error) return { error: "Resolution failed; retry it instead of rerolling." };
+    if (g.pendingResolution) return { error: "Resolution is pending; retry it instead of rerolling." };
+    const previous = winnersOf(g);
+    if (!previous.length) return { error: "Giveaway has no winner to reroll." };
+    if (g.fair?.enabled) return { error: "Provably-fair giveaways can't be rerolled: the revealed seed makes new rolls predictable." };
+    if (g.doubleDown && (!["pending", "no"].includes(g.doubleDown.state) || g.doubleDown.rounds?.length)) return { error: "Double Down was already played; the result can't be rerolled." };
+    await clawBackPayout(g, by);
+    g.pot += previous.reduce((s, w) => s + w.potShareC, 0);
+    const excluded = excludeUserIds.length ? excludeUserIds : previous.map(w => w.userId);
+    g.excludedUserIds = [...new Set([...(g.excludedUserIds || []), ...excluded])];
+    g.rerolls = g.rerolls || [];
+    g.rerolls.push({ at: Date.now(), by, previousWinners: previous, previousRoll: g.roll, excluded });
+    await audit.record("giveaway.rerolled", { giveawayId: gid, actor: by, data: { previousWinners: previous.map(w => w.userId), previousRoll: g.roll, excluded, excludedUserIds: g.excludedUserIds } });
+    delete g.doubleDown;
+    cfg = await configFor(g);
+    await settleGiveaway(g, cfg);
+    await settleStakes(g);
+    await rollOverPot(g);
+    return { g };
+  });
+  if (!outcome) return { error: "Giveaway not found." };
+  if (outcome.error) return outcome;
+  const { g } = outcome;
+  if (g.doubleDown?.state === "pending") scheduler.schedule("doubledown.expire", g.id, g.doubleDown.deadline);
+  else scheduler.cancel("doubledown.expire", g.id);
+  await syncGiveawayMessage(g, cfg);
+  await notifyResult(g, "reroll");
+  return outcome;
+}
+
+// Resolve again a giveaway whose rolls failed, or one waiting in the queue
+// right away. Its stakes are still in escrow, so settling works exactly as it
+// would have at the end.
+async function retryGiveaway(gid, by) {
+  let cfg;
+  const outcome = await storage.update("giveaways", gid, async (g) => {
+    if (!g.ended) return { error: "Giveaway is still running." };
+    if (!g.result?.error && !g.pendingResolution) return { error: "Only giveaways whose resolution failed or is pending can be retried." };
+    if (g.ledger?.refunded) return { error: "Stakes were refunded; the giveaway can't be retried." };
+    const previousError = g.result?.message ?? g.pendingResolution.lastError;
+    g.retries = g.retries || [];
+    g.retries.push({ at: Date.now(), by, error: previousError });
+    await audit.record("giveaway.retried", { giveawayId: gid, actor: by, data: { attempt: g.retries.length + 1, previousError } });
+    delete g.result;
+    delete g.roll;
+    cfg = await configFor(g);
+    await settleGiveaway(g, cfg);
+    await settleStakes(g);
+    await rollOverPot(g);
+    return { g };
+  });
+  if (!outcome) return { error: "Giveaway not found." };
+  if (outcome.error) return outcome;
+  await publishResolution(outcome.g, cfg, "retry");
+  return outcome;
+}
+
+// Give every entrant their stake back. A running giveaway has to be cancelled
+// instead; an ended one is voided: winners' payouts are taken back, any
+// pending Double Down is dropped and what its rounds moved in or out of the
+// pot is undone.
+async function refundGiveaway(gid, by) {
+  const outcome = await storage.update("giveaways", gid, async (g) => {
+    if (!g.ended) return { error: "Giveaway is still running; cancel it to refund the stakes." };
+    if (!g.ledger) return { error: "Giveaway has no stakes to refund." };
+    if (g.ledger.refunded) return { error: "Stakes were already refunded." };
+    const clawedBack = await refundGiveawayStakes(g, by);
+    if (g.doubleDown?.state === "pending") g.doubleDown.state = "void";
+    delete g.pendingResolution;
+    g.pot = Math.round((g.pot - (g.doubleDown?.rounds ?? []).reduce((s, r) => s + r.potChangeC, 0)) * 100) / 100;
+    g.refund = { at: Date.now(), by };
+    await audit.record("giveaway.refunded", { giveawayId: gid, actor: by, data: {
+      entries: g.entries.length,
+      refundedC: g.entries.reduce((s, e) => s + (e.reservedC ?? 0), 0),
+      clawedBack
+    } });
+    revealServerSeed(g);
+    revealDoubleDownSeed(g);
+    await rollOverPot(g);
+    return { g };
+  });
+  if (!outcome) return { error: "Giveaway not found." };
+  if (outcome.error) return outcome;
+  scheduler.cancel("doubledown.expire", gid);
+  scheduler.cancel("giveaway.resolve", gid);
+  await syncGiveawayMessage(outcome.g);
+  return outcome;
+}
+
+// ---------- Series ----------
+
+// Checks the schedule against the template; returns { schedule } or { error }
+function validateSeriesSchedule(input, durationMs) {
+  // the web form may give the interval like a duration: { every: "6h" }
+  if (typeof input?.every === "string") input = { ...input, everyMs: parseDuration(input.every) };
+  const { schedule, error } = normalizeSchedule(input);
+  if (error) return { error };
+  if (durationMs > minGapMs(schedule)) return { error: "Each giveaway must end before the next one in the series starts: shorten the duration or space the runs out." };
+  return { schedule };
+}
+
+// Store a series and arm its first run. `template` holds the createGiveaway
+// options every run is posted with.
+async function createSeries({ channelId, guildId, creatorId, name, schedule, template }) {
+  const now = Date.now();
+  const s = {
+    id: `S-${now}-${crypto.randomBytes(3).toString("hex")}`,
+    name: name || template.prize,
+    guildId,
+    channelId,
+    creatorId,
+    createdAt: now,
+    schedule,
+    template,
+    active: true,
+    runs: 0,
+    carriedPotC: 0,
+    nextRunAt: nextRun(schedule, now),
+    lastRunAt: null,
+    lastError: null
+  };
+  if (!s.nextRunAt) return { error: "The schedule has no run in the future." };
+  await storage.insert("series", s);
+  await audit.record("series.created", { guildId, actor: creatorId, data: { seriesId: s.id, name: s.name, channelId, schedule, template } });
+  scheduler.schedule("series.run", s.id, s.nextRunAt);
+  return { s };
+}
+
+// Post the next giveaway of a series with the pot rolled over so far. A run
+// that fails to post keeps the rolled-over pot for the one after.
+async function runSeries(sid) {
+  const s = await storage.get("series", sid);
+  if (!s?.active) return;
+  let rolloverInC = 0;
+  await storage.update("series", sid, (x) => { rolloverInC = x.carriedPotC; x.carriedPotC = 0; });
+  let g = null;
+  let error = null;
+  try {
+    g = await createGiveaway({ ...s.template, channelId: s.channelId, guildId: s.guildId, creatorId: s.creatorId, series: { id: sid, run: s.runs + 1, rolloverInC } });
+  } catch (e) {
+    log.error("Series run failed to post:", e, { seriesId: sid });
+    error = e.message;
+  }
+  const now = Date.now();
+  const updated = await storage.update("series", sid, (x) => {
+    if (g) x.runs++;
+    else x.carriedPotC += rolloverInC;
+    x.lastRunAt = now;
+    x.lastError = error;
+    x.nextRunAt = x.active ? nextRun(x.schedule, now, x.runs) : null;
+    if (!x.nextRunAt) x.active = false;
+    return x;
+  });
+  await audit.record(g ? "series.ran" : "series.run_failed", { giveawayId: g?.id ?? null, guildId: s.guildId, data: { seriesId: sid, run: updated.runs, rolloverInC, error, nextRunAt: updated.nextRunAt } });
+  if (updated.nextRunAt) scheduler.schedule("series.run", sid, updated.nextRunAt);
+}
+
+async function stopSeries(sid, by) {
+  const s = await storage.update("series", sid, (x) => {
+    if (!x.active) return { error: "Series is already stopped." };
+    x.active = false;
+    x.nextRunAt = null;
+    x.stoppedBy = by;
+    x.stoppedAt = Date.now();
+    return x;
+  });
+  if (!s) return { error: "Series not found." };
+  if (s.error) return s;
+  scheduler.cancel("series.run", sid);
+  await audit.record("series.stopped", { guildId: s.guildId, actor: by, data: { seriesId: sid, runs: s.runs, carriedPotC: s.carriedPotC } });
+  return { s };
+}
 
-  // Now resolved may still contain >1 (because winners with different main values). Pick one randomly via random.org
-  let finalWinner;
-  if (resolved.length === 1) finalWinner = resolved[0];
-  else {
+// One row per run, oldest first: pot in, what was won, what rolled over
+async function seriesHistory(sid) {
+  const giveaways = await storage.list("giveaways", { filter: g => g.series?.id === sid });
+  return giveaways
+    .sort((a, b) => a.series.run - b.series.run)
+    .map(g => ({
+      giveawayId: g.id,
+      run: g.series.run,
+      startedAt: g.createdAt,
+      endsAt: g.endsAt,
+      status: lifecycleStatus(g),
+      entries: g.entries.length,
+      potAtStartC: g.series.potAtStartC,
+      rolloverInC: g.series.rolloverInC,
+      roll: g.roll ?? null,
+      winners: winnersOf(g).map(w => ({ userId: w.userId, username: w.username, payoutC: w.payoutC })),
+      doubleDown: g.doubleDown?.state ?? null,
+      doubleDownRolls: g.doubleDown?.rounds?.map(r => r.roll) ?? [],
+      rolledOverC: g.series.rolledOverC
+    }));
+}
+
+// ---------- Discord interaction handlers ----------
+
+// One-line status used by /giveaway list and info
+function giveawayStatus(g) {
+  if (g.cancelled) return "cancelled";
+  if (g.refund) return "refunded";
+  if (!g.ended) return `ends <t:${Math.floor(g.endsAt/1000)}:R>`;
+  if (g.pendingResolution) return `waiting for randomness, next try <t:${Math.floor(g.pendingResolution.nextAttemptAt/1000)}:R>`;
+  if (g.result?.error) return "error";
+  const winners = winnersOf(g);
+  return winners.length ? `won by ${winners.map(w => `<@${w.userId}>`).join(", ")}` : "no winner";
+}
+
+// /giveaway <subcommand>
+async function handleGiveawayCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  if (SUBCOMMAND_PERMISSIONS[sub] === "manage" && !(await canManage(interaction))) {
+    await interaction.reply({ content: `You need Manage Server to use /giveaway ${sub}.`, ephemeral: true });
+    return;
+  }
+
+  if (sub === "start") {
+    const durationMs = parseDuration(interaction.options.getString("duration"));
+    const prize = interaction.options.getString("prize");
+    const pot = interaction.options.getInteger("pot") ?? undefined;
+    const maxEntries = interaction.options.getInteger("max_entries") ?? undefined;
+    const winners = interaction.options.getInteger("winners") ?? undefined;
+    const tiersInput = interaction.options.getString("tiers");
+    const tiers = tiersInput ? parseTiers(tiersInput) : undefined;
+    const fair = interaction.options.getBoolean("fair") ?? false;
+    const doubleDown = interaction.options.getBoolean("double_down");
+    const mode = interaction.options.getString("mode") ?? undefined;
+    const eligibility = eligibilityFromOptions(interaction.options);
+    const invalid = durationMs == null ? "Invalid duration. Use e.g. 2h30m, 45m or 1d."
+      : tiers === null ? "Invalid tiers. Use pot percents per place, e.g. 50,30,20 or 40,3x20 (3 winners sharing 20%)."
+      : validateGiveawayInput({ durationMs, prize, pot, maxEntries, winners, tiers, eligibility });
+    if (invalid) {
+      await interaction.reply({ content: invalid, ephemeral: true });
+      return;
+    }
+    await interaction.deferReply({ ephemeral: true });
     try {
-      const idx = await randomOrgInteger(0, resolved.length - 1);
-      finalWinner = resolved[idx];
-    } catch(e) {
-      finalWinner = resolved[0];
+      const g = await createGiveaway({ channelId: interaction.channelId, guildId: interaction.guildId, creatorId: interaction.user.id, prize, durationMs, pot, maxEntries, winners, tiers, eligibility, fair, doubleDown, mode });
+      await interaction.editReply(`Started giveaway ${g.id}, ends in ${formatDuration(durationMs)}`);
+    } catch (e) {
+      log.error("Failed to post giveaway:", e);
+      await interaction.editReply("Failed to post the giveaway here. Check the bot can send messages in this channel.");
+    }
+    return;
+  }
+
+  if (sub === "list") {
+    const status = interaction.options.getString("status") ?? "active";
+    const giveaways = (await storage.list("giveaways", { where: { guildId: interaction.guildId } }))
+      .filter(g => status === "all" || (status === "active" ? !g.ended : g.ended))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, 15);
+    const lines = giveaways.map(g => `\`${g.id}\` **${g.prize}** — ${g.entries.length} entries, ${giveawayStatus(g)}`);
+    const embed = new EmbedBuilder()
+      .setTitle(`Giveaways (${status})`)
+      .setDescription(lines.join("\n") || "None.");
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  if (sub === "schedule") {
+    const durationMs = parseDuration(interaction.options.getString("duration"));
+    const prize = interaction.options.getString("prize");
+    const pot = interaction.options.getInteger("pot") ?? undefined;
+    const maxEntries = interaction.options.getInteger("max_entries") ?? undefined;
+    const winners = interaction.options.getInteger("winners") ?? undefined;
+    const tiersInput = interaction.options.getString("tiers");
+    const tiers = tiersInput ? parseTiers(tiersInput) : undefined;
+    const when = scheduleFromOptions(interaction.options);
+    const checked = when.error ? when : validateSeriesSchedule(when.input, durationMs);
+    const invalid = durationMs == null ? "Invalid duration. Use e.g. 2h30m, 45m or 1d."
+      : tiers === null ? "Invalid tiers. Use pot percents per place, e.g. 50,30,20 or 40,3x20 (3 winners sharing 20%)."
+      : validateGiveawayInput({ durationMs, prize, pot, maxEntries, winners, tiers }) ?? checked.error;
+    if (invalid) {
+      await interaction.reply({ content: invalid, ephemeral: true });
+      return;
+    }
+    const out = await createSeries({
+      channelId: interaction.channelId,
+      guildId: interaction.guildId,
+      creatorId: interaction.user.id,
+      name: interaction.options.getString("name"),
+      schedule: checked.schedule,
+      template: { prize, durationMs, pot, maxEntries, winners, tiers, doubleDown: interaction.options.getBoolean("double_down"), mode: interaction.options.getString("mode") ?? undefined }
+    });
+    await interaction.reply({ content: out.error ?? `Scheduled series \`${out.s.id}\` (${describeSchedule(out.s.schedule)}). First giveaway <t:${Math.floor(out.s.nextRunAt / 1000)}:R>.`, ephemeral: true });
+    return;
+  }
+
+  if (sub === "series") {
+    const sid = interaction.options.getString("id");
+    if (!sid) {
+      const series = (await storage.list("series", { where: { guildId: interaction.guildId } })).sort((a, b) => b.createdAt - a.createdAt).slice(0, 15);
+      const lines = series.map(x => `\`${x.id}\` **${x.name}** — ${describeSchedule(x.schedule)}, ${x.active ? `next <t:${Math.floor(x.nextRunAt / 1000)}:R>` : "stopped"}, ${x.runs} runs, ${x.carriedPotC}c to roll over`);
+      await interaction.reply({ embeds: [new EmbedBuilder().setTitle("Giveaway series").setDescription(lines.join("\n") || "None.")], ephemeral: true });
+      return;
+    }
+    const x = await storage.get("series", sid);
+    if (!x || x.guildId !== interaction.guildId) {
+      await interaction.reply({ content: "Series not found.", ephemeral: true });
+      return;
+    }
+    const history = (await seriesHistory(sid)).slice(-15);
+    const lines = history.map(h => {
+      const won = h.winners.length ? h.winners.map(w => `<@${w.userId}> ${w.payoutC}c`).join(", ") : h.status === "ended" ? "no winner" : h.status;
+      return `#${h.run} \`${h.giveawayId}\` <t:${Math.floor(h.startedAt / 1000)}:d> pot ${h.potAtStartC}c${h.rolloverInC ? ` (${h.rolloverInC}c rolled in)` : ""} → ${won}${h.rolledOverC ? `; ${h.rolledOverC}c rolled over` : ""}`;
+    });
+    const embed = new EmbedBuilder()
+      .setTitle(`Series: ${x.name}`)
+      .setDescription([
+        `${describeSchedule(x.schedule)} in <#${x.channelId}>`,
+        x.active ? `Next giveaway <t:${Math.floor(x.nextRunAt / 1000)}:R>` : "Stopped.",
+        `Pot waiting to roll over: ${x.carriedPotC}c`,
+        x.lastError ? `Last run failed: ${x.lastError}` : null,
+        "",
+        ...(lines.length ? lines : ["No giveaways yet."])
+      ].filter(l => l != null).join("\n"))
+      .setFooter({ text: `Series ID: ${x.id}` });
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  if (sub === "unschedule") {
+    const sid = interaction.options.getString("id");
+    const x = await storage.get("series", sid);
+    if (!x || x.guildId !== interaction.guildId) {
+      await interaction.reply({ content: "Series not found.", ephemeral: true });
+      return;
+    }
+    const out = await stopSeries(sid, interaction.user.id);
+    await interaction.reply({ content: out.error ?? `Stopped series ${sid}.${out.s.carriedPotC ? ` ${out.s.carriedPotC}c was waiting to roll over.` : ""}`, ephemeral: true });
+    return;
+  }
+
+  const gid = interaction.options.getString("id");
+  const g = await storage.get("giveaways", gid);
+  if (!g || (g.guildId && g.guildId !== interaction.guildId)) {
+    await interaction.reply({ content: "Giveaway not found.", ephemeral: true });
+    return;
+  }
+
+  if (sub === "info") {
+    const cfg = await configFor(g);
+    const embed = giveawayEmbed(g, await templateFor(g)).setDescription([
+      `Prize: ${g.prize}`,
+      `Pot: ${g.pot}c`,
+      `Entries: ${g.entries.length}${g.maxEntries ? ` / ${g.maxEntries}` : ""}`,
+      `Status: ${giveawayStatus(g)}`,
+      g.mode && g.mode !== DEFAULT_MODE ? `Game: ${gameMode(g.mode).label}` : null,
+      g.roll != null ? `Roll: **${g.roll}**` : null,
+      (g.winnerCount ?? 1) > 1 ? `Winners: ${g.winnerCount}` : null,
+      ...winnersOf(g).map(w => (g.winnerCount ?? 1) > 1 ? winnerLine(w, cfg) : `Payout: ${w.payoutC}c (${(w.payoutC * cfg.conversionRateUSDPerC).toFixed(2)}$)`),
+      g.configVersion ? `Config: v${g.configVersion}${g.guildConfigVersion ? ` + server v${g.guildConfigVersion}` : ""}` : null,
+      g.rejections?.total ? `Refused joins: ${g.rejections.total} (${Object.entries(g.rejections.byReason).map(([code, n]) => `${code} ${n}`).join(", ")})` : null,
+      g.doubleDown ? `Double Down: ${g.doubleDown.state}${g.doubleDown.rounds?.length ? ` (rolls ${g.doubleDown.rounds.map(r => `${r.roll} ${r.won ? "✓" : "✗"}`).join(", ")})` : ""}` : null,
+      g.channelId && g.messageId ? `[Jump to message](https://discord.com/channels/${g.guildId ?? "@me"}/${g.channelId}/${g.messageId})` : null
+    ].filter(Boolean).join("\n"));
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  } else if (sub === "end") {
+    if (g.ended) {
+      await interaction.reply({ content: "Giveaway already ended.", ephemeral: true });
+      return;
+    }
+    await interaction.reply({ content: "Ending giveaway...", ephemeral: true });
+    await audit.record("giveaway.force_end", { giveawayId: gid, actor: interaction.user.id, data: { via: "command" } });
+    await scheduler.run("giveaway.end", gid);
+  } else if (sub === "cancel") {
+    const out = await cancelGiveaway(gid, interaction.user.id);
+    await interaction.reply({ content: out.error ?? `Cancelled giveaway ${gid}.`, ephemeral: true });
+  } else if (sub === "reroll") {
+    const excludeUserIds = ["exclude", "exclude_2", "exclude_3"].map(name => interaction.options.getUser(name)?.id).filter(Boolean);
+    await interaction.deferReply({ ephemeral: true });
+    const out = await rerollGiveaway(gid, interaction.user.id, { excludeUserIds });
+    if (out.error) await interaction.editReply(out.error);
+    else {
+      const winners = winnersOf(out.g);
+      await interaction.editReply(winners.length ? `Rerolled: new ${winners.length === 1 ? "winner" : "winners"} ${winners.map(w => `<@${w.userId}>`).join(", ")}.` : "Rerolled: no remaining entry wins.");
     }
+  } else if (sub === "retry") {
+    await interaction.deferReply({ ephemeral: true });
+    const out = await retryGiveaway(gid, interaction.user.id);
+    if (out.error) await interaction.editReply(out.error);
+    else if (out.g.result?.error) await interaction.editReply(`Resolution failed again: ${out.g.result.message}`);
+    else if (out.g.pendingResolution) await interaction.editReply(`Still no randomness (${out.g.pendingResolution.lastError}). Giveaway ${gid} stays queued; next try <t:${Math.floor(out.g.pendingResolution.nextAttemptAt/1000)}:R>.`);
+    else await interaction.editReply(`Resolved giveaway ${gid}: ${giveawayStatus(out.g)}.`);
+  } else if (sub === "refund") {
+    await interaction.deferReply({ ephemeral: true });
+    const out = await refundGiveaway(gid, interaction.user.id);
+    await interaction.editReply(out.error ?? `Refunded all stakes of giveaway ${gid}.`);
+  } else if (sub === "resync") {
+    await interaction.deferReply({ ephemeral: true });
+    const out = await resyncGiveaway(gid, { repost: interaction.options.getBoolean("repost") ?? false, by: interaction.user.id });
+    await interaction.editReply(out.error ?? `${out.reposted ? "Reposted" : "Updated"} the message of giveaway ${gid}.`);
+  }
+}
+
+// Eligibility rules from the /giveaway start options
+function eligibilityFromOptions(options) {
+  const required = options.getRole("required_role");
+  const blocked = options.getRole("blocked_role");
+  const rules = {
+    requiredRoleIds: required ? [required.id] : undefined,
+    blockedRoleIds: blocked ? [blocked.id] : undefined,
+    minAccountAgeDays: options.getInteger("min_account_age") ?? undefined,
+    minMemberDays: options.getInteger("min_member_days") ?? undefined,
+    maxEntriesPerUser: options.getInteger("max_per_user") ?? undefined,
+    minStakeC: options.getNumber("min_stake") ?? undefined,
+    maxStakeC: options.getNumber("max_stake") ?? undefined
+  };
+  return Object.fromEntries(Object.entries(rules).filter(([, v]) => v !== undefined));
+}
+
+// Schedule input from the /giveaway schedule options: { input } or { error }
+function scheduleFromOptions(options) {
+  const repeat = options.getString("repeat");
+  const start = options.getString("start");
+  const startAt = start != null ? parseStartTime(start) : null;
+  if (start != null && startAt == null) return { error: "Invalid start. Use e.g. in 2h, 20:00 or 2026-10-20 20:00 (UTC)." };
+  const maxRuns = options.getInteger("runs") ?? undefined;
+  if (!repeat) {
+    if (startAt == null) return { error: "Give a start time, a repeat, or both." };
+    return { input: { kind: "once", at: startAt } };
+  }
+  if (repeat === "interval") {
+    const everyMs = parseDuration(options.getString("every") ?? "");
+    if (!everyMs) return { error: "Give the interval between giveaways, e.g. every: 6h." };
+    return { input: { kind: "interval", everyMs, startAt: startAt ?? undefined, maxRuns } };
+  }
+  const time = options.getString("time") ?? (startAt != null ? new Date(startAt).toISOString().slice(11, 16) : null);
+  if (!time) return { error: "Give a time (HH:MM UTC) or a start." };
+  const days = options.getString("days")?.split(",").map(d => d.trim()).filter(Boolean);
+  return { input: { kind: repeat, time, days, startAt: startAt ?? undefined, maxRuns } };
+}
+
+// Who is trying to join, for checkEntry
+function entrantContext(interaction) {
+  return {
+    userId: interaction.user.id,
+    roleIds: memberRoleIds(interaction.member),
+    accountCreatedAt: interaction.user.createdTimestamp,
+    memberJoinedAt: memberJoinedAt(interaction.member)
+  };
+}
+
+// /balance and /history
+// A member sees their whole wallet. Server managers may look at another
+// member of their server, but only at the transactions of this server's
+// giveaways: the wallet is shared with every other server the member is in.
+async function handleWalletCommand(interaction) {
+  const target = interaction.options.getUser("user") ?? interaction.user;
+  const other = target.id !== interaction.user.id;
+  if (other && (!interaction.guildId || !(await canManage(interaction)))) {
+    await interaction.reply({ content: "You need Manage Server to look at someone else's wallet.", ephemeral: true });
+    return;
+  }
+  if (other && !interaction.options.getMember("user")) {
+    await interaction.reply({ content: "That member isn't in this server.", ephemeral: true });
+    return;
   }
+  await wallet.ensureUser(target.id);
+  const account = userAccount(target.id);
+  const balance = wallet.balance(account);
+  const cfg = await loadConfig(interaction.guildId);
+  if (interaction.commandName === "balance") {
+    await interaction.reply({ content: `<@${target.id}> has **${balance}c** (${(balance * cfg.conversionRateUSDPerC).toFixed(2)}$).`, ephemeral: true });
+    return;
+  }
+  const giveawayIds = other ? (await storage.list("giveaways", { where: { guildId: interaction.guildId } })).map(g => g.id) : null;
+  const txs = await wallet.history(account, { limit: interaction.options.getInteger("limit") ?? 10, giveawayIds });
+  const lines = txs.map(tx => `<t:${Math.floor(tx.at/1000)}:d> ${tx.amount > 0 ? "+" : ""}${tx.amount}c ${tx.type}${tx.giveawayId ? ` \`${tx.giveawayId}\`` : ""}${tx.memo && tx.type !== "stake" ? ` — ${tx.memo}` : ""}`);
+  const embed = new EmbedBuilder()
+    .setTitle(`Wallet history — balance ${balance}c`)
+    .setFooter(other ? { text: "Only transactions of this server's giveaways are listed." } : null)
+    .setDescription(lines.join("\n") || "No transactions yet.");
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// ---------- Join flow ----------
+// Join opens an ephemeral entry form: select menus for the choice (in modes
+// that have one) and risk profile, a modal for the game mode's numbers and the
+// stake, whether the public results page may show the member's name, and the
+// odds of the entry as it stands.
+// The form's state is a draft held in memory per member and giveaway; after
+// a restart or DRAFT_TTL_MS the form asks the member to press Join again.
+// Edit (from My entries) opens the same form on an existing entry.
+const DRAFT_TTL_MS = 15 * 60 * 1000;
+const JOIN_FORM_ACTIONS = new Set(["jf_choice", "jf_risk", "jf_numbers", "jf_public", "jf_modal", "jf_confirm", "jf_edit", "jf_withdraw"]);
+const joinDrafts = new Map();
+// entries beyond this many per member are listed without buttons (5 rows per message)
+const MAX_ENTRY_ROWS = 5;
+
+const draftKey = (gid, userId) => `${gid}:${userId}`;
+// entries from before entry IDs are told apart by join time
+const entryKey = (e) => e.entryId ?? `${e.userId}-${e.joinedAt}`;
+
+function saveDraft(draft) {
+  const now = Date.now();
+  for (const [key, d] of joinDrafts) if (d.expiresAt < now) joinDrafts.delete(key);
+  draft.expiresAt = now + DRAFT_TTL_MS;
+  joinDrafts.set(draftKey(draft.gid, draft.userId), draft);
+  return draft;
+}
 
-  // Payout calculation:
-  // probability:
-  //  - under: P = (main + 1) / 101
-  //  - over: P = (101 - main) / 101
-  const cfg = await loadConfig();
+function loadDraft(gid, userId) {
+  const d = joinDrafts.get(draftKey(gid, userId));
+  return d && d.expiresAt >= Date.now() ? d : null;
+}
+
+function newDraft(g, cfg, userId) {
+  const mode = gameMode(g.mode);
+  const profiles = Object.keys(cfg.riskProfiles);
+  return saveDraft({
+    gid: g.id,
+    userId,
+    entryId: null,
+    ...entryPicks(mode, { choice: mode.choices?.[0].value }),
+    stakeC: Math.max(1, g.eligibility?.minStakeC ?? 0),
+    riskProfile: profiles.includes("low") ? "low" : profiles[0],
+    publicName: false
+  });
+}
+
+const entrySummary = (e, g) => `${gameMode(g.mode).summary(e)}, stake ${e.stakeC ?? 1}c, risk ${e.riskProfile}`;
+
+// What the entry would pay, with the same odds resolveGiveaway uses. In modes
+// where the odds depend on the other entries they are the odds as of now.
+function oddsText(d, g, cfg) {
+  const mode = gameMode(g.mode);
+  if (!hasNumbers(mode, d)) return "Set your numbers to see your odds.";
   const houseEdge = cfg.houseEdge ?? 0.02;
-  const main = finalWinner.main;
-  let prob;
-  if (finalWinner.choice === "under") prob = (finalWinner.main + 1) / 101;
-  else prob = (101 - finalWinner.main) / 101;
-  if (prob <= 0) prob = 1/101;
-  const multiplier = (1 / prob) * (1 - houseEdge);
-  // stake in c units
-  const stake = (finalWinner.stakeC ?? 1);
-  const baseWin = Math.floor(stake * multiplier * 100) / 100; // rounding to 2 decimals of c (we keep c unit)
-  // pot share by chosen risk profile
-  const profile = cfg.riskProfiles[finalWinner.riskProfile] ?? cfg.riskProfiles["low"];
-  const potSharePercent = profile?.potSharePercent ?? 0;
-  const potShareAmount = Math.floor(g.pot * (potSharePercent / 100));
-  // final payout (in c)
-  const finalPayoutC = baseWin + potShareAmount;
-
-  // update pot
-  g.pot = Math.max(0, g.pot - potShareAmount);
-
-  g.winner = {
-    userId: finalWinner.userId,
-    username: finalWinner.username,
-    main: finalWinner.main,
-    tiebreak: finalWinner.tiebreak,
-    choice: finalWinner.choice,
-    stake: stake,
-    payoutC: finalPayoutC,
-    baseWinC: baseWin,
-    potShareC: potShareAmount
+  const ctx = { entries: g.entries.filter(e => !(e.userId === d.userId && entryKey(e) === d.entryId)), winners: g.winnerCount ?? 1 };
+  const { prob, multiplier } = entryOdds(d, houseEdge, mode, ctx);
+  const share = cfg.riskProfiles[d.riskProfile]?.potSharePercent ?? 0;
+  return [
+    `${mode.rule(d)}: **${(prob * 100).toFixed(2)}%**`,
+    `Multiplier **${multiplier.toFixed(2)}×** → base win ${basePayout(d, houseEdge, mode, ctx)}c on your ${d.stakeC}c stake`,
+    `Risk ${d.riskProfile}: plus ${share}% of your tier's share of the pot (${g.pot}c now)`,
+    mode.ranking
+  ].join("\n");
+}
+
+function joinForm(d, g, cfg) {
+  const mode = gameMode(g.mode);
+  const picks = [...mode.fields.map(f => `${f.name}: **${d[f.id] ?? "—"}**`), `Stake: **${d.stakeC}c**`].join(" · ");
+  const embed = new EmbedBuilder()
+    .setTitle(d.entryId ? `Edit entry — ${g.prize}` : `Join — ${g.prize}`)
+    .setDescription(`${mode.name === DEFAULT_MODE ? "" : `Game: **${mode.label}**\n`}${picks}\n\n${oddsText(d, g, cfg)}`)
+    .setFooter({ text: `Ends ${new Date(g.endsAt).toUTCString()}` });
+  const choiceMenu = mode.choices && new StringSelectMenuBuilder()
+    .setCustomId(`jf_choice:${g.id}`)
+    .addOptions(mode.choices.map(c => ({ ...c, default: d.choice === c.value })));
+  const riskMenu = new StringSelectMenuBuilder()
+    .setCustomId(`jf_risk:${g.id}`)
+    .addOptions(Object.entries(cfg.riskProfiles).slice(0, 25).map(([name, p]) => ({
+      label: `Risk: ${name}`.slice(0, 100),
+      description: `${p.potSharePercent}% of the pot share if you win`,
+      value: name,
+      default: d.riskProfile === name
+    })));
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`jf_numbers:${g.id}`).setLabel(!mode.fields.length ? "Set stake" : hasNumbers(mode, d) ? "Change numbers" : "Set numbers").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`jf_public:${g.id}`).setLabel(d.publicName ? "Results page: show my name" : "Results page: anonymous").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`jf_confirm:${g.id}`).setLabel(d.entryId ? "Save changes" : "Confirm entry").setStyle(ButtonStyle.Success).setDisabled(!hasNumbers(mode, d))
+  );
+  return {
+    content: null,
+    embeds: [embed],
+    components: [...(choiceMenu ? [new ActionRowBuilder().addComponents(choiceMenu)] : []), new ActionRowBuilder().addComponents(riskMenu), buttons]
   };
-  g.result = { roll, resolvedCount: resolved.length };
+}
 
-  await saveGiveaways(data);
+function numbersModal(d, g) {
+  const mode = gameMode(g.mode);
+  const input = (id, label, value, placeholder) => {
+    const t = new TextInputBuilder().setCustomId(id).setLabel(label).setStyle(TextInputStyle.Short).setRequired(id !== "stake").setPlaceholder(placeholder);
+    if (value != null) t.setValue(String(value));
+    return new ActionRowBuilder().addComponents(t);
+  };
+  const stakeHint = g.eligibility?.minStakeC != null || g.eligibility?.maxStakeC != null
+    ? `default 1; ${g.eligibility.minStakeC ?? 0}-${g.eligibility.maxStakeC ?? "any"}c`
+    : "default 1";
+  return new ModalBuilder()
+    .setCustomId(`jf_modal:${g.id}`)
+    .setTitle(mode.fields.length ? "Enter your numbers" : "Your stake")
+    .addComponents(
+      ...mode.fields.map(f => input(f.id, f.label, d[f.id], f.placeholder)),
+      input("stake", "Stake (in c) — optional", d.stakeC, stakeHint)
+    );
+}
 
-  // Edit message to announce winner, and add Double Down buttons (Yes/No)
-  try {
-    const ch = await client.channels.fetch(g.channelId);
-    const msg = await ch.messages.fetch(g.messageId);
+// Ephemeral list of the member's entries with Edit / Withdraw while running
+function myEntries(g, userId, note = "") {
+  const mine = g.entries.filter(e => e.userId === userId);
+  const lines = mine.map((e, i) => `**#${i + 1}** ${entrySummary(e, g)}`);
+  const embed = new EmbedBuilder()
+    .setTitle(`Your entries — ${g.prize}`)
+    .setDescription(lines.join("\n") || "You have no entries in this giveaway.");
+  if (g.ended) embed.setFooter({ text: "This giveaway has ended; entries can no longer change." });
+  else if (mine.length > MAX_ENTRY_ROWS) embed.setFooter({ text: `Only the first ${MAX_ENTRY_ROWS} entries can be changed here.` });
+  const components = g.ended ? [] : mine.slice(0, MAX_ENTRY_ROWS).map((e, i) => new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`jf_edit:${g.id}:${entryKey(e)}`).setLabel(`Edit #${i + 1}`).setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`jf_withdraw:${g.id}:${entryKey(e)}`).setLabel(`Withdraw #${i + 1}`).setStyle(ButtonStyle.Danger)
+  ));
+  return { content: note || null, embeds: [embed], components };
+}
 
-    const embed = new EmbedBuilder()
-      .setTitle("🎉 Giveaway Result")
-      .setDescription(`Roll: **${roll}**\nWinner: <@${finalWinner.userId}> (${finalWinner.username})\nPayout: **${finalPayoutC}c** (${(finalPayoutC * cfg.conversionRateUSDPerC).toFixed(2)}$)\n\nBase win: ${baseWin}c\nPot share: ${potShareAmount}c`)
-      .setFooter({ text: "Double Down? (6 hours to respond)" });
-
-    const yes = new ButtonBuilder().setCustomId(`dd_yes:${g.id}:${finalWinner.userId}`).setLabel("Yes").setStyle(ButtonStyle.Success);
-    const no  = new ButtonBuilder().setCustomId(`dd_no:${g.id}:${finalWinner.userId}`).setLabel("No").setStyle(ButtonStyle.Danger);
-
-    await msg.edit({ embeds: [embed], components: [ new ActionRowBuilder().addComponents(yes, no) ] });
-
-    // schedule auto-select No after 6 hours unless someone clicks
-    finalWinner.doubleDownDeadline = Date.now() + 6*60*60*1000; // 6h in ms
-    g.doubleDown = { state: "pending", deadline: finalWinner.doubleDownDeadline, winnerId: finalWinner.userId };
-    await saveGiveaways(data);
-
-    setTimeout(async () => {
-      const ddata = await loadGiveaways();
-      const gg = ddata.giveaways.find(x => x.id === g.id);
-      if (!gg) return;
-      if (gg.doubleDown && gg.doubleDown.state === "pending") {
-        // auto choose No
-        gg.doubleDown.state = "no";
-        await saveGiveaways(ddata);
-        try {
-          const ch2 = await client.channels.fetch(gg.channelId);
-          const msg2 = await ch2.messages.fetch(gg.messageId);
-          const embed2 = EmbedBuilder.from(msg2.embeds[0]).setFooter({ text: "Double Down: No (auto)" });
-          await msg2.edit({ embeds: [embed2], components: [] });
-        } catch(e){}
+// The mode's numbers and the stake from the numbers modal; returns { ...numbers, stakeC } or { error }
+function numbersFromModal(fields, mode) {
+  const { numbers, error } = parseNumbers(mode, Object.fromEntries(mode.fields.map(f => [f.id, fields.getTextInputValue(f.id)])));
+  if (error) return { error };
+  const stake = parseFloat(fields.getTextInputValue("stake") || "1");
+  if (!Number.isFinite(stake) || stake < 0) return { error: "Stake must be a number of c, 0 or more." };
+  return { ...numbers, stakeC: Math.round(stake * 100) / 100 };
+}
+
+// Save a new entry under the giveaway's lock, so a concurrent join or the
+// resolution can't drop it. The stake's move into escrow and the audit event
+// are written in the same transaction as the entry.
+async function addEntry(interaction, d) {
+  const { stakeC, riskProfile } = d;
+  await wallet.ensureUser(interaction.user.id);
+  let refused = null;
+  const g = await storage.update("giveaways", d.gid, async (g) => {
+    if (g.ended) return g;
+    // rules are checked again here: roles or entries may have changed since Join was pressed
+    refused = checkEntry(g, { ...entrantContext(interaction), stakeC });
+    if (refused) { recordRejection(g, refused.code); return g; }
+    const entryId = `${interaction.user.id}-${Date.now()}`;
+    if (g.ledger && stakeC > 0) {
+      try {
+        await wallet.transfer(userAccount(interaction.user.id), escrowAccount(g.id), stakeC, { type: "stake", giveawayId: g.id, by: interaction.user.id, memo: entryId });
+      } catch (e) {
+        if (!(e instanceof InsufficientFundsError)) throw e;
+        refused = { code: "insufficient_funds", message: `Not enough coins: you have ${e.balance}c, this entry needs ${stakeC}c.` };
+        recordRejection(g, refused.code);
+        return g;
       }
-    }, 6*60*60*1000 + 5000); // 6 hours + small buffer
+    }
+    const entry = {
+      entryId,
+      userId: interaction.user.id,
+      username: `${interaction.user.username}#${interaction.user.discriminator}`,
+      ...entryPicks(gameMode(g.mode), d),
+      stakeC,
+      reservedC: g.ledger ? stakeC : 0,
+      riskProfile,
+      publicName: Boolean(d.publicName),
+      joinedAt: Date.now()
+    };
+    g.entries.push(entry);
+    await audit.record("entry.added", { giveawayId: g.id, actor: interaction.user.id, data: entry });
+    counters.entries.inc();
+    return g;
+  });
+  if (!g) return { error: "Giveaway not found." };
+  if (g.ended) return { error: "Giveaway already ended." };
+  if (refused) {
+    await audit.record("entry.rejected", { giveawayId: d.gid, actor: interaction.user.id, data: { code: refused.code, at: "confirm", stakeC } });
+    return { error: refused.message };
+  }
+  await webhooks.emit("entry.added", { giveawayId: g.id, entries: g.entries.length, entry: entryReport(g.entries[g.entries.length - 1]) }, { guildId: g.guildId ?? null });
+  return { g, message: `Joined giveaway: ${entrySummary(g.entries[g.entries.length - 1], g)}.` };
+}
 
-  } catch (e) {
-    console.error("Failed announce winner:", e);
+// Change an entry in place; a changed stake moves the difference in or out of escrow
+async function editEntry(interaction, d) {
+  const userId = interaction.user.id;
+  const outcome = await storage.update("giveaways", d.gid, async (g) => {
+    if (g.ended) return { error: "Giveaway already ended." };
+    const e = g.entries.find(x => x.userId === userId && entryKey(x) === d.entryId);
+    if (!e) return { error: "That entry no longer exists." };
+    const refused = checkStake(g.eligibility, d.stakeC);
+    if (refused) return { error: refused.message };
+    const mode = gameMode(g.mode);
+    const before = { ...entryPicks(mode, e), stakeC: e.stakeC, riskProfile: e.riskProfile };
+    const delta = Math.round((d.stakeC - (e.reservedC ?? 0)) * 100) / 100;
+    if (g.ledger && delta > 0) {
+      try {
+        await wallet.transfer(userAccount(userId), escrowAccount(g.id), delta, { type: "stake", giveawayId: g.id, by: userId, memo: d.entryId });
+      } catch (err) {
+        if (!(err instanceof InsufficientFundsError)) throw err;
+        return { error: `Not enough coins: you have ${err.balance}c, raising the stake needs ${delta}c more.` };
+      }
+    } else if (g.ledger && delta < 0) {
+      await wallet.transfer(escrowAccount(g.id), userAccount(userId), -delta, { type: "refund", giveawayId: g.id, by: userId, memo: "stake lowered" });
+    }
+    if (g.ledger) e.reservedC = d.stakeC;
+    Object.assign(e, { ...entryPicks(mode, d), stakeC: d.stakeC, riskProfile: d.riskProfile, publicName: Boolean(d.publicName), editedAt: Date.now() });
+    await audit.record("entry.edited", { giveawayId: g.id, actor: userId, data: { entryId: d.entryId, before, after: { ...entryPicks(mode, e), stakeC: e.stakeC, riskProfile: e.riskProfile } } });
+    return { g, message: `Entry updated: ${entrySummary(e, g)}.` };
+  });
+  return outcome ?? { error: "Giveaway not found." };
+}
+
+// Remove an entry and return its reserved stake
+async function withdrawEntry(gid, userId, key) {
+  const outcome = await storage.update("giveaways", gid, async (g) => {
+    if (g.ended) return { error: "Giveaway already ended." };
+    const i = g.entries.findIndex(x => x.userId === userId && entryKey(x) === key);
+    if (i < 0) return { error: "That entry no longer exists." };
+    const [e] = g.entries.splice(i, 1);
+    if (g.ledger && e.reservedC > 0) {
+      await wallet.transfer(escrowAccount(g.id), userAccount(userId), e.reservedC, { type: "refund", giveawayId: g.id, by: userId, memo: "entry withdrawn" });
+    }
+    await audit.record("entry.withdrawn", { giveawayId: g.id, actor: userId, data: { entryId: key, refundedC: g.ledger ? e.reservedC ?? 0 : 0 } });
+    return { g, message: `Withdrew ${entrySummary(e, g)}.${g.ledger && e.reservedC ? ` ${e.reservedC}c returned.` : ""}` };
+  });
+  return outcome ?? { error: "Giveaway not found." };
+}
+
+// Select menus, buttons and the numbers modal of the entry form and My entries
+async function handleJoinForm(interaction, action, gid, rest) {
+  const userId = interaction.user.id;
+  const g = await storage.get("giveaways", gid);
+  if (!g || g.ended) {
+    await interaction.reply({ content: g ? "Giveaway already ended." : "Giveaway not found.", ephemeral: true });
+    return;
+  }
+  const cfg = await configFor(g);
+  if (action === "jf_withdraw") {
+    const result = await withdrawEntry(gid, userId, rest.join(":"));
+    if (result.error) {
+      await interaction.reply({ content: result.error, ephemeral: true });
+      return;
+    }
+    await interaction.update(myEntries(result.g, userId, `${result.message} Balance: ${wallet.balance(userAccount(userId))}c`));
+    await syncGiveawayMessage(result.g);
+    return;
+  }
+  if (action === "jf_edit") {
+    const key = rest.join(":");
+    const e = g.entries.find(x => x.userId === userId && entryKey(x) === key);
+    if (!e) {
+      await interaction.reply({ content: "That entry no longer exists.", ephemeral: true });
+      return;
+    }
+    const draft = saveDraft({ gid, userId, entryId: key, ...entryPicks(gameMode(g.mode), e), stakeC: e.stakeC ?? 1, riskProfile: e.riskProfile, publicName: Boolean(e.publicName) });
+    await interaction.update(joinForm(draft, g, cfg));
+    return;
+  }
+  const d = loadDraft(gid, userId);
+  if (!d) {
+    await interaction.update({ content: "This entry form has expired. Press Join (or My entries) again.", embeds: [], components: [] });
+    return;
+  }
+  const mode = gameMode(g.mode);
+  if (action === "jf_choice") {
+    if (!mode.choices?.some(c => c.value === interaction.values[0])) {
+      await interaction.reply({ content: "That choice isn't part of this game.", ephemeral: true });
+      return;
+    }
+    d.choice = interaction.values[0];
+  } else if (action === "jf_risk") {
+    d.riskProfile = interaction.values[0];
+  } else if (action === "jf_public") {
+    d.publicName = !d.publicName;
+  } else if (action === "jf_numbers") {
+    await interaction.showModal(numbersModal(d, g));
+    return;
+  } else if (action === "jf_modal") {
+    const numbers = numbersFromModal(interaction.fields, mode);
+    if (numbers.error) {
+      await interaction.reply({ content: numbers.error, ephemeral: true });
+      return;
+    }
+    Object.assign(d, numbers);
+  } else if (action === "jf_confirm") {
+    if (!hasNumbers(mode, d)) {
+      await interaction.reply({ content: "Set your numbers first.", ephemeral: true });
+      return;
+    }
+    // risk profiles come from the config snapshot the giveaway runs under
+    if (!(d.riskProfile in cfg.riskProfiles)) {
+      await interaction.reply({ content: `Risk must be one of: ${Object.keys(cfg.riskProfiles).join(", ")}.`, ephemeral: true });
+      return;
+    }
+    const result = d.entryId ? await editEntry(interaction, d) : await addEntry(interaction, d);
+    if (result.error) {
+      await interaction.reply({ content: result.error, ephemeral: true });
+      return;
+    }
+    joinDrafts.delete(draftKey(gid, userId));
+    await interaction.update({ content: `${result.message} Balance: ${wallet.balance(userAccount(userId))}c`, embeds: [], components: [] });
+    await syncGiveawayMessage(result.g);
+    return;
   }
+  saveDraft(d);
+  await interaction.update(joinForm(d, g, cfg));
 }
 
-// ---------- Discord interaction handlers ----------
-client.on(Events.InteractionCreate, async (interaction) => {
+// Giveaways each subcommand can act on
+function autocompleteMatches(sub, g) {
+  switch (sub) {
+    case "end":
+    case "cancel": return !g.ended;
+    case "reroll": return g.ended && !g.cancelled && !g.refund && !g.result?.error && !g.pendingResolution;
+    case "retry": return g.ended && (!!g.result?.error || !!g.pendingResolution) && !g.refund;
+    case "refund": return g.ended && !g.cancelled && !g.refund;
+    case "resync": return !g.imported;
+    default: return true;
+  }
+}
+
+// Suggest giveaway IDs from this server for the `id` options
+async function handleGiveawayAutocomplete(interaction) {
+  const focused = interaction.options.getFocused().toLowerCase();
+  const sub = interaction.options.getSubcommand();
+  if (sub === "series" || sub === "unschedule") {
+    const series = await storage.list("series", { where: { guildId: interaction.guildId } });
+    await interaction.respond(series
+      .filter(x => sub === "series" || x.active)
+      .filter(x => !focused || x.id.toLowerCase().includes(focused) || x.name.toLowerCase().includes(focused))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, 25)
+      .map(x => ({ name: `${x.id} — ${x.name}`.slice(0, 100), value: x.id })));
+    return;
+  }
+  const giveaways = await storage.list("giveaways", { where: { guildId: interaction.guildId } });
+  const choices = giveaways
+    .filter(g => autocompleteMatches(sub, g))
+    .filter(g => !focused || g.id.toLowerCase().includes(focused) || String(g.prize).toLowerCase().includes(focused))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, 25)
+    .map(g => ({ name: `${g.id} — ${g.prize}`.slice(0, 100), value: g.id }));
+  await interaction.respond(choices);
+}
+// Log fields of an interaction: the giveaway it is about is the ID in a
+// button, menu or modal custom ID ("join:G-123") or the command's id option
+// (a series ID for the series subcommands)
+function interactionLogFields(interaction) {
+  const fields = { interactionId: interaction.id, userId: interaction.user?.id };
+  if (interaction.customId) return { ...fields, giveawayId: interaction.customId.split(":")[1] || null };
+  if (!interaction.isChatInputCommand() && !interaction.isAutocomplete()) return fields;
+  const id = interaction.options.getString("id") || null;
+  const series = ["series", "unschedule"].includes(interaction.options.getSubcommand(false));
+  return { ...fields, command: interaction.commandName, [series ? "seriesId" : "giveawayId"]: id };
+}
+
+client.on(Events.InteractionCreate, (interaction) => log.withContext(interactionLogFields(interaction), async () => {
   try {
-    if (interaction.isButton()) {
+    if (interaction.isAutocomplete()) {
+      await handleGiveawayAutocomplete(interaction);
+    } else if (interaction.isChatInputCommand()) {
+      if (interaction.commandName === "giveaway") await handleGiveawayCommand(interaction);
+      else if (interaction.commandName === "balance" || interaction.commandName === "history") await handleWalletCommand(interaction);
+    } else if (interaction.isButton()) {
       const [action, gid, ...rest] = interaction.customId.split(":");
       if (action === "join") {
-        // open modal to collect main, tiebreak, stake, choice, riskProfile
-        const modal = new ModalBuilder()
-          .setCustomId(`modal_join:${gid}`)
-          .setTitle("Enter your numbers");
-
-        const mainInput = new TextInputBuilder()
-          .setCustomId("main")
-          .setLabel("Main number (0-100)")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setPlaceholder("e.g. 42");
-
-        const tiebreakInput = new TextInputBuilder()
-          .setCustomId("tiebreak")
-          .setLabel("Tiebreak number (0-100)")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setPlaceholder("e.g. 13");
-
-        const stakeInput = new TextInputBuilder()
-          .setCustomId("stake")
-          .setLabel("Stake (in c) — optional")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(false)
-          .setPlaceholder("default 1");
-
-        const choiceInput = new TextInputBuilder()
-          .setCustomId("choice")
-          .setLabel("Choice: under or over")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setPlaceholder("under or over");
-
-        const riskInput = new TextInputBuilder()
-          .setCustomId("risk")
-          .setLabel("Risk profile (low/high)")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setPlaceholder("low or high");
-
-        modal.addComponents(
-          new ActionRowBuilder().addComponents(mainInput),
-          new ActionRowBuilder().addComponents(tiebreakInput),
-          new ActionRowBuilder().addComponents(stakeInput),
-          new ActionRowBuilder().addComponents(choiceInput),
-          new ActionRowBuilder().addComponents(riskInput)
-        );
-
-        await interaction.showModal(modal);
+        const g = await storage.get("giveaways", gid);
+        if (!g || g.ended) {
+          await interaction.reply({ content: g ? "Giveaway already ended." : "Giveaway not found.", ephemeral: true });
+          return;
+        }
+        const refused = checkEntry(g, entrantContext(interaction));
+        if (refused) {
+          await storage.update("giveaways", gid, (x) => recordRejection(x, refused.code));
+          await audit.record("entry.rejected", { giveawayId: gid, actor: interaction.user.id, data: { code: refused.code, at: "button" } });
+          await interaction.reply({ content: refused.message, ephemeral: true });
+          return;
+        }
+        const cfg = await configFor(g);
+        const draft = newDraft(g, cfg, interaction.user.id);
+        await interaction.reply({ ...joinForm(draft, g, cfg), ephemeral: true });
+      } else if (action === "mine") {
+        const g = await storage.get("giveaways", gid);
+        if (!g) {
+          await interaction.reply({ content: "Giveaway not found.", ephemeral: true });
+          return;
+        }
+        await interaction.reply({ ...myEntries(g, interaction.user.id), ephemeral: true });
+      } else if (JOIN_FORM_ACTIONS.has(action)) {
+        await handleJoinForm(interaction, action, gid, rest);
       } else if (action === "forceend") {
         // Allow admins to force end
-        const data = await loadGiveaways();
-        const g = data.giveaways.find(x => x.id === gid);
+        const g = await storage.get("giveaways", gid);
         if (!g) {
           await interaction.reply({ content: "Giveaway not found", ephemeral: true });
           return;
         }
-        // check permission: user must have ManageGuild or Administrator
-        const member = await interaction.guild.members.fetch(interaction.user.id);
-        if (!member.permissions.has(PermissionsBitField.Flags.Administrator) && !member.permissions.has(PermissionsBitField.Flags.ManageGuild)) {
+        // check permission: ManageGuild, Administrator or the guild's admin role
+        if (!(await canManage(interaction))) {
           await interaction.reply({ content: "You don't have permission to force-end.", ephemeral: true });
           return;
         }
         await interaction.reply({ content: "Force ending giveaway...", ephemeral: true });
-        await resolveGiveaway(gid);
+        await audit.record("giveaway.force_end", { giveawayId: gid, actor: interaction.user.id, data: { via: "button" } });
+        await scheduler.run("giveaway.end", gid);
       } else if (action === "dd_yes" || action === "dd_no") {
         // Double Down buttons
-        const [act,gid, winnerId] = interaction.customId.split(":");
-        const data = await loadGiveaways();
-        const g = data.giveaways.find(x => x.id === gid);
-        if (!g || !g.winner) {
-          await interaction.reply({ content: "Giveaway or winner not found.", ephemeral: true });
-          return;
-        }
+        const [act, gid, winnerId] = interaction.customId.split(":");
         if (interaction.user.id !== winnerId) {
           await interaction.reply({ content: "Only the winner can respond to Double Down.", ephemeral: true });
           return;
         }
-        if (!g.doubleDown || g.doubleDown.state !== "pending") {
-          await interaction.reply({ content: "Double Down no longer available.", ephemeral: true });
+        // the roll may wait on the randomness provider for longer than the
+        // 3 seconds Discord allows before the first answer
+        await interaction.deferReply({ ephemeral: true });
+        let outcome;
+        try {
+          outcome = await playDoubleDown(gid, winnerId, act === "dd_yes" ? "yes" : "no");
+        } catch (e) {
+          log.error("Double Down roll failed:", e);
+          await interaction.editReply("Randomness provider failed for Double Down.");
           return;
         }
-        if (act === "dd_no") {
-          g.doubleDown.state = "no";
-          await saveGiveaways(data);
-          // update message
-          try {
-            const ch = await client.channels.fetch(g.channelId);
-            const msg = await ch.messages.fetch(g.messageId);
-            const embed = EmbedBuilder.from(msg.embeds[0]).setFooter({ text: "Double Down: No" });
-            await msg.edit({ embeds: [embed], components: [] });
-          } catch (e) {}
-          await interaction.reply({ content: "Double Down declined. Congratulations!", ephemeral: true });
+        if (outcome.error) {
+          await interaction.editReply(outcome.error);
           return;
-        } else {
-          // yes: resolve double down by random roll (win threshold >=50)
-          try {
-            const r = await randomOrgInteger(0,100);
-            if (r >= 50) {
-              // win: add entire remaining pot to winner payout
-              const cfg = await loadConfig();
-              const add = g.pot;
-              g.winner.payoutC += add;
-              g.pot = 0;
-              g.doubleDown.state = "yes_win";
-              await saveGiveaways(data);
-              try {
-                const ch = await client.channels.fetch(g.channelId);
-                const msg = await ch.messages.fetch(g.messageId);
-                const embed = EmbedBuilder.from(msg.embeds[0])
-                  .setDescription(`${msg.embeds[0].data.description}\n\nDouble Down result: **WIN** (rolled ${r}). Added ${add}c from pot.`)
-                  .setFooter({ text: "Double Down: Win" });
-                await msg.edit({ embeds: [embed], components: [] });
-              } catch(e){}
-              await interaction.reply({ content: `Double Down WIN! added ${add}c to your payout.`, ephemeral: true });
-            } else {
-              // lose: return the winner's payout base to the pot (we subtract baseWinC)
-              const ret = Math.max(0, Math.floor(g.winner.baseWinC));
-              g.pot += ret;
-              g.winner.payoutC = Math.max(0, g.winner.payoutC - ret);
-              g.doubleDown.state = "yes_lose";
-              await saveGiveaways(data);
-              try {
-                const ch = await client.channels.fetch(g.channelId);
-                const msg = await ch.messages.fetch(g.messageId);
-                const embed = EmbedBuilder.from(msg.embeds[0])
-                  .setDescription(`${msg.embeds[0].data.description}\n\nDouble Down result: **LOSE** (rolled ${r}). Returned ${ret}c to pot.`)
-                  .setFooter({ text: "Double Down: Lose" });
-                await msg.edit({ embeds: [embed], components: [] });
-              } catch(e){}
-              await interaction.reply({ content: `Double Down LOSE. Returned ${ret}c to the pot.`, ephemeral: true });
-            }
-          } catch (e) {
-            await interaction.reply({ content: "Random.org failed for Double Down.", ephemeral: true });
-          }
         }
+        const { g, round } = outcome;
+        const payoutC = winnersOf(g).find(w => w.userId === winnerId).payoutC;
+        const content = !round
+          ? (g.doubleDown.state === "no" ? "Double Down declined. Congratulations!" : `Cashed out with ${payoutC}c. Congratulations!`)
+          : !round.won ? `Double Down LOSE (rolled ${round.roll}). Returned ${round.amount}c to the pot; your payout is ${payoutC}c.`
+          : g.doubleDown.state === "pending" ? `Double Down WIN (rolled ${round.roll})! Added ${round.amount}c, payout now ${payoutC}c. Double again or cash out?`
+          : `Double Down WIN (rolled ${round.roll})! Added ${round.amount}c to your payout: ${payoutC}c.`;
+        await interaction.editReply(content);
       }
+    } else if (interaction.isStringSelectMenu()) {
+      const [action, gid] = interaction.customId.split(":");
+      if (JOIN_FORM_ACTIONS.has(action)) await handleJoinForm(interaction, action, gid, []);
     } else if (interaction.isModalSubmit()) {
       const [prefix, gid] = interaction.customId.split(":");
-      if (prefix === "modal_join") {
-        const main = parseInt(interaction.fields.getTextInputValue("main"));
-        const tiebreak = parseInt(interaction.fields.getTextInputValue("tiebreak"));
-        const stake = parseFloat(interaction.fields.getTextInputValue("stake") || "1");
-        const choice = interaction.fields.getTextInputValue("choice").toLowerCase();
-        const risk = interaction.fields.getTextInputValue("risk").toLowerCase();
-
-        // validate
-        if (isNaN(main) || main < 0 || main > 100) {
-          await interaction.reply({ content: "Invalid main number. Must be 0-100.", ephemeral: true });
-          return;
-        }
-        if (isNaN(tiebreak) || tiebreak < 0 || tiebreak > 100) {
-          await interaction.reply({ content: "Invalid tiebreak number. Must be 0-100.", ephemeral: true });
-          return;
-        }
-        if (!["under","over"].includes(choice)) {
-          await interaction.reply({ content: "Choice must be 'under' or 'over'.", ephemeral: true });
-          return;
-        }
-        if (!["low","high"].includes(risk)) {
-          await interaction.reply({ content: "Risk must be 'low' or 'high'.", ephemeral: true });
-          return;
-        }
-
-        const data = await loadGiveaways();
-        const g = data.giveaways.find(x => x.id === gid);
-        if (!g) {
-          await interaction.reply({ content: "Giveaway not found.", ephemeral: true });
-          return;
-        }
-        if (g.ended) {
-          await interaction.reply({ content: "Giveaway already ended.", ephemeral: true });
-          return;
-        }
-
-        // Save entry
-        const already = g.entries.find(e => e.userId === interaction.user.id);
-        // allow multiple entries per user? We'll allow multiple; it's an entry model
-        g.entries.push({
-          entryId: `${interaction.user.id}-${Date.now()}`,
-          userId: interaction.user.id,
-          username: `${interaction.user.username}#${interaction.user.discriminator}`,
-          main,
-          tiebreak,
-          stakeC: stake,
-          choice,
-          riskProfile: risk,
-          joinedAt: Date.now()
-        });
-
-        await saveGiveaways(data);
-        await interaction.reply({ content: `Joined giveaway with main=${main}, tiebreak=${tiebreak}, choice=${choice}, stake=${stake}c, risk=${risk}`, ephemeral: true });
-
-        // update embed counts
-        try {
-          const ch = await client.channels.fetch(g.channelId);
-          const msg = await ch.messages.fetch(g.messageId);
-          const embed = buildGiveawayEmbed(g).setDescription(`Prize: ${g.prize}\nPot: ${g.pot}c\nEntries: ${g.entries.length}\nEnds: <t:${Math.floor(g.endsAt/1000)}:R>`);
-          await msg.edit({ embeds: [embed] });
-        } catch(e) {}
-      }
+      if (JOIN_FORM_ACTIONS.has(prefix)) await handleJoinForm(interaction, prefix, gid, []);
     }
   } catch (e) {
-    console.error("Interaction handler error:", e);
-  }
-});
-
-client.on(Events.MessageCreate, async (message) => {
-  if (message.author.bot) return;
-  const content = message.content.trim();
-  if (content.startsWith("$start")) {
-    // Usage: $start <durationSeconds> | optional create via command for quick test.
-    const parts = content.split(/\s+/);
-    const duration = parseInt(parts[1] || "60"); // seconds
-    const prize = parts.slice(2).join(" ") || "Test Prize";
-    const data = await loadGiveaways();
-
-    const id = `G-${Date.now()}`;
-    const now = Date.now();
-    const g = {
-      id,
-      title: prize,
-      prize,
-      creatorId: message.author.id,
-      channelId: message.channel.id,
-      messageId: null,
-      createdAt: now,
-      endsAt: now + duration*1000,
-      entries: [],
-      pot: (await loadConfig()).pot,
-      ended: false
-    };
-    data.giveaways.push(g);
-    await saveGiveaways(data);
-
-    // send message with Join button
-    const embed = buildGiveawayEmbed(g).setDescription(`Prize: ${g.prize}\nPot: ${g.pot}c\nEntries: 0\nEnds: <t:${Math.floor(g.endsAt/1000)}:R>`);
-    const joinBtn = new ButtonBuilder().setCustomId(joinButtonId(id)).setLabel("Join").setStyle(ButtonStyle.Primary);
-    const forceBtn = new ButtonBuilder().setCustomId(forceEndButtonId(id)).setLabel("Force End").setStyle(ButtonStyle.Danger);
-    const msg = await message.channel.send({ embeds: [embed], components: [ new ActionRowBuilder().addComponents(joinBtn, forceBtn) ] });
-
-    // save messageId
-    g.messageId = msg.id;
-    await saveGiveaways(data);
-
-    // schedule end
-    setTimeout(() => resolveGiveaway(id), duration*1000);
-    await message.reply(`Started giveaway ${id}, ends in ${duration}s`);
+    counters.interactionErrors.inc();
+    log.error("Interaction handler error:", e);
   }
-});
+}));
 
 // login
 client.login(DISCORD_TOKEN).catch(err => {
-  console.error("Discord login failed:", err);
+  log.error("Discord login failed:", err);
   process.exit(1);
 });
 
 // ---------- Express web server for simple UI / config ----------
 const app = express();
 const PORT = process.env.PORT || 3000;
+
+// ---------- Health ----------
+// For probes, so no login: /healthz fails only when storage does (restart
+// the process), /readyz also while the Discord gateway isn't connected
+// (don't send traffic yet). Both report the same status.
+async function healthStatus() {
+  let storageOk = true;
+  try {
+    await storage.getValue("configVersion");
+  } catch (e) {
+    storageOk = false;
+    log.error("Storage health check failed:", e);
+  }
+  return {
+    storage: { ok: storageOk, driver: storage.driver },
+    discord: { ready: client.isReady(), status: Status[client.ws.status] ?? String(client.ws.status), pingMs: client.ws.ping >= 0 ? client.ws.ping : null },
+    uptimeSec: Math.round(process.uptime())
+  };
+}
+app.get("/healthz", async (req, res) => {
+  const status = await healthStatus();
+  res.set("Cache-Control", "no-cache").status(status.storage.ok ? 200 : 503).json({ ok: status.storage.ok, ...status });
+});
+app.get("/readyz", async (req, res) => {
+  const status = await healthStatus();
+  const ok = status.storage.ok && status.discord.ready;
+  res.set("Cache-Control", "no-cache").status(ok ? 200 : 503).json({ ok, ...status });
+});
+// imports carry whole giveaways; everything else stays under the default limit
+app.use("/api/import", bodyParser.json({ limit: "50mb" }));
 app.use(bodyParser.json());
+
+// auth: viewer reads, operator creates/runs giveaways, admin edits economics
+const auth = createAuth({ storage, botGuildIds: () => new Set(client.guilds.cache.keys()), logger: log });
+await auth.bootstrap();
+const { requireRole } = auth;
+app.use(auth.authenticate);
+app.use(auth.router);
 app.use(express.static(path.join(__dirname, "public")));
 
-// get config
-app.get("/api/config", async (req, res) => {
-  const cfg = await loadConfig();
+// Config routes act on the global config, or on one guild's overrides with
+// ?guildId= (needing that role in the guild)
+const byGuildQuery = { guild: (req) => req.query.guildId };
+const scopedConfig = (req) => (req.query.guildId ? configStore.forGuild(req.query.guildId) : configStore);
+const versionConfig = (v) => v.config ?? v.overrides;
+
+// get config (effective for the guild when ?guildId= is given)
+app.get("/api/config", requireRole("viewer", byGuildQuery), async (req, res) => {
+  const cfg = await loadConfig(req.query.guildId);
   res.json(cfg);
 });
-app.post("/api/config", async (req, res) => {
-  const incoming = req.body;
-  const cfg = await loadConfig();
-  const merged = { ...cfg, ...incoming };
-  await saveConfig(merged);
-  res.json({ ok: true, config: merged });
+// partial updates are deep-merged and validated; each save is a new version
+app.post("/api/config", requireRole("admin", byGuildQuery), async (req, res) => {
+  const guildId = req.query.guildId || null;
+  try {
+    const before = await loadConfig(guildId);
+    const v = await scopedConfig(req).update(req.body, { author: req.principal.name ?? req.principal.id, note: req.query.note ?? null });
+    const config = await loadConfig(guildId);
+    await audit.record("config.updated", { guildId, actor: req.principal.id, data: { version: v.version, note: v.note, changes: diffConfig(before, config) } });
+    res.json({ ok: true, version: v.version, config, ...(guildId ? { overrides: v.overrides } : {}) });
+  } catch (e) {
+    if (e instanceof ConfigValidationError) return res.status(400).json({ error: "invalid config", errors: e.errors });
+    log.error("Config update failed:", e);
+    res.status(500).json({ error: "Config update failed" });
+  }
+});
+// dry run: merged result and validation errors without saving
+app.post("/api/config/validate", requireRole("admin", byGuildQuery), async (req, res) => {
+  const { config } = await scopedConfig(req).current();
+  const merged = deepMerge(config, req.body);
+  const errors = [...(req.query.guildId ? validateGuildOverrides(req.body) : []), ...validateConfig(merged)];
+  res.json({ ok: errors.length === 0, errors, config: merged, changes: diffConfig(config, merged) });
+});
+// Monte-Carlo the economy under the saved config, or with `config` (a patch) applied
+app.post("/api/simulate", requireRole("admin", byGuildQuery), async (req, res) => {
+  const { config: patch, ...input } = req.body || {};
+  const { config: current } = await scopedConfig(req).current();
+  const cfg = patch ? deepMerge(current, patch) : current;
+  const errors = validateConfig(cfg);
+  if (errors.length) return res.status(400).json({ error: "invalid config", errors });
+  if (typeof input.tiers === "string") {
+    input.tiers = parseTiers(input.tiers);
+    if (!input.tiers) return res.status(400).json({ error: "Invalid tiers. Use pot percents per place, e.g. 50,30,20 or 40,3x20." });
+  }
+  const { options, error } = normalizeSimulation(input, cfg);
+  if (error) return res.status(400).json({ error });
+  try {
+    res.json({ ...(await simulateEconomy(options, cfg)), changes: diffConfig(current, cfg) });
+  } catch (e) {
+    log.error("Simulation failed:", e);
+    res.status(500).json({ error: "Simulation failed" });
+  }
+});
+app.get("/api/config/versions", requireRole("viewer", byGuildQuery), async (req, res) => {
+  const versions = await scopedConfig(req).list();
+  res.json({ versions: versions.map(({ config, overrides, ...meta }) => meta) });
+});
+app.get("/api/config/versions/:version", requireRole("viewer", byGuildQuery), async (req, res) => {
+  const v = await scopedConfig(req).get(parseInt(req.params.version));
+  if (!v) return res.status(404).json({ error: "not found" });
+  res.json(v);
+});
+// ?from=3&to=5 (to defaults to the latest version); guild versions diff their overrides
+app.get("/api/config/diff", requireRole("viewer", byGuildQuery), async (req, res) => {
+  const store = scopedConfig(req);
+  const latest = await store.get((await store.current()).version);
+  const a = await store.get(parseInt(req.query.from));
+  const b = req.query.to ? await store.get(parseInt(req.query.to)) : latest;
+  if (!a || !b) return res.status(404).json({ error: "version not found" });
+  res.json({ from: a.version, to: b.version, changes: diffConfig(versionConfig(a), versionConfig(b)) });
+});
+app.post("/api/config/rollback", requireRole("admin", byGuildQuery), async (req, res) => {
+  const guildId = req.query.guildId || null;
+  const version = parseInt(req.body.version);
+  try {
+    const before = await loadConfig(guildId);
+    const v = await scopedConfig(req).rollback(version, { author: req.principal.name ?? req.principal.id, note: req.body.note });
+    if (!v) return res.status(404).json({ error: "version not found" });
+    const config = await loadConfig(guildId);
+    await audit.record("config.rolledback", { guildId, actor: req.principal.id, data: { version: v.version, rollbackOf: version, changes: diffConfig(before, config) } });
+    res.json({ ok: true, version: v.version, config });
+  } catch (e) {
+    if (e instanceof ConfigValidationError) return res.status(400).json({ error: "version no longer valid", errors: e.errors });
+    log.error("Config rollback failed:", e);
+    res.status(500).json({ error: "Config rollback failed" });
+  }
 });
 
-// list giveaways
-app.get("/api/giveaways", async (req, res) => {
-  const data = await loadGiveaways();
-  res.json(data);
+// guilds the caller can see, with their role and config overrides
+app.get("/api/guilds", requireRole("viewer"), async (req, res) => {
+  const visible = visibleGuildIds(req.principal);
+  const ids = visible ?? [...client.guilds.cache.keys()];
+  const guilds = [];
+  for (const id of ids) {
+    const { version, overrides } = await configStore.forGuild(id).current();
+    guilds.push({ id, name: client.guilds.cache.get(id)?.name ?? null, role: roleIn(req.principal, id), configVersion: version, overrides });
+  }
+  res.json({ global: globalRole(req.principal), guilds });
 });
 
-// create giveaway from web UI (channelId required)
-app.post("/api/create", async (req, res) => {
-  const { channelId, durationSec = 60, prize = "Prize from UI" } = req.body;
-  if (!channelId) return res.status(400).json({ error: "channelId required" });
-  const data = await loadGiveaways();
-  const id = `G-${Date.now()}`;
-  const now = Date.now();
-  const cfg = await loadConfig();
-  const g = {
-    id,
-    title: prize,
-    prize,
-    creatorId: "web-ui",
-    channelId,
-    messageId: null,
-    createdAt: now,
-    endsAt: now + durationSec*1000,
-    entries: [],
-    pot: cfg.pot,
-    ended: false
+// list giveaways of the guilds the caller can see (?guildId= for one)
+app.get("/api/giveaways", requireRole("viewer", byGuildQuery), async (req, res) => {
+  const visible = visibleGuildIds(req.principal);
+  const giveaways = req.query.guildId
+    ? await storage.list("giveaways", { where: { guildId: req.query.guildId } })
+    : await storage.list("giveaways", { filter: g => !visible || visible.includes(g.guildId) });
+  res.json({ giveaways: giveaways.map(redactFair) });
+});
+
+// A giveaway (or series) by :id if the caller may see its guild; otherwise
+// sends 404. With a higher `role`, callers who can see it but lack the role get 403.
+async function visibleDoc(collection, req, res, role = "viewer") {
+  const doc = await storage.get(collection, req.params.id);
+  if (!doc || !auth.hasRole(req.principal, "viewer", doc.guildId)) {
+    res.status(404).json({ error: "not found" });
+    return null;
+  }
+  if (!auth.hasRole(req.principal, role, doc.guildId)) {
+    res.status(403).json({ error: `${role} role required in guild ${doc.guildId}` });
+    return null;
+  }
+  return doc;
+}
+const visibleGiveaway = (req, res, role) => visibleDoc("giveaways", req, res, role);
+
+// Live updates (Server-Sent Events): a "giveaway" event with the redacted
+// giveaway whenever it is written, "removed" when it is deleted, and a
+// "series" event when a series changes. Each client only gets documents of
+// guilds it can see (?guildId= for one guild).
+const liveClients = new Set();
+storage.watch(({ collection, id, doc }) => {
+  if (collection !== "giveaways" && collection !== "series") return;
+  for (const c of liveClients) {
+    if (doc && !auth.hasRole(c.principal, "viewer", doc.guildId)) continue;
+    if (doc && c.guildId && doc.guildId !== c.guildId) continue;
+    if (collection === "series") c.res.write(`event: series\ndata: ${JSON.stringify(doc)}\n\n`);
+    else c.res.write(doc ? `event: giveaway\ndata: ${JSON.stringify(redactFair(doc))}\n\n` : `event: removed\ndata: ${JSON.stringify({ id })}\n\n`);
+  }
+});
+// keeps proxies from closing idle streams
+setInterval(() => { for (const c of liveClients) c.res.write(": ping\n\n"); }, 25000).unref();
+
+app.get("/api/events", requireRole("viewer", byGuildQuery), (req, res) => {
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+  const c = { res, principal: req.principal, guildId: req.query.guildId || null };
+  liveClients.add(c);
+  req.on("close", () => liveClients.delete(c));
+});
+
+// dashboard actions, same as the Discord Force End button and /giveaway cancel
+app.post("/api/giveaways/:id/end", requireRole("viewer"), async (req, res) => {
+  const g = await visibleGiveaway(req, res, "operator");
+  if (!g) return;
+  if (g.ended) return res.status(409).json({ error: "Giveaway already ended." });
+  await audit.record("giveaway.force_end", { giveawayId: g.id, actor: `web:${req.principal.id}`, data: { via: "web" } });
+  try {
+    await scheduler.run("giveaway.end", g.id);
+  } catch (e) {
+    log.error("Force end failed:", e);
+    return res.status(500).json({ error: "Force end failed" });
+  }
+  res.json({ ok: true, giveaway: redactFair(await storage.get("giveaways", g.id)) });
+});
+app.post("/api/giveaways/:id/cancel", requireRole("viewer"), async (req, res) => {
+  const g = await visibleGiveaway(req, res, "operator");
+  if (!g) return;
+  const out = await cancelGiveaway(g.id, `web:${req.principal.id}`);
+  if (out.error) return res.status(409).json({ error: out.error });
+  res.json({ ok: true, giveaway: redactFair(out.g) });
+});
+app.post("/api/giveaways/:id/retry", requireRole("viewer"), async (req, res) => {
+  const g = await visibleGiveaway(req, res, "operator");
+  if (!g) return;
+  const out = await retryGiveaway(g.id, `web:${req.principal.id}`);
+  if (out.error) return res.status(409).json({ error: out.error });
+  if (out.g.result?.error) return res.status(502).json({ error: `Resolution failed again: ${out.g.result.message}`, giveaway: redactFair(out.g) });
+  if (out.g.pendingResolution) return res.status(502).json({ error: `Still no randomness: ${out.g.pendingResolution.lastError}. The giveaway stays queued.`, giveaway: redactFair(out.g) });
+  res.json({ ok: true, giveaway: redactFair(out.g) });
+});
+app.post("/api/giveaways/:id/reroll", requireRole("viewer"), async (req, res) => {
+  const g = await visibleGiveaway(req, res, "operator");
+  if (!g) return;
+  const { excludeUserIds = [] } = req.body || {};
+  if (!Array.isArray(excludeUserIds) || !excludeUserIds.every(id => /^\d{5,25}$/.test(String(id)))) {
+    return res.status(400).json({ error: "excludeUserIds must be a list of Discord user IDs." });
+  }
+  const out = await rerollGiveaway(g.id, `web:${req.principal.id}`, { excludeUserIds: excludeUserIds.map(String) });
+  if (out.error) return res.status(409).json({ error: out.error });
+  res.json({ ok: true, giveaway: redactFair(out.g) });
+});
+app.post("/api/giveaways/:id/refund", requireRole("viewer"), async (req, res) => {
+  const g = await visibleGiveaway(req, res, "operator");
+  if (!g) return;
+  const out = await refundGiveaway(g.id, `web:${req.principal.id}`);
+  if (out.error) return res.status(409).json({ error: out.error });
+  res.json({ ok: true, giveaway: redactFair(out.g) });
+});
+// re-render the giveaway's message from stored state; { repost: true } posts it anew
+app.post("/api/giveaways/:id/resync", requireRole("viewer"), async (req, res) => {
+  const g = await visibleGiveaway(req, res, "operator");
+  if (!g) return;
+  const { repost = false } = req.body || {};
+  if (typeof repost !== "boolean") return res.status(400).json({ error: "repost must be true or false." });
+  const out = await resyncGiveaway(g.id, { repost, by: `web:${req.principal.id}` });
+  if (out.error) return res.status(409).json({ error: out.error });
+  res.json({ ok: true, ...out });
+});
+
+// Prometheus metrics across every guild; scrape with an API token that has the
+// global viewer role (Authorization: Bearer ...)
+metrics.onScrape(async () => {
+  const giveaways = await storage.list("giveaways");
+  const counts = Object.fromEntries(["running", "ended", "pending_resolution", "error", "refunded", "cancelled"].map(status => [status, 0]));
+  for (const g of giveaways) counts[lifecycleStatus(g)]++;
+  for (const [status, n] of Object.entries(counts)) gauges.giveaways.set({ status }, n);
+  const running = giveaways.filter(g => !g.ended);
+  gauges.activeEntries.set({}, running.reduce((n, g) => n + g.entries.length, 0));
+  gauges.activePot.set({}, running.reduce((c, g) => c + g.pot, 0));
+  const series = await storage.list("series");
+  gauges.carriedPot.set({}, series.filter(x => x.active).reduce((c, x) => c + (x.carriedPotC ?? 0), 0));
+});
+metrics.onScrape(async () => {
+  const status = await healthStatus();
+  gauges.discordReady.set({}, status.discord.ready ? 1 : 0);
+  gauges.storageUp.set({}, status.storage.ok ? 1 : 0);
+});
+app.get("/metrics", requireRole("viewer"), async (req, res) => {
+  const text = await metrics.render({ onError: (e) => log.error("Metrics collection failed:", e) });
+  res.type("text/plain; version=0.0.4").send(text);
+});
+
+// provably-fair verification: recompute every roll from the revealed seeds
+app.get("/api/giveaways/:id/verify", requireRole("viewer"), async (req, res) => {
+  const g = await visibleGiveaway(req, res);
+  if (!g) return;
+  const pub = redactFair(g);
+  res.json({ id: g.id, fair: pub.fair ?? null, ...verifyGiveaway(pub) });
+});
+
+// RNG audit trail for one giveaway; signed Random.org rolls are re-verified
+app.get("/api/giveaways/:id/rolls", requireRole("viewer"), async (req, res) => {
+  const g = await visibleGiveaway(req, res);
+  if (!g) return;
+  const rolls = [];
+  for (const r of g.rolls || []) {
+    if (r.provider !== "randomorg-signed") { rolls.push(r); continue; }
+    let authentic = null;
+    try {
+      authentic = await verifyRandomOrgSignature(r.evidence, { endpoint: RANDOMORG_URL });
+    } catch (e) {
+      log.error("Signature re-check failed:", e);
+    }
+    rolls.push({ ...r, authentic });
+  }
+  res.json({ id: g.id, rolls });
+});
+
+// ---------- Public results page ----------
+// No login: /g/:id is the page result embeds link to, and it reads the
+// redacted view from /api/public/giveaways/:id (see src/results.js).
+app.get("/api/public/giveaways/:id", async (req, res) => {
+  const g = await storage.get("giveaways", req.params.id);
+  if (!g) return res.status(404).json({ error: "not found" });
+  res.set("Cache-Control", "no-cache");
+  res.json(publicGiveaway(g, await configFor(g)));
+});
+app.get("/g/:id", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "giveaway.html"));
+});
+
+// audit trail for one giveaway, oldest first
+app.get("/api/giveaways/:id/audit", requireRole("viewer"), async (req, res) => {
+  if (!(await visibleGiveaway(req, res))) return;
+  res.json(await audit.query({ ...auditFilters(req.query), giveawayId: req.params.id }));
+});
+
+// Randomness status: the provider chain, the Random.org allowance (?refresh=1
+// asks Random.org instead of using the last known numbers) and the giveaways
+// waiting for a roll, oldest first. With ?guildId= only that guild's queue
+// (admin there); without it every guild's, which needs the global admin role.
+app.get("/api/rng", requireRole("admin", byGuildQuery), async (req, res) => {
+  const usage = req.query.refresh ? await refreshRandomOrgUsage() : randomOrg.usage();
+  const queue = await storage.list("giveaways", { filter: g => !!g.pendingResolution && (!req.query.guildId || g.guildId === req.query.guildId) });
+  res.json({
+    providers: rng.providers,
+    randomOrg: usage,
+    queue: queue
+      .sort((a, b) => a.pendingResolution.since - b.pendingResolution.since)
+      .map(g => ({ id: g.id, guildId: g.guildId ?? null, prize: g.prize, endsAt: g.endsAt, entries: g.entries.length, ...g.pendingResolution }))
+  });
+});
+
+// every event, filtered: ?giveawayId=&type=rng&actor=&since=&until=&afterSeq=&limit=
+// With ?guildId= only that guild's events (operator there); without it the
+// whole log, which needs the global operator role.
+app.get("/api/audit", requireRole("operator", byGuildQuery), async (req, res) => {
+  const filters = auditFilters(req.query);
+  const guildId = req.query.guildId;
+  if (guildId) {
+    const ids = (await storage.list("giveaways", { where: { guildId } })).map(g => g.id);
+    filters.guildIds = [guildId];
+    filters.giveawayIds = new Set(ids);
+  }
+  res.json(await audit.query(filters));
+});
+
+function auditFilters(q) {
+  const time = (v) => (v == null ? undefined : /^\d+$/.test(v) ? parseInt(v) : Date.parse(v) || undefined);
+  return {
+    giveawayId: q.giveawayId || undefined,
+    type: q.type || undefined,
+    actor: q.actor || undefined,
+    since: time(q.since),
+    until: time(q.until),
+    afterSeq: parseInt(q.afterSeq) || 0,
+    limit: Math.min(parseInt(q.limit) || 100, 1000)
   };
-  data.giveaways.push(g);
-  await saveGiveaways(data);
+}
 
-  // Post to channel using bot (if bot is in that guild & channel)
+// ---------- Wallets ----------
+// Wallets are shared by every guild, so reading them takes the global admin
+// role: a guild's admins don't get to see what members did elsewhere.
+// balances of every member wallet plus the houses (`house` is the shared one)
+app.get("/api/wallets", requireRole("admin"), async (req, res) => {
+  res.json({ house: wallet.balance(HOUSE), houses: wallet.accounts("house:"), mint: wallet.balance(MINT), wallets: wallet.accounts("user:") });
+});
+app.get("/api/wallets/:userId", requireRole("admin"), async (req, res) => {
+  const account = userAccount(req.params.userId);
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  res.json({ account, balance: wallet.balance(account), history: await wallet.history(account, { limit }) });
+});
+// Fund the house of `guildId`, or the shared one without it; giveaways waiting
+// for it are paid right away. Coins come from the mint, or with from: "house"
+// out of the shared house, e.g. to hand a guild its part of what the house
+// held before guilds had their own.
+app.post("/api/wallets/house/grant", requireRole("admin"), async (req, res) => {
+  const amount = Number(req.body.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return res.status(400).json({ error: "amount must be a positive number" });
+  const guildId = req.body.guildId ?? null;
+  if (guildId != null && !/^\d{5,25}$/.test(guildId)) return res.status(400).json({ error: "guildId must be a Discord server ID" });
+  if (![undefined, "mint", "house"].includes(req.body.from)) return res.status(400).json({ error: "from must be mint or house" });
+  const from = req.body.from === "house" ? HOUSE : MINT;
+  const house = houseAccount(guildId);
+  if (from === house) return res.status(400).json({ error: "from: house needs a guildId" });
+  let tx;
   try {
-    const ch = await client.channels.fetch(channelId);
-    const embed = buildGiveawayEmbed(g).setDescription(`Prize: ${g.prize}\nPot: ${g.pot}c\nEntries: 0\nEnds: <t:${Math.floor(g.endsAt/1000)}:R>`);
-    const joinBtn = new ButtonBuilder().setCustomId(joinButtonId(id)).setLabel("Join").setStyle(ButtonStyle.Primary);
-    const forceBtn = new ButtonBuilder().setCustomId(forceEndButtonId(id)).setLabel("Force End").setStyle(ButtonStyle.Danger);
-    const msg = await ch.send({ embeds: [embed], components: [ new ActionRowBuilder().addComponents(joinBtn, forceBtn) ] });
-    g.messageId = msg.id;
-    await saveGiveaways(data);
-    // schedule resolution
-    setTimeout(() => resolveGiveaway(id), durationSec*1000);
-    res.json({ ok: true, id });
+    tx = await wallet.transfer(from, house, amount, { type: "grant", by: req.principal.id, memo: req.body.memo ?? null });
   } catch (e) {
-    console.error("Failed to post to channel:", e);
+    if (e instanceof InsufficientFundsError) return res.status(409).json({ error: e.message });
+    log.error("House grant failed:", e);
+    return res.status(500).json({ error: "Grant failed" });
+  }
+  // the grant stands even if paying the waiting giveaways goes wrong
+  const paid = await payAwaitingHouse(guildId).catch((e) => {
+    log.error("Paying giveaways waiting for the house failed:", e);
+    return [];
+  });
+  for (const g of paid) await syncGiveawayMessage(g);
+  res.json({ ok: true, tx, house, balance: wallet.balance(house), paidGiveawayIds: paid.map(g => g.id) });
+});
+// credit coins from the mint
+app.post("/api/wallets/:userId/grant", requireRole("admin"), async (req, res) => {
+  const amount = Number(req.body.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return res.status(400).json({ error: "amount must be a positive number" });
+  await wallet.ensureUser(req.params.userId);
+  const tx = await wallet.transfer(MINT, userAccount(req.params.userId), amount, { type: "grant", by: req.principal.id, memo: req.body.memo ?? null });
+  res.json({ ok: true, tx, balance: wallet.balance(userAccount(req.params.userId)) });
+});
+// correct a balance up or down; taking a wallet below zero needs force: true
+app.post("/api/wallets/:userId/adjust", requireRole("admin"), async (req, res) => {
+  const amount = Number(req.body.amount);
+  if (!Number.isFinite(amount) || amount === 0) return res.status(400).json({ error: "amount must be a non-zero number" });
+  const account = userAccount(req.params.userId);
+  await wallet.ensureUser(req.params.userId);
+  try {
+    const tx = await wallet.post({
+      type: "adjust",
+      by: req.principal.id,
+      memo: req.body.memo ?? null,
+      allowNegative: req.body.force ? [account] : [],
+      postings: [{ account, amount }, { account: MINT, amount: -amount }]
+    });
+    res.json({ ok: true, tx, balance: wallet.balance(account) });
+  } catch (e) {
+    if (e instanceof InsufficientFundsError) return res.status(409).json({ error: e.message });
+    log.error("Wallet adjust failed:", e);
+    res.status(500).json({ error: "Wallet adjust failed" });
+  }
+});
+
+// Giveaway options from a web request body: { input } or { error }
+function giveawayFromBody(body) {
+  const { durationSec = 60, duration, prize = "Prize from UI", pot, maxEntries, winners, eligibility, fair = false, clientSeed = "", doubleDown = null, mode, embed } = body;
+  // duration may be given as seconds (durationSec) or a string like "2h30m"
+  const durationMs = duration != null ? parseDuration(duration) : Number(durationSec) * 1000;
+  // tiers: [{ name?, winners?, potPercent }] or the slash command form "50,30,20"
+  const tiers = typeof body.tiers === "string" ? parseTiers(body.tiers) : body.tiers;
+  if (tiers === null) return { error: "Invalid tiers string. Use e.g. 50,30,20 or 40,3x20." };
+  const invalid = validateGiveawayInput({ durationMs, prize, pot, maxEntries, winners, tiers, eligibility, mode });
+  if (invalid) return { error: invalid };
+  if (doubleDown != null && typeof doubleDown !== "boolean") return { error: "doubleDown must be true or false." };
+  const embedErrors = embed != null ? validateEmbedTemplate(embed) : [];
+  if (embedErrors.length) return { error: embedErrors.map(e => `${e.path} ${e.message}`).join("; ") };
+  return { input: { prize, durationMs, pot, maxEntries, winners, tiers, eligibility, fair, clientSeed, doubleDown, mode, embed } };
+}
+
+// The channel's guild, checking the caller may post there. Sends the error
+// response and returns undefined when not.
+async function postableGuild(req, res, channelId) {
+  let guildId;
+  try {
+    guildId = (await client.channels.fetch(channelId)).guildId ?? null;
+  } catch (e) {
+    res.status(400).json({ error: "Unknown channel, or the bot can't see it." });
+    return undefined;
+  }
+  if (!auth.hasRole(req.principal, "operator", guildId)) {
+    res.status(403).json({ error: `operator role required in guild ${guildId}` });
+    return undefined;
+  }
+  return guildId;
+}
+
+// create giveaway from web UI (channelId required); with `startAt` it is scheduled instead
+app.post("/api/create", requireRole("viewer"), async (req, res) => {
+  const { channelId, startAt } = req.body;
+  if (!channelId) return res.status(400).json({ error: "channelId required" });
+  const { input, error } = giveawayFromBody(req.body);
+  if (error) return res.status(400).json({ error });
+  const scheduled = startAt != null ? validateSeriesSchedule({ kind: "once", at: startAt }, input.durationMs) : null;
+  if (scheduled?.error) return res.status(400).json({ error: scheduled.error });
+  // operators may only post into guilds where they have the role
+  const guildId = await postableGuild(req, res, channelId);
+  if (guildId === undefined) return;
+  if (scheduled) {
+    const out = await createSeries({ channelId, guildId, creatorId: `web:${req.principal.id}`, schedule: scheduled.schedule, template: input });
+    if (out.error) return res.status(400).json({ error: out.error });
+    return res.json({ ok: true, seriesId: out.s.id, startsAt: out.s.nextRunAt });
+  }
+  try {
+    const g = await createGiveaway({ channelId, guildId, creatorId: `web:${req.principal.id}`, ...input });
+    res.json({ ok: true, id: g.id });
+  } catch (e) {
+    log.error("Failed to post to channel:", e);
     res.status(500).json({ error: "Failed to post to channel. Bot may not be in guild or channelId invalid." });
   }
 });
 
+// ---------- Export / import ----------
+const MAX_IMPORT = 5000;
+
+// "2026-10-01", an ISO date or ms; undefined when absent, null when invalid
+function timeParam(v) {
+  if (v == null || v === "") return undefined;
+  const t = /^\d+$/.test(v) ? Number(v) : Date.parse(v);
+  return Number.isNaN(t) ? null : t;
+}
+
+// ?format=json (default) or csv, as a download
+async function sendExport(res, giveaways, format, basename) {
+  const records = await Promise.all(giveaways.map(async g => ({ g, cfg: await configFor(g) })));
+  if (format === "csv") {
+    res.attachment(`${basename}.csv`);
+    return res.type("text/csv").send(exportCsv(records));
+  }
+  res.attachment(`${basename}.json`);
+  res.json(exportJson(records));
+}
+
+app.get("/api/giveaways/:id/export", requireRole("viewer"), async (req, res) => {
+  const g = await visibleGiveaway(req, res);
+  if (!g) return;
+  await sendExport(res, [g], req.query.format, g.id);
+});
+// giveaways created between ?from= and ?to= (either may be left out)
+app.get("/api/export", requireRole("viewer", byGuildQuery), async (req, res) => {
+  const from = timeParam(req.query.from);
+  const to = timeParam(req.query.to);
+  if (from === null || to === null) return res.status(400).json({ error: "from/to must be dates (YYYY-MM-DD, ISO) or ms timestamps." });
+  const visible = visibleGuildIds(req.principal);
+  const giveaways = (await storage.list("giveaways", req.query.guildId ? { where: { guildId: req.query.guildId } } : { filter: g => !visible || visible.includes(g.guildId) }))
+    .filter(g => (from == null || g.createdAt >= from) && (to == null || g.createdAt <= to))
+    .sort((a, b) => a.createdAt - b.createdAt);
+  const range = [req.query.from, req.query.to].filter(Boolean).join("_to_") || "all";
+  await sendExport(res, giveaways, req.query.format, `giveaways-${range}`.replace(/[^\w.-]/g, "-"));
+});
+
+// First free "<id>-iN" for an imported giveaway whose ID is taken
+async function freeImportId(id) {
+  for (let n = 1; ; n++) {
+    if (!(await storage.get("giveaways", `${id}-i${n}`))) return `${id}-i${n}`;
+  }
+}
+
+// Restore one giveaway from an export (as read by readImportedGiveaway).
+// Wallets don't move between instances, so the imported copy has no ledger:
+// nothing is paid, held or refunded for it here. A running giveaway is
+// scheduled to end; its message must be one this bot can edit. Overwriting
+// needs admin in the existing giveaway's guild, which must be the same.
+async function importGiveaway({ giveaway, ledger }, { onConflict, by, principal }) {
+  const originalId = giveaway.id;
+  const existing = await storage.get("giveaways", originalId);
+  let id = originalId;
+  if (existing) {
+    if (onConflict === "skip") return { action: "skipped", reason: "ID already exists" };
+    if (!giveaway.ended) return { action: "skipped", reason: "ID already exists and a running giveaway can't be renamed or overwrite another: its buttons carry the ID" };
+    if (onConflict === "overwrite") {
+      if ((existing.guildId ?? null) !== (giveaway.guildId ?? null)) return { action: "rejected", reason: "the existing giveaway belongs to another guild" };
+      if (!auth.hasRole(principal, "admin", existing.guildId ?? null)) return { action: "rejected", reason: `admin role required in guild ${existing.guildId}` };
+      if (!existing.ended) return { action: "skipped", reason: "the existing giveaway is still running" };
+    }
+    if (onConflict === "rename") id = await freeImportId(originalId);
+  }
+  const g = { ...giveaway, id, ledger: null, imported: { at: Date.now(), by, originalId, ledger } };
+  if (existing && onConflict === "overwrite") {
+    await storage.update("giveaways", id, (doc) => {
+      for (const key of Object.keys(doc)) delete doc[key];
+      Object.assign(doc, g);
+    });
+  } else {
+    await storage.insert("giveaways", g);
+  }
+  for (const job of jobsFromGiveaways([g])) scheduler.schedule(job.type, job.id, job.runAt);
+  await audit.record("giveaway.imported", { giveawayId: id, guildId: g.guildId ?? null, actor: by, data: { originalId, onConflict: existing ? onConflict : null, ended: !!g.ended } });
+  return { id, action: !existing ? "imported" : onConflict === "rename" ? "renamed" : "overwritten" };
+}
+
+// Body: a JSON export. ?onConflict=skip (default), rename or overwrite for IDs
+// that already exist here. Needs admin in each giveaway's guild.
+app.post("/api/import", requireRole("viewer"), async (req, res) => {
+  const onConflict = req.query.onConflict ?? "skip";
+  if (!["skip", "rename", "overwrite"].includes(onConflict)) return res.status(400).json({ error: "onConflict must be skip, rename or overwrite." });
+  const body = req.body || {};
+  if (body.format !== EXPORT_FORMAT || !Array.isArray(body.giveaways)) return res.status(400).json({ error: `Expected a ${EXPORT_FORMAT} JSON file.` });
+  if (body.giveaways.length > MAX_IMPORT) return res.status(400).json({ error: `At most ${MAX_IMPORT} giveaways per import.` });
+  const results = [];
+  for (const record of body.giveaways) {
+    const raw = record?.raw;
+    const read = readImportedGiveaway(raw);
+    const originalId = typeof raw?.id === "string" ? raw.id : null;
+    if (read.error) { results.push({ originalId, action: "rejected", reason: read.error }); continue; }
+    const guildId = read.giveaway.guildId ?? null;
+    if (!auth.hasRole(req.principal, "admin", guildId)) { results.push({ originalId, action: "rejected", reason: `admin role required in guild ${guildId}` }); continue; }
+    try {
+      results.push({ originalId, ...(await importGiveaway(read, { onConflict, by: `web:${req.principal.id}`, principal: req.principal })) });
+    } catch (e) {
+      log.error(`Import of ${originalId} failed:`, e);
+      results.push({ originalId, action: "failed", reason: e.message });
+    }
+  }
+  const counts = {};
+  for (const r of results) counts[r.action] = (counts[r.action] ?? 0) + 1;
+  res.json({ ok: true, counts, results });
+});
+
+// ---------- Series API ----------
+// { channelId, name?, schedule, ...giveaway options as for /api/create }
+app.post("/api/series", requireRole("viewer"), async (req, res) => {
+  const { channelId, name, schedule: scheduleInput } = req.body;
+  if (!channelId) return res.status(400).json({ error: "channelId required" });
+  if (name != null && (typeof name !== "string" || name.length > 100)) return res.status(400).json({ error: "Name must be at most 100 characters." });
+  const { input, error } = giveawayFromBody(req.body);
+  if (error) return res.status(400).json({ error });
+  const checked = validateSeriesSchedule(scheduleInput, input.durationMs);
+  if (checked.error) return res.status(400).json({ error: checked.error });
+  const guildId = await postableGuild(req, res, channelId);
+  if (guildId === undefined) return;
+  const out = await createSeries({ channelId, guildId, creatorId: `web:${req.principal.id}`, name, schedule: checked.schedule, template: input });
+  if (out.error) return res.status(400).json({ error: out.error });
+  res.json({ ok: true, series: out.s });
+});
+app.get("/api/series", requireRole("viewer", byGuildQuery), async (req, res) => {
+  const visible = visibleGuildIds(req.principal);
+  const series = req.query.guildId
+    ? await storage.list("series", { where: { guildId: req.query.guildId } })
+    : await storage.list("series", { filter: s => !visible || visible.includes(s.guildId) });
+  res.json({ series });
+});
+app.get("/api/series/:id", requireRole("viewer"), async (req, res) => {
+  const s = await visibleDoc("series", req, res);
+  if (!s) return;
+  res.json({ series: s, history: await seriesHistory(s.id) });
+});
+app.post("/api/series/:id/stop", requireRole("viewer"), async (req, res) => {
+  const s = await visibleDoc("series", req, res, "operator");
+  if (!s) return;
+  const out = await stopSeries(s.id, `web:${req.principal.id}`);
+  if (out.error) return res.status(409).json({ error: out.error });
+  res.json({ ok: true, series: out.s });
+});
+
+// ---------- Webhooks API ----------
+// Endpoints of a guild need admin there; endpoints without a guild get every
+// guild's events and need the global admin role.
+const webhookVisible = (req) => (h) => auth.hasRole(req.principal, "admin", h.guildId ?? null);
+
+app.get("/api/webhooks", requireRole("viewer"), async (req, res) => {
+  const hooks = await storage.list("webhooks", { filter: webhookVisible(req) });
+  res.json({ events: WEBHOOK_EVENTS, webhooks: hooks.map(publicWebhook) });
+});
+// { url, events?: ["giveaway.created", ...] or ["*"], guildId?, description? }
+// The response holds the signing secret; later reads only show its last characters.
+app.post("/api/webhooks", requireRole("admin", { guild: (req) => req.body?.guildId }), async (req, res) => {
+  const body = req.body || {};
+  if (body.guildId != null && !/^\d{5,25}$/.test(String(body.guildId))) return res.status(400).json({ error: "guildId must be a Discord server ID." });
+  const { webhook, error } = normalizeWebhook(body, { allowPrivate: WEBHOOK_ALLOW_PRIVATE });
+  if (error) return res.status(400).json({ error });
+  const h = await webhooks.create({ ...webhook, guildId: body.guildId != null ? String(body.guildId) : null, createdBy: `web:${req.principal.id}` });
+  await audit.record("webhook.created", { guildId: h.guildId, actor: `web:${req.principal.id}`, data: { webhookId: h.id, url: h.url, events: h.events } });
+  res.json({ ok: true, webhook: h });
+});
+// { url?, events?, active?, description? }
+app.patch("/api/webhooks/:id", requireRole("viewer"), async (req, res) => {
+  const h = await visibleDoc("webhooks", req, res, "admin");
+  if (!h) return;
+  const { webhook, error } = normalizeWebhook(req.body || {}, { partial: true, allowPrivate: WEBHOOK_ALLOW_PRIVATE });
+  if (error) return res.status(400).json({ error });
+  const updated = await storage.update("webhooks", h.id, (x) => Object.assign(x, webhook));
+  await audit.record("webhook.updated", { guildId: h.guildId, actor: `web:${req.principal.id}`, data: { webhookId: h.id, changes: webhook } });
+  res.json({ ok: true, webhook: publicWebhook(updated) });
+});
+app.delete("/api/webhooks/:id", requireRole("viewer"), async (req, res) => {
+  const h = await visibleDoc("webhooks", req, res, "admin");
+  if (!h) return;
+  await storage.remove("webhooks", h.id);
+  await audit.record("webhook.deleted", { guildId: h.guildId, actor: `web:${req.principal.id}`, data: { webhookId: h.id, url: h.url } });
+  res.json({ ok: true });
+});
+app.post("/api/webhooks/:id/rotate-secret", requireRole("viewer"), async (req, res) => {
+  const h = await visibleDoc("webhooks", req, res, "admin");
+  if (!h) return;
+  const updated = await webhooks.rotateSecret(h.id);
+  await audit.record("webhook.secret_rotated", { guildId: h.guildId, actor: `web:${req.principal.id}`, data: { webhookId: h.id } });
+  res.json({ ok: true, webhook: updated });
+});
+// Send a webhook.ping and report the first attempt
+app.post("/api/webhooks/:id/test", requireRole("viewer"), async (req, res) => {
+  const h = await visibleDoc("webhooks", req, res, "admin");
+  if (!h) return;
+  const delivery = await webhooks.test(h.id);
+  res.json({ ok: delivery.status === "delivered", delivery });
+});
+// ?status=pending|delivered|failed&limit=
+app.get("/api/webhooks/:id/deliveries", requireRole("viewer"), async (req, res) => {
+  const h = await visibleDoc("webhooks", req, res, "admin");
+  if (!h) return;
+  const { status } = req.query;
+  if (status && !["pending", "delivered", "failed"].includes(status)) return res.status(400).json({ error: "status must be pending, delivered or failed." });
+  const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 50));
+  res.json({ deliveries: await webhooks.deliveries({ webhookId: h.id, status, limit }) });
+});
+// Replay every failed delivery of the endpoint
+app.post("/api/webhooks/:id/replay", requireRole("viewer"), async (req, res) => {
+  const h = await visibleDoc("webhooks", req, res, "admin");
+  if (!h) return;
+  const replayed = await webhooks.replayFailed(h.id);
+  await audit.record("webhook.replayed", { guildId: h.guildId, actor: `web:${req.principal.id}`, data: { webhookId: h.id, deliveries: replayed } });
+  res.json({ ok: true, replayed });
+});
+// Replay one delivery (failed or delivered)
+app.post("/api/webhooks/:id/deliveries/:deliveryId/replay", requireRole("viewer"), async (req, res) => {
+  const h = await visibleDoc("webhooks", req, res, "admin");
+  if (!h) return;
+  const d = await storage.get("webhookDeliveries", req.params.deliveryId);
+  if (!d || d.webhookId !== h.id) return res.status(404).json({ error: "not found" });
+  const out = await webhooks.replay(d.id);
+  if (out.error) return res.status(409).json({ error: out.error });
+  await audit.record("webhook.replayed", { guildId: h.guildId, actor: `web:${req.principal.id}`, data: { webhookId: h.id, deliveryId: d.id } });
+  res.json({ ok: true, delivery: out });
+});
+
 app.listen(PORT, () => {
-  console.log(`Web UI running at http://localhost:${PORT}`);
+  log.info(`Web UI running at http://localhost:${PORT}`, { port: Number(PORT) });
 });
@@ -0,0 +1,36 @@
+/**
+ * scripts/migrate-storage.js
+ * Copy all data between storage drivers, e.g. legacy JSON files into SQLite.
+ *
+ * Usage: node scripts/migrate-storage.js [from=json] [to=sqlite]
+ * Uses DATA_DIR and SQLITE_FILE like the bot. Existing documents in the
+ * target are left alone, so the script can be re-run safely.
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { createStorage, migrateStorage } from "../src/storage/index.js";
+import { createJsonDriver } from "../src/storage/json.js";
+import { createSqliteDriver } from "../src/storage/sqlite.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, "giveaways.db");
+
+async function open(name) {
+  const driver = name === "json" ? createJsonDriver({ dataDir: DATA_DIR })
+    : name === "sqlite" ? await createSqliteDriver({ file: SQLITE_FILE })
+    : null;
+  if (!driver) throw new Error(`Unknown driver: ${name}`);
+  const storage = createStorage(driver);
+  await storage.init();
+  return storage;
+}
+
+const [from = "json", to = "sqlite"] = process.argv.slice(2);
+const src = await open(from);
+const dst = await open(to);
+const counts = await migrateStorage(src, dst);
+await src.close();
+await dst.close();
+console.log(`Migrated ${from} -> ${to}:`, counts);
@@ -0,0 +1,109 @@
+/**
+ * scripts/randomorg-stub.js
+ * Local stand-in for the Random.org JSON-RPC API, for trying out the RNG
+ * providers without an API key or network.
+ *
+ * Usage: node scripts/randomorg-stub.js [port=4001]
+ * Then start the bot with RANDOMORG_ENDPOINT=http://localhost:<port>/ and any
+ * RANDOMORG_API_KEY. It answers generateIntegers, generateSignedIntegers,
+ * verifySignature and getUsage. Signatures are an HMAC with a key of its own,
+ * so verifySignature only accepts payloads this stub signed.
+ *
+ * To watch the chain fall back: FAIL=generateSignedIntegers (comma separated
+ * methods) answers those with FAIL_CODE (default 100, "temporarily
+ * unavailable"; 402 and 403 are the used-up allowances), and
+ * BAD_SIGNATURE=true makes verifySignature reject everything.
+ *
+ * `createRandomOrgStub(options)` is the same server for tests.
+ */
+
+import crypto from "crypto";
+import http from "http";
+import { pathToFileURL } from "url";
+
+const ERROR_MESSAGES = {
+  100: "The API is temporarily unavailable",
+  402: "Your daily request allowance has been exceeded",
+  403: "Your daily bit allowance has been exceeded",
+  [-32601]: "Method not found"
+};
+
+// `fail`: methods to answer with error `failCode`; `requests` counts the
+// calls per method; `log(method, errorCode)` is told about each call
+export function createRandomOrgStub({ fail = [], failCode = 100, badSignature = false, bitsLeft = 250000, requestsLeft = 1000, log = () => {} } = {}) {
+  const secret = crypto.randomBytes(32);
+  const sign = (random) => crypto.createHmac("sha256", secret).update(JSON.stringify(random)).digest("base64");
+  const requests = {};
+  let serial = 0;
+
+  const usage = () => ({ bitsLeft, requestsLeft, advisoryDelay: 0 });
+  function integers({ n, min, max }) {
+    const data = Array.from({ length: n }, () => crypto.randomInt(min, max + 1));
+    const bitsUsed = Math.ceil(Math.log2(max - min + 1)) * n;
+    bitsLeft -= bitsUsed;
+    requestsLeft--;
+    return { data, bitsUsed };
+  }
+
+  const methods = {
+    generateIntegers(params) {
+      const { data, bitsUsed } = integers(params);
+      return { random: { data, completionTime: new Date().toISOString() }, bitsUsed, ...usage() };
+    },
+    generateSignedIntegers(params) {
+      const { data, bitsUsed } = integers(params);
+      const random = {
+        method: "generateSignedIntegers",
+        hashedApiKey: crypto.createHash("sha512").update(String(params.apiKey)).digest("base64"),
+        n: params.n,
+        min: params.min,
+        max: params.max,
+        replacement: params.replacement,
+        base: 10,
+        data,
+        completionTime: new Date().toISOString(),
+        serialNumber: ++serial
+      };
+      return { random, signature: sign(random), cost: 0, bitsUsed, ...usage() };
+    },
+    verifySignature({ random, signature }) {
+      return { authenticity: !badSignature && signature === sign(random) };
+    },
+    getUsage() {
+      return { status: "running", creationTime: new Date().toISOString(), totalBits: 0, totalRequests: 0, ...usage() };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      let rpc;
+      try {
+        rpc = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      } catch {
+        return res.writeHead(400).end();
+      }
+      requests[rpc.method] = (requests[rpc.method] ?? 0) + 1;
+      const code = fail.includes(rpc.method) ? failCode : methods[rpc.method] ? null : -32601;
+      log(rpc.method, code);
+      const body = code != null
+        ? { jsonrpc: "2.0", error: { code, message: ERROR_MESSAGES[code] ?? "Error", data: null }, id: rpc.id }
+        : { jsonrpc: "2.0", result: methods[rpc.method](rpc.params ?? {}), id: rpc.id };
+      res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+    });
+  });
+
+  return { server, requests };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.argv[2] ?? 4001);
+  const { server } = createRandomOrgStub({
+    fail: (process.env.FAIL ?? "").split(",").map(s => s.trim()).filter(Boolean),
+    failCode: Number(process.env.FAIL_CODE ?? 100),
+    badSignature: process.env.BAD_SIGNATURE === "true",
+    log: (method, code) => console.log(`${new Date().toISOString()} ${method} -> ${code == null ? "ok" : `error ${code}`}`)
+  });
+  server.listen(port, () => console.log(`Random.org stub on http://localhost:${port}/`));
+}
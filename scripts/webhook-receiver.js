@@ -0,0 +1,60 @@
+/**
+ * scripts/webhook-receiver.js
+ * Local webhook receiver for trying out the bot's outbound webhooks.
+ *
+ * Usage: WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port=4000]
+ * Start the bot with WEBHOOK_ALLOW_PRIVATE=true (webhooks may not reach
+ * localhost otherwise), register http://localhost:<port>/ with
+ * POST /api/webhooks, then put the returned secret in WEBHOOK_SECRET. Every request is printed with whether
+ * its signature checks out; bad signatures get a 401. FAIL_FIRST=n answers
+ * the first n requests with a 500, to watch the retries.
+ *
+ * `createWebhookReceiver(options)` is the same server for tests.
+ */
+
+import http from "http";
+import { pathToFileURL } from "url";
+import { verifySignature } from "../src/webhooks.js";
+
+// `received` lists every request as { headers, body, payload, valid, status };
+// `log(request)` is told about each one
+export function createWebhookReceiver({ secret, failFirst = 0, log = () => {} } = {}) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      const valid = secret ? verifySignature(secret, {
+        timestamp: req.headers["x-webhook-timestamp"],
+        body,
+        signature: req.headers["x-webhook-signature"]
+      }) : null;
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch {}
+      const status = valid === false ? 401 : failFirst-- > 0 ? 500 : 200;
+      const request = { headers: req.headers, body, payload, valid, status };
+      received.push(request);
+      log(request);
+      res.writeHead(status, { "Content-Type": "text/plain" }).end(status === 200 ? "ok" : "no");
+    });
+  });
+  return { server, received };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.argv[2] ?? 4000);
+  const secret = process.env.WEBHOOK_SECRET;
+  if (!secret) console.warn("WEBHOOK_SECRET not set: signatures can't be checked.");
+  const { server } = createWebhookReceiver({
+    secret,
+    failFirst: Number(process.env.FAIL_FIRST ?? 0),
+    log: ({ headers, payload, valid, status }) => {
+      console.log(`${new Date().toISOString()} ${headers["x-webhook-event"]} ${headers["x-webhook-id"]} signature=${valid == null ? "unchecked" : valid ? "ok" : "BAD"} -> ${status}`);
+      if (payload) console.log(JSON.stringify(payload.data, null, 2));
+    }
+  });
+  server.listen(port, () => console.log(`Webhook receiver on http://localhost:${port}/`));
+}
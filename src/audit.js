@@ -0,0 +1,52 @@
+/**
+ * src/audit.js
+ * Append-only audit log of giveaway state transitions.
+ *
+ * Every event is one record on the "audit" stream:
+ *   { seq, at, type, giveawayId, guildId, actor, data }
+ * Types are dotted, grouped by what they describe: giveaway.created,
+ * entry.added, entry.rejected, rng.roll, rng.failed, winners.selected,
+ * doubledown.decided, config.updated, ... Records are never rewritten, so the
+ * log can be used to answer disputes after the giveaway object has moved on.
+ *
+ * Recording never throws: a failed append is logged and the action that
+ * triggered it carries on.
+ */
+
+export function createAuditLog({ storage, logger = console }) {
+  async function record(type, { giveawayId = null, guildId = null, actor = null, data = {} } = {}) {
+    try {
+      return await storage.append("audit", { at: Date.now(), type, giveawayId, guildId, actor, data });
+    } catch (e) {
+      logger.error(`Audit append failed (${type}):`, e);
+      return null;
+    }
+  }
+
+  // `type` matches exactly or as a prefix: "rng" matches rng.roll and rng.failed.
+  // `guildIds` limits to events of those guilds, or of the giveaways listed in
+  // `giveawayIds` (most giveaway events don't repeat the guild). `giveawayId`
+  // and `actor` are selected by storage.
+  function matches(ev, { guildIds, giveawayIds, type, since, until }) {
+    if (guildIds && !guildIds.includes(ev.guildId) && !giveawayIds?.has(ev.giveawayId)) return false;
+    if (type && ev.type !== type && !ev.type.startsWith(type + ".")) return false;
+    if (since && ev.at < since) return false;
+    if (until && ev.at > until) return false;
+    return true;
+  }
+
+  // Oldest first. Page with afterSeq = the last seq seen.
+  async function query({ afterSeq = 0, limit = 100, giveawayId, actor, ...filters } = {}) {
+    const where = {};
+    if (giveawayId) where.giveawayId = giveawayId;
+    if (actor) where.actor = actor;
+    const { guildIds, type, since, until } = filters;
+    const filter = guildIds || type || since || until ? ev => matches(ev, filters) : undefined;
+    // one more than a page, to know whether there is a next one
+    const events = await storage.read("audit", { afterSeq, where, filter, limit: limit + 1 });
+    const page = events.slice(0, limit);
+    return { events: page, nextAfterSeq: events.length > limit ? page[page.length - 1].seq : null };
+  }
+
+  return { record, query };
+}
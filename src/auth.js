@@ -0,0 +1,307 @@
+/**
+ * src/auth.js
+ * Authentication and role-based access for the web API and UI.
+ *
+ * Roles, lowest to highest: viewer (read giveaways), operator (create and run
+ * giveaways), admin (economics, wallets, tokens). A higher role can do
+ * everything a lower one can.
+ *
+ * Callers are identified by, in order:
+ *  - `Authorization: Bearer <token>`: the ADMIN_TOKEN env var or an API token
+ *    created through /api/tokens (stored hashed)
+ *  - a session cookie, set by POST /auth/login (with an API token) or by
+ *    Discord OAuth2 login, where the role comes from the user's permissions in
+ *    guilds the bot is in: Administrator -> admin, Manage Server -> operator,
+ *    any other member -> viewer.
+ *
+ * Sessions don't keep a copy of the caller's role. A token login keeps the
+ * token's hash and looks the token up on every request, so deleting the token
+ * (or changing ADMIN_TOKEN) ends its sessions. A Discord login keeps the
+ * user's OAuth access token and reads their guilds again every
+ * ROLE_REFRESH_MS; once Discord refuses the access token the session ends.
+ *
+ * Access is per guild. Discord logins carry a role for each guild; API tokens
+ * may be limited to some guilds (`guildIds`). Such guild-scoped callers are
+ * only viewers of global resources; global admin actions need ADMIN_TOKEN
+ * or an unscoped token.
+ */
+
+import crypto from "crypto";
+import express from "express";
+
+export const ROLES = ["viewer", "operator", "admin"];
+const rank = (role) => ROLES.indexOf(role);
+
+const SESSION_COOKIE = "gw_session";
+const STATE_COOKIE = "gw_oauth_state";
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const ROLE_REFRESH_MS = 5 * 60 * 1000;
+const DISCORD_API = "https://discord.com/api/v10";
+const PERM_ADMINISTRATOR = 0x8n;
+const PERM_MANAGE_GUILD = 0x20n;
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+const newSecret = (prefix) => `${prefix}_${crypto.randomBytes(24).toString("hex")}`;
+
+function parseCookies(header = "") {
+  const out = {};
+  for (const part of header.split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+function cookie(name, value, { maxAgeMs, secure }) {
+  return `${name}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure ? "; Secure" : ""}`;
+}
+
+// Role of a principal in one guild, or null if they can't see it
+export function roleIn(principal, guildId) {
+  if (!principal) return null;
+  if (principal.guilds) return principal.guilds[guildId] ?? null;
+  if (principal.guildIds) return principal.guildIds.includes(guildId) ? principal.role : null;
+  return principal.role;
+}
+
+// Role for resources that don't belong to a guild
+export function globalRole(principal) {
+  if (!principal) return null;
+  return principal.guilds || principal.guildIds ? "viewer" : principal.role;
+}
+
+// Guild IDs a principal may see; null means every guild
+export function visibleGuildIds(principal) {
+  if (principal?.guilds) return Object.keys(principal.guilds);
+  if (principal?.guildIds) return principal.guildIds;
+  return null;
+}
+
+export function hasRole(principal, role, guildId) {
+  const have = guildId == null ? globalRole(principal) : roleIn(principal, guildId);
+  return have != null && rank(have) >= rank(role);
+}
+
+// Highest role a Discord user gets from guilds the bot is in
+export function roleFromGuilds(guilds, botGuildIds) {
+  const perGuild = {};
+  for (const g of guilds) {
+    if (!botGuildIds.has(g.id)) continue;
+    const perms = BigInt(g.permissions ?? 0);
+    perGuild[g.id] = (perms & PERM_ADMINISTRATOR) ? "admin" : (perms & PERM_MANAGE_GUILD) ? "operator" : "viewer";
+  }
+  const roles = Object.values(perGuild);
+  const role = roles.reduce((best, r) => (rank(r) > rank(best) ? r : best), null);
+  return { role, guilds: perGuild };
+}
+
+export function createAuth({ storage, botGuildIds = () => new Set(), env = process.env, logger = console }) {
+  const adminToken = env.ADMIN_TOKEN || null;
+  const secureCookies = env.COOKIE_SECURE === "true";
+  const oauth = env.DISCORD_CLIENT_ID && env.DISCORD_CLIENT_SECRET && env.OAUTH_REDIRECT_URI
+    ? { clientId: env.DISCORD_CLIENT_ID, clientSecret: env.DISCORD_CLIENT_SECRET, redirectUri: env.OAUTH_REDIRECT_URI }
+    : null;
+
+  // With no way to log in at all, mint a one-off admin token so the UI is reachable
+  async function bootstrap() {
+    if (adminToken || oauth) return;
+    const tokens = await storage.list("apiTokens");
+    if (tokens.length) return;
+    const { token } = await createToken({ name: "bootstrap", role: "admin", createdBy: "system" });
+    logger.warn(`No ADMIN_TOKEN, API tokens or Discord OAuth configured. Generated admin token (shown once): ${token}`);
+  }
+
+  async function createToken({ name, role, guildIds = null, createdBy }) {
+    const token = newSecret("gat");
+    const doc = { id: `T-${crypto.randomBytes(6).toString("hex")}`, name, role, guildIds, hash: sha256(token), createdAt: Date.now(), createdBy };
+    await storage.insert("apiTokens", doc);
+    return { token, doc };
+  }
+
+  const adminPrincipal = () => ({ kind: "token", id: "admin-token", name: "ADMIN_TOKEN", role: "admin" });
+
+  // the caller a token (by its hash) stands for, or null once it's gone
+  async function principalFromTokenHash(hash) {
+    if (adminToken && hash === sha256(adminToken)) return adminPrincipal();
+    const [doc] = await storage.list("apiTokens", { where: { hash } });
+    if (!doc) return null;
+    return doc.guildIds?.length
+      ? { kind: "token", id: doc.id, name: doc.name, role: doc.role, guildIds: doc.guildIds }
+      : { kind: "token", id: doc.id, name: doc.name, role: doc.role };
+  }
+
+  async function principalFromToken(token) {
+    if (adminToken && token.length === adminToken.length && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(adminToken))) {
+      return adminPrincipal();
+    }
+    return principalFromTokenHash(sha256(token));
+  }
+
+  // The Discord user's roles from their current guilds, or null when Discord
+  // refuses the access token. Throws on other failures.
+  async function discordPrincipal(accessToken) {
+    const headers = { Authorization: `Bearer ${accessToken}` };
+    const [userRes, guildsRes] = await Promise.all([
+      fetch(`${DISCORD_API}/users/@me`, { headers }),
+      fetch(`${DISCORD_API}/users/@me/guilds`, { headers })
+    ]);
+    if (userRes.status === 401 || guildsRes.status === 401) return null;
+    if (!userRes.ok || !guildsRes.ok) throw new Error(`Discord API error: ${userRes.ok ? guildsRes.status : userRes.status}`);
+    const [user, guilds] = await Promise.all([userRes.json(), guildsRes.json()]);
+    const { role, guilds: guildRoles } = roleFromGuilds(Array.isArray(guilds) ? guilds : [], botGuildIds());
+    return { kind: "discord", id: user.id, name: user.username, role, guilds: guildRoles };
+  }
+
+  // `fields`: { tokenHash } for a token login, or { principal, accessToken }
+  // for a Discord one
+  async function createSession(res, fields) {
+    const sid = newSecret("gws");
+    await storage.insert("sessions", { id: sha256(sid), ...fields, rolesCheckedAt: Date.now(), createdAt: Date.now(), expiresAt: Date.now() + SESSION_TTL_MS });
+    res.setHeader("Set-Cookie", cookie(SESSION_COOKIE, sid, { maxAgeMs: SESSION_TTL_MS, secure: secureCookies }));
+  }
+
+  async function principalFromSession(sid) {
+    const s = await storage.get("sessions", sha256(sid));
+    if (!s) return null;
+    if (s.expiresAt < Date.now()) {
+      await storage.remove("sessions", s.id);
+      return null;
+    }
+    if (s.tokenHash) return principalFromTokenHash(s.tokenHash);
+    // older sessions kept only a copy of the principal: log in again
+    if (!s.accessToken) {
+      await storage.remove("sessions", s.id);
+      return null;
+    }
+    if (Date.now() - s.rolesCheckedAt < ROLE_REFRESH_MS) return s.principal;
+    let principal;
+    try {
+      principal = await discordPrincipal(s.accessToken);
+    } catch (e) {
+      // Discord is unreachable: keep the roles read last, and try again next request
+      logger.warn("Could not refresh Discord roles:", e);
+      return s.principal;
+    }
+    if (!principal?.role) {
+      await storage.remove("sessions", s.id);
+      return null;
+    }
+    await storage.update("sessions", s.id, (doc) => {
+      doc.principal = principal;
+      doc.rolesCheckedAt = Date.now();
+    });
+    return principal;
+  }
+
+  // Middleware: sets req.principal (or null). Never rejects by itself.
+  async function authenticate(req, res, next) {
+    try {
+      const header = req.get("authorization") || "";
+      const bearer = header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+      if (bearer) req.principal = await principalFromToken(bearer);
+      else {
+        const sid = parseCookies(req.get("cookie"))[SESSION_COOKIE];
+        req.principal = sid ? await principalFromSession(sid) : null;
+      }
+      next();
+    } catch (e) {
+      next(e);
+    }
+  }
+
+  // `guild(req)` picks the guild the request is about; without one (or when it
+  // returns nothing) the global role is checked
+  function requireRole(role, { guild } = {}) {
+    return (req, res, next) => {
+      if (!req.principal) return res.status(401).json({ error: "authentication required" });
+      const guildId = guild?.(req) || null;
+      if (!hasRole(req.principal, role, guildId)) {
+        return res.status(403).json({ error: guildId ? `${role} role required in guild ${guildId}` : `${role} role required` });
+      }
+      next();
+    };
+  }
+
+  const router = express.Router();
+
+  router.get("/auth/me", (req, res) => {
+    if (!req.principal) return res.status(401).json({ error: "not logged in", discordLogin: !!oauth });
+    res.json({ principal: req.principal, discordLogin: !!oauth });
+  });
+
+  // log in to the web UI with an API token
+  router.post("/auth/login", async (req, res) => {
+    const token = typeof req.body?.token === "string" ? req.body.token.trim() : null;
+    const principal = token ? await principalFromToken(token) : null;
+    if (!principal) return res.status(401).json({ error: "invalid token" });
+    await createSession(res, { tokenHash: sha256(token) });
+    res.json({ ok: true, principal });
+  });
+
+  router.post("/auth/logout", async (req, res) => {
+    const sid = parseCookies(req.get("cookie"))[SESSION_COOKIE];
+    if (sid) await storage.remove("sessions", sha256(sid));
+    res.setHeader("Set-Cookie", cookie(SESSION_COOKIE, "", { maxAgeMs: 0, secure: secureCookies }));
+    res.json({ ok: true });
+  });
+
+  router.get("/auth/discord", (req, res) => {
+    if (!oauth) return res.status(404).json({ error: "Discord login is not configured" });
+    const state = crypto.randomBytes(16).toString("hex");
+    res.setHeader("Set-Cookie", cookie(STATE_COOKIE, state, { maxAgeMs: 10 * 60 * 1000, secure: secureCookies }));
+    const params = new URLSearchParams({ client_id: oauth.clientId, redirect_uri: oauth.redirectUri, response_type: "code", scope: "identify guilds", state });
+    res.redirect(`https://discord.com/oauth2/authorize?${params}`);
+  });
+
+  router.get("/auth/discord/callback", async (req, res) => {
+    if (!oauth) return res.status(404).json({ error: "Discord login is not configured" });
+    const { code, state } = req.query;
+    if (!code || !state || parseCookies(req.get("cookie"))[STATE_COOKIE] !== state) {
+      return res.status(400).send("Invalid OAuth state. Please try logging in again.");
+    }
+    try {
+      const tokenRes = await fetch(`${DISCORD_API}/oauth2/token`, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ client_id: oauth.clientId, client_secret: oauth.clientSecret, grant_type: "authorization_code", code, redirect_uri: oauth.redirectUri })
+      });
+      if (!tokenRes.ok) throw new Error(`token exchange failed: ${tokenRes.status}`);
+      const { access_token } = await tokenRes.json();
+      const principal = await discordPrincipal(access_token);
+      if (!principal) throw new Error("access token refused");
+      if (!principal.role) return res.status(403).send("You are not a member of any server this bot is in.");
+      await createSession(res, { principal, accessToken: access_token });
+      res.redirect("/");
+    } catch (e) {
+      logger.error("Discord OAuth login failed:", e);
+      res.status(502).send("Discord login failed.");
+    }
+  });
+
+  // API token management (admin)
+  router.get("/api/tokens", requireRole("admin"), async (req, res) => {
+    const tokens = await storage.list("apiTokens");
+    res.json({ tokens: tokens.map(({ hash, ...t }) => t) });
+  });
+  router.post("/api/tokens", requireRole("admin"), async (req, res) => {
+    const { name, role = "viewer", guildIds = null } = req.body ?? {};
+    if (!name || typeof name !== "string") return res.status(400).json({ error: "name required" });
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(", ")}` });
+    if (guildIds != null && (!Array.isArray(guildIds) || !guildIds.length || !guildIds.every(id => /^\d{5,25}$/.test(String(id))))) {
+      return res.status(400).json({ error: "guildIds must be a non-empty list of guild IDs" });
+    }
+    const { token, doc } = await createToken({ name, role, guildIds: guildIds?.map(String) ?? null, createdBy: req.principal.id });
+    const { hash, ...pub } = doc;
+    res.json({ ok: true, token, ...pub });
+  });
+  // the token's sessions stop working with it; they are removed too
+  router.delete("/api/tokens/:id", requireRole("admin"), async (req, res) => {
+    const doc = await storage.get("apiTokens", req.params.id);
+    if (!doc) return res.status(404).json({ error: "not found" });
+    await storage.remove("apiTokens", req.params.id);
+    for (const s of await storage.list("sessions", { where: { tokenHash: doc.hash } })) await storage.remove("sessions", s.id);
+    res.json({ ok: true });
+  });
+
+  return { authenticate, requireRole, hasRole, router, bootstrap };
+}
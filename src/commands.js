@@ -0,0 +1,203 @@
+/**
+ * src/commands.js
+ * Application (slash) command definitions and option parsing.
+ *
+ * The handlers live in app.js next to the other interaction handlers; this
+ * module only describes the commands and who may run them.
+ */
+
+import { SlashCommandBuilder } from "discord.js";
+import { MAX_WINNERS } from "./engine.js";
+import { GAME_MODES } from "./modes.js";
+import { CONFIG_SCHEMA } from "./config.js";
+
+const modeChoices = Object.values(GAME_MODES).map(m => ({ name: m.label, value: m.name }));
+
+// Who may run each /giveaway subcommand. "manage" = ManageGuild or Administrator.
+export const SUBCOMMAND_PERMISSIONS = {
+  start: "manage",
+  end: "manage",
+  cancel: "manage",
+  reroll: "manage",
+  retry: "manage",
+  refund: "manage",
+  resync: "manage",
+  schedule: "manage",
+  unschedule: "manage",
+  series: "everyone",
+  list: "everyone",
+  info: "everyone"
+};
+
+export const MIN_DURATION_MS = 10 * 1000;
+export const MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const idOption = (o) => o.setName("id").setDescription("Giveaway ID").setRequired(true).setAutocomplete(true);
+const seriesIdOption = (o) => o.setName("id").setDescription("Series ID").setAutocomplete(true);
+
+export const giveawayCommand = new SlashCommandBuilder()
+  .setName("giveaway")
+  .setDescription("Manage giveaways")
+  .setDMPermission(false)
+  .addSubcommand(sc => sc
+    .setName("start")
+    .setDescription("Start a giveaway in this channel")
+    .addStringOption(o => o.setName("duration").setDescription("How long it runs, e.g. 2h30m, 45m, 1d").setRequired(true))
+    .addStringOption(o => o.setName("prize").setDescription("What the winner gets").setRequired(true).setMaxLength(200))
+    .addIntegerOption(o => o.setName("pot").setDescription("Pot in c (defaults to the configured pot)").setMinValue(0).setMaxValue(CONFIG_SCHEMA.pot.max))
+    .addIntegerOption(o => o.setName("max_entries").setDescription("Maximum number of entries").setMinValue(1))
+    .addIntegerOption(o => o.setName("winners").setDescription("Number of winners sharing the pot (default 1)").setMinValue(1).setMaxValue(MAX_WINNERS))
+    .addStringOption(o => o.setName("tiers").setDescription("Pot % per place, e.g. 50,30,20 or 40,3x20 (3 winners share 20%)").setMaxLength(100))
+    .addRoleOption(o => o.setName("required_role").setDescription("Only members with this role can join"))
+    .addRoleOption(o => o.setName("blocked_role").setDescription("Members with this role can't join"))
+    .addIntegerOption(o => o.setName("min_account_age").setDescription("Minimum Discord account age in days").setMinValue(0))
+    .addIntegerOption(o => o.setName("min_member_days").setDescription("Minimum days in this server").setMinValue(0))
+    .addIntegerOption(o => o.setName("max_per_user").setDescription("Maximum entries per member").setMinValue(1))
+    .addNumberOption(o => o.setName("min_stake").setDescription("Minimum stake in c").setMinValue(0))
+    .addNumberOption(o => o.setName("max_stake").setDescription("Maximum stake in c").setMinValue(0))
+    .addBooleanOption(o => o.setName("fair").setDescription("Provably fair (commit–reveal) mode"))
+    .addBooleanOption(o => o.setName("double_down").setDescription("Offer first place Double Down (default: as configured)"))
+    .addStringOption(o => o.setName("mode").setDescription("Game mode (default: under / over)").addChoices(...modeChoices)))
+  .addSubcommand(sc => sc
+    .setName("end")
+    .setDescription("End a giveaway now and roll the result")
+    .addStringOption(idOption))
+  .addSubcommand(sc => sc
+    .setName("cancel")
+    .setDescription("Cancel a running giveaway without rolling")
+    .addStringOption(idOption))
+  .addSubcommand(sc => sc
+    .setName("list")
+    .setDescription("List giveaways in this server")
+    .addStringOption(o => o.setName("status").setDescription("Which giveaways to show").addChoices(
+      { name: "active", value: "active" },
+      { name: "ended", value: "ended" },
+      { name: "all", value: "all" }
+    )))
+  .addSubcommand(sc => sc
+    .setName("info")
+    .setDescription("Show details of a giveaway")
+    .addStringOption(idOption))
+  .addSubcommand(sc => sc
+    .setName("reroll")
+    .setDescription("Pick new winners, excluding the given members (default: the previous winners)")
+    .addStringOption(idOption)
+    .addUserOption(o => o.setName("exclude").setDescription("Member to leave out of the new draw"))
+    .addUserOption(o => o.setName("exclude_2").setDescription("Another member to leave out"))
+    .addUserOption(o => o.setName("exclude_3").setDescription("Another member to leave out")))
+  .addSubcommand(sc => sc
+    .setName("retry")
+    .setDescription("Resolve again a giveaway whose rolls failed or are still pending")
+    .addStringOption(idOption))
+  .addSubcommand(sc => sc
+    .setName("refund")
+    .setDescription("Return every stake of an ended giveaway and void its result")
+    .addStringOption(idOption))
+  .addSubcommand(sc => sc
+    .setName("resync")
+    .setDescription("Redraw a giveaway's message from its stored state, posting it again if it was deleted")
+    .addStringOption(idOption)
+    .addBooleanOption(o => o.setName("repost").setDescription("Post a new message even if the old one still exists")))
+  .addSubcommand(sc => sc
+    .setName("schedule")
+    .setDescription("Schedule a giveaway in this channel, once or repeating; leftover pot rolls over")
+    .addStringOption(o => o.setName("duration").setDescription("How long each giveaway runs, e.g. 2h30m, 45m, 1d").setRequired(true))
+    .addStringOption(o => o.setName("prize").setDescription("What the winner gets").setRequired(true).setMaxLength(200))
+    .addStringOption(o => o.setName("start").setDescription("First start (UTC): in 2h, 20:00 or 2026-10-20 20:00"))
+    .addStringOption(o => o.setName("repeat").setDescription("Repeat (default: once)").addChoices(
+      { name: "daily", value: "daily" },
+      { name: "weekly", value: "weekly" },
+      { name: "every (interval)", value: "interval" }
+    ))
+    .addStringOption(o => o.setName("time").setDescription("Daily/weekly start time, HH:MM UTC (default: the start time)"))
+    .addStringOption(o => o.setName("days").setDescription("Weekly: days, e.g. mon,wed,fri"))
+    .addStringOption(o => o.setName("every").setDescription("Interval between starts, e.g. 6h"))
+    .addIntegerOption(o => o.setName("runs").setDescription("Stop after this many giveaways").setMinValue(1))
+    .addStringOption(o => o.setName("name").setDescription("Series name (default: the prize)").setMaxLength(100))
+    .addIntegerOption(o => o.setName("pot").setDescription("Pot in c per giveaway, before rollover (defaults to the configured pot)").setMinValue(0).setMaxValue(CONFIG_SCHEMA.pot.max))
+    .addIntegerOption(o => o.setName("max_entries").setDescription("Maximum number of entries").setMinValue(1))
+    .addIntegerOption(o => o.setName("winners").setDescription("Number of winners sharing the pot (default 1)").setMinValue(1).setMaxValue(MAX_WINNERS))
+    .addStringOption(o => o.setName("tiers").setDescription("Pot % per place, e.g. 50,30,20 or 40,3x20").setMaxLength(100))
+    .addBooleanOption(o => o.setName("double_down").setDescription("Offer first place Double Down (default: as configured)"))
+    .addStringOption(o => o.setName("mode").setDescription("Game mode (default: under / over)").addChoices(...modeChoices)))
+  .addSubcommand(sc => sc
+    .setName("series")
+    .setDescription("List scheduled series, or show one series' history")
+    .addStringOption(seriesIdOption))
+  .addSubcommand(sc => sc
+    .setName("unschedule")
+    .setDescription("Stop a series; giveaways already running are not affected")
+    .addStringOption(o => seriesIdOption(o).setRequired(true)));
+
+export const balanceCommand = new SlashCommandBuilder()
+  .setName("balance")
+  .setDescription("Show your coin balance")
+  .setDMPermission(false)
+  .addUserOption(o => o.setName("user").setDescription("Someone else's balance (Manage Server only)"));
+
+export const historyCommand = new SlashCommandBuilder()
+  .setName("history")
+  .setDescription("Show your recent coin transactions")
+  .setDMPermission(false)
+  .addIntegerOption(o => o.setName("limit").setDescription("How many (default 10)").setMinValue(1).setMaxValue(25))
+  .addUserOption(o => o.setName("user").setDescription("Someone else's history (Manage Server only)"));
+
+export const commandDefinitions = [giveawayCommand, balanceCommand, historyCommand].map(c => c.toJSON());
+
+// "2h30m", "1d 4h", "90s", "45" (seconds) -> milliseconds, or null if invalid
+export function parseDuration(input) {
+  const s = String(input ?? "").trim().toLowerCase();
+  if (/^\d+$/.test(s)) return parseInt(s) * 1000;
+  const units = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+  const re = /(\d+)\s*([dhms])/g;
+  let total = 0;
+  let consumed = "";
+  let m;
+  while ((m = re.exec(s))) {
+    total += parseInt(m[1]) * units[m[2]];
+    consumed += m[0];
+  }
+  if (!consumed || consumed.replace(/\s/g, "") !== s.replace(/\s/g, "")) return null;
+  return total;
+}
+
+// Start time -> ms, or null if invalid. All clock times are UTC:
+// "in 2h" / "2h" (from now), "20:00" (the next 20:00), "2026-10-20 20:00", ISO dates.
+export function parseStartTime(input, now = Date.now()) {
+  const s = String(input ?? "").trim();
+  const relative = /^in\s+/i.test(s) || /[dhms]$/i.test(s) ? parseDuration(s.replace(/^in\s+/i, "")) : null;
+  if (relative != null) return now + relative;
+  const hm = /^(\d{1,2}):(\d{2})$/.exec(s);
+  if (hm) {
+    const [h, m] = [parseInt(hm[1]), parseInt(hm[2])];
+    if (h > 23 || m > 59) return null;
+    const day = new Date(now);
+    const t = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), h, m);
+    return t > now ? t : t + 24 * 60 * 60 * 1000;
+  }
+  const dt = /^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})$/.exec(s);
+  const t = dt ? Date.parse(`${dt[1]}T${dt[2].padStart(2, "0")}:${dt[3]}:00Z`) : Date.parse(s);
+  return Number.isNaN(t) ? null : t;
+}
+
+// "50,30,20" -> three single-winner tiers; "40,3x20" -> 1st gets 40%, the next
+// three share 20%. Returns [{ winners, potPercent }] or null if invalid.
+export function parseTiers(input) {
+  const parts = String(input ?? "").split(",").map(p => p.trim().toLowerCase());
+  const tiers = [];
+  for (const part of parts) {
+    const m = /^(?:(\d+)\s*x\s*)?(\d+(?:\.\d+)?)%?$/.exec(part);
+    if (!m) return null;
+    tiers.push({ winners: m[1] ? parseInt(m[1]) : 1, potPercent: parseFloat(m[2]) });
+  }
+  return tiers;
+}
+
+export function formatDuration(ms) {
+  const parts = [];
+  let rest = Math.round(ms / 1000);
+  for (const [u, n] of [["d", 86400], ["h", 3600], ["m", 60], ["s", 1]]) {
+    if (rest >= n) { parts.push(`${Math.floor(rest / n)}${u}`); rest %= n; }
+  }
+  return parts.join("") || "0s";
+}
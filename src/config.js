@@ -0,0 +1,295 @@
+/**
+ * src/config.js
+ * Economics configuration: schema validation, deep-merge updates and version
+ * history.
+ *
+ * Every change is stored as a new immutable version in the "configVersions"
+ * collection (with author, time and an optional note). The highest stored
+ * version is the current one; the "config" and "configVersion" values copy
+ * it so hot paths read it in a single lookup. They are written after the
+ * version, and init() brings them up to date if a crash came in between.
+ * Rolling back writes the old config again as a new version, so history is
+ * never rewritten.
+ *
+ * Guilds inherit the global config and may override any part of it except
+ * GLOBAL_ONLY_FIELDS. Their payouts come out of their own house account (see
+ * src/wallet.js), so a guild's pot and payout settings only cost that guild.
+ * `forGuild(id)` has the same API, but its versions hold only the overrides
+ * (kept in "configVersions" as `<guildId>:v<n>`, with a copy of the highest
+ * in the "guildConfigs" collection); `current()` returns the effective config.
+ */
+
+import { createLocks } from "./storage/lock.js";
+import { TEMPLATE_STRINGS } from "./templates.js";
+
+export class ConfigValidationError extends Error {
+  constructor(errors) {
+    super("Invalid config: " + errors.map(e => `${e.path}: ${e.message}`).join("; "));
+    this.name = "ConfigValidationError";
+    this.errors = errors;
+  }
+}
+
+const num = (min, max, { integer = false } = {}) => ({ type: "number", min, max, integer });
+const bool = { type: "boolean" };
+// free text up to `max` characters
+const text = (max) => ({ type: "string", pattern: /^[\s\S]*$/, max, optional: true });
+const url = { type: "string", pattern: /^https?:\/\/\S{1,2000}$/, optional: true };
+
+// Giveaway message template (see src/templates.js); limits are Discord's
+export const EMBED_TEMPLATE_SCHEMA = {
+  title: text(256),
+  resultTitle: text(256),
+  color: { type: "string", pattern: /^#[0-9a-fA-F]{6}$/, optional: true },
+  image: url,
+  thumbnail: url,
+  description: text(2000),
+  footer: text(1000),
+  strings: { type: "object", optional: true, fields: Object.fromEntries(TEMPLATE_STRINGS.map(k => [k, text(1000)])) }
+};
+
+// Settings guilds can't override: wallets are shared by every guild, so a
+// member's starting balance is the same everywhere
+export const GLOBAL_ONLY_FIELDS = ["startingBalanceC"];
+
+const withoutGlobalOnly = (overrides) => Object.fromEntries(Object.entries(overrides ?? {}).filter(([k]) => !GLOBAL_ONLY_FIELDS.includes(k)));
+
+// Field rules. riskProfiles is a map of profile name -> profile; low and high
+// must always exist because the join form offers them.
+export const CONFIG_SCHEMA = {
+  pot: num(0, 1e9, { integer: true }),
+  conversionRateUSDPerC: num(0, 1e6),
+  houseEdge: num(0, 0.5),
+  startingBalanceC: num(0, 1e9),
+  // role that may run /giveaway admin commands next to Manage Server
+  adminRoleId: { type: "string", pattern: /^\d{5,25}$/, optional: true },
+  riskProfiles: {
+    type: "map",
+    key: /^[a-z][a-z0-9_-]{0,19}$/,
+    required: ["low", "high"],
+    value: { potSharePercent: num(0, 100) }
+  },
+  // Double Down ladder offered to first place (see doubleDown in engine.js);
+  // left out, the original single 50/50 round applies
+  doubleDown: {
+    type: "object",
+    optional: true,
+    fields: {
+      enabled: bool,
+      winAt: num(1, 100, { integer: true }),
+      winPotPercent: num(0, 100),
+      winPayoutMultiplier: num(1, 100),
+      lossPenaltyPercent: num(0, 100),
+      maxRounds: num(1, 10, { integer: true }),
+      deadlineMinutes: num(1, 7 * 24 * 60, { integer: true })
+    }
+  },
+  // how giveaway messages look and read; left out, the default template
+  embed: { type: "object", optional: true, fields: EMBED_TEMPLATE_SCHEMA }
+};
+
+function checkNumber(rule, v, path, errors) {
+  if (typeof v !== "number" || !Number.isFinite(v)) return errors.push({ path, message: "must be a number" });
+  if (rule.integer && !Number.isInteger(v)) errors.push({ path, message: "must be a whole number" });
+  if (v < rule.min || v > rule.max) errors.push({ path, message: `must be between ${rule.min} and ${rule.max}` });
+}
+
+function checkObject(schema, obj, prefix, errors) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return errors.push({ path: prefix || "(root)", message: "must be an object" });
+  for (const key of Object.keys(obj)) {
+    if (!(key in schema)) errors.push({ path: prefix + key, message: "unknown field" });
+  }
+  for (const [key, rule] of Object.entries(schema)) {
+    const path = prefix + key;
+    const v = obj[key];
+    if (v === undefined) { if (!rule.optional) errors.push({ path, message: "is required" }); continue; }
+    if (rule.type === "number") checkNumber(rule, v, path, errors);
+    else if (rule.type === "boolean") {
+      if (typeof v !== "boolean") errors.push({ path, message: "must be true or false" });
+    }
+    else if (rule.type === "object") checkObject(rule.fields, v, path + ".", errors);
+    else if (rule.type === "string") {
+      if (typeof v !== "string" || !rule.pattern.test(v)) errors.push({ path, message: "invalid value" });
+      else if (rule.max != null && v.length > rule.max) errors.push({ path, message: `must be at most ${rule.max} characters` });
+    }
+    else if (rule.type === "map") {
+      if (!v || typeof v !== "object" || Array.isArray(v)) { errors.push({ path, message: "must be an object" }); continue; }
+      for (const name of rule.required) if (!(name in v)) errors.push({ path: `${path}.${name}`, message: "is required" });
+      for (const [name, entry] of Object.entries(v)) {
+        if (!rule.key.test(name)) errors.push({ path: `${path}.${name}`, message: "invalid name" });
+        else checkObject(rule.value, entry, `${path}.${name}.`, errors);
+      }
+    }
+  }
+  return errors;
+}
+
+// Returns a list of { path, message }; empty when valid
+export function validateConfig(cfg) {
+  return checkObject(CONFIG_SCHEMA, cfg, "", []);
+}
+
+// Errors for a guild's overrides (or a patch to them) that set global-only fields
+export function validateGuildOverrides(overrides) {
+  return Object.keys(overrides ?? {}).filter(k => GLOBAL_ONLY_FIELDS.includes(k)).map(path => ({ path, message: "can only be set in the global config" }));
+}
+
+// A giveaway's own message template, checked like the config's `embed`
+export function validateEmbedTemplate(t) {
+  return checkObject(EMBED_TEMPLATE_SCHEMA, t, "embed.", []);
+}
+
+// Objects merge recursively; anything else in the patch replaces the base.
+// A null value removes the key.
+export function deepMerge(base, patch) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) return patch;
+  const out = base && typeof base === "object" && !Array.isArray(base) ? { ...base } : {};
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === null) delete out[k];
+    else out[k] = v && typeof v === "object" && !Array.isArray(v) ? deepMerge(out[k], v) : v;
+  }
+  return out;
+}
+
+// Leaf-level differences between two configs
+export function diffConfig(a, b, prefix = "") {
+  const changes = [];
+  const keys = new Set([...Object.keys(a ?? {}), ...Object.keys(b ?? {})]);
+  for (const k of keys) {
+    const path = prefix + k;
+    const x = a?.[k];
+    const y = b?.[k];
+    const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+    if (isObj(x) && isObj(y)) changes.push(...diffConfig(x, y, path + "."));
+    else if (JSON.stringify(x) !== JSON.stringify(y)) changes.push({ path, from: x, to: y });
+  }
+  return changes;
+}
+
+export function createConfigStore({ storage, defaults, logger = console }) {
+  const { withLock } = createLocks();
+  const versionId = (n) => `v${n}`;
+  const newest = (docs) => docs.reduce((best, d) => (!best || d.version > best.version ? d : best), null);
+
+  async function latest() {
+    return newest(await storage.list("configVersions", { where: { guildId: null } }));
+  }
+
+  function write(config, { author, note = null, rollbackOf = null }) {
+    return withLock("config", async () => {
+      const errors = validateConfig(config);
+      if (errors.length) throw new ConfigValidationError(errors);
+      const prev = await latest();
+      const version = (prev?.version ?? 0) + 1;
+      const doc = { id: versionId(version), version, config, author, note, rollbackOf, createdAt: Date.now() };
+      await storage.insert("configVersions", doc);
+      await storage.setValue("config", config);
+      await storage.setValue("configVersion", version);
+      return doc;
+    });
+  }
+
+  return {
+    // Record the existing config as version 1 the first time; fill in fields
+    // added since (with their defaults) so older configs still validate.
+    async init() {
+      const current = await latest();
+      if (current) {
+        if ((await storage.getValue("configVersion")) !== current.version) {
+          logger.warn(`Stored config value is behind version ${current.version}; bringing it up to date`);
+          await storage.setValue("config", current.config);
+          await storage.setValue("configVersion", current.version);
+        }
+        return;
+      }
+      const existing = (await storage.getValue("config")) ?? {};
+      const config = deepMerge(defaults, existing);
+      if (validateConfig(config).length) {
+        logger.warn("Stored config is invalid; starting version history from defaults:", validateConfig(config));
+        return write(defaults, { author: "system", note: "initial (defaults)" });
+      }
+      return write(config, { author: "system", note: "initial" });
+    },
+
+    current: latest,
+
+    async get(version) {
+      return storage.get("configVersions", versionId(version));
+    },
+
+    async list() {
+      const docs = await storage.list("configVersions", { filter: d => !d.guildId });
+      return docs.sort((a, b) => b.version - a.version);
+    },
+
+    // Deep-merge a (partial) patch into the latest config and store it
+    async update(patch, { author, note }) {
+      const base = (await latest())?.config ?? defaults;
+      return write(deepMerge(base, patch), { author, note });
+    },
+
+    async rollback(version, { author, note }) {
+      const target = await this.get(version);
+      if (!target) return null;
+      return write(target.config, { author, note: note ?? `rollback to v${version}`, rollbackOf: version });
+    },
+
+    forGuild
+  };
+
+  function forGuild(guildId) {
+    const id = (n) => `${guildId}:v${n}`;
+    const latestOverrides = async () => newest(await storage.list("configVersions", { where: { guildId } }));
+
+    function writeOverrides(overrides, { author, note = null, rollbackOf = null }) {
+      return withLock(`config:${guildId}`, async () => {
+        const base = (await latest())?.config ?? defaults;
+        const errors = validateConfig(deepMerge(base, overrides));
+        if (errors.length) throw new ConfigValidationError(errors);
+        const version = ((await latestOverrides())?.version ?? 0) + 1;
+        const doc = { id: id(version), guildId, version, overrides, author, note, rollbackOf, createdAt: Date.now() };
+        await storage.insert("configVersions", doc);
+        const copied = await storage.update("guildConfigs", guildId, (p) => Object.assign(p, { version, overrides, updatedAt: doc.createdAt }));
+        if (!copied) await storage.insert("guildConfigs", { id: guildId, version, overrides, updatedAt: doc.createdAt });
+        return doc;
+      });
+    }
+
+    return {
+      guildId,
+
+      // { version, config (effective), overrides, globalVersion }
+      async current() {
+        const global = await latest();
+        const p = await latestOverrides();
+        const overrides = withoutGlobalOnly(p?.overrides);
+        return { version: p?.version ?? 0, config: deepMerge(global?.config ?? defaults, overrides), overrides, globalVersion: global?.version ?? null };
+      },
+
+      async get(version) {
+        return storage.get("configVersions", id(version));
+      },
+
+      async list() {
+        const docs = await storage.list("configVersions", { where: { guildId } });
+        return docs.sort((a, b) => b.version - a.version);
+      },
+
+      // Deep-merge a patch into the overrides; null drops an override so the
+      // global value applies again. Global-only fields saved before they were
+      // are dropped.
+      async update(patch, { author, note }) {
+        const errors = validateGuildOverrides(patch);
+        if (errors.length) throw new ConfigValidationError(errors);
+        const overrides = deepMerge(withoutGlobalOnly((await latestOverrides())?.overrides), patch) ?? {};
+        return writeOverrides(overrides, { author, note });
+      },
+
+      async rollback(version, { author, note }) {
+        const target = await this.get(version);
+        if (!target) return null;
+        return writeOverrides(withoutGlobalOnly(target.overrides), { author, note: note ?? `rollback to v${version}`, rollbackOf: version });
+      }
+    };
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * src/eligibility.js
+ * Per-giveaway entry rules.
+ *
+ * Rules are stored on the giveaway as `g.eligibility`:
+ *  - requiredRoleIds     member needs at least one of these roles
+ *  - blockedRoleIds      members with any of these roles can't join
+ *  - minAccountAgeDays   Discord account age
+ *  - minMemberDays       time since joining the server
+ *  - maxEntriesPerUser
+ *  - minStakeC, maxStakeC
+ * The total entry cap stays `g.maxEntries`.
+ *
+ * `checkEntry` is run when Join is pressed (without a stake) and again, under
+ * the giveaway lock, when the entry is confirmed. It returns null or
+ * `{ code, message }`; the code is what gets counted in `g.rejections`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNOWFLAKE = /^\d{5,25}$/;
+
+const days = (ms) => Math.floor(ms / DAY_MS);
+const roleList = (ids) => ids.map(id => `<@&${id}>`).join(", ");
+
+// Validate rules from the slash command or web API. Returns { rules } or { error }.
+export function normalizeRules(input = {}) {
+  if (input == null) return { rules: {} };
+  if (typeof input !== "object" || Array.isArray(input)) return { error: "Eligibility rules must be an object." };
+  const rules = {};
+  for (const key of ["requiredRoleIds", "blockedRoleIds"]) {
+    const v = input[key];
+    if (v == null) continue;
+    if (!Array.isArray(v) || !v.every(id => SNOWFLAKE.test(String(id)))) return { error: `${key} must be a list of role IDs.` };
+    if (v.length) rules[key] = [...new Set(v.map(String))];
+  }
+  for (const key of ["minAccountAgeDays", "minMemberDays", "maxEntriesPerUser"]) {
+    const v = input[key];
+    if (v == null) continue;
+    if (!Number.isInteger(v) || v < 0) return { error: `${key} must be a whole number, 0 or more.` };
+    if (key === "maxEntriesPerUser" && v < 1) return { error: "maxEntriesPerUser must be at least 1." };
+    rules[key] = v;
+  }
+  for (const key of ["minStakeC", "maxStakeC"]) {
+    const v = input[key];
+    if (v == null) continue;
+    if (typeof v !== "number" || !Number.isFinite(v) || v < 0) return { error: `${key} must be a number of c, 0 or more.` };
+    rules[key] = v;
+  }
+  if (rules.minStakeC != null && rules.maxStakeC != null && rules.minStakeC > rules.maxStakeC) {
+    return { error: "minStakeC can't be above maxStakeC." };
+  }
+  const blockedAndRequired = (rules.requiredRoleIds ?? []).filter(id => rules.blockedRoleIds?.includes(id));
+  if (blockedAndRequired.length) return { error: "A role can't be both required and blocked." };
+  return { rules };
+}
+
+// Role IDs of an interaction member (GuildMember or the raw API shape)
+export function memberRoleIds(member) {
+  if (!member) return [];
+  if (Array.isArray(member.roles)) return member.roles;
+  return [...(member.roles?.cache?.keys() ?? [])];
+}
+
+export function memberJoinedAt(member) {
+  if (!member) return null;
+  if (member.joinedTimestamp != null) return member.joinedTimestamp;
+  return member.joined_at ? Date.parse(member.joined_at) : null;
+}
+
+// ctx: { userId, roleIds, accountCreatedAt, memberJoinedAt, stakeC?, now? }
+// stakeC is left out when Join is pressed, before the entry form is filled in.
+export function checkEntry(g, ctx) {
+  const rules = g.eligibility ?? {};
+  const now = ctx.now ?? Date.now();
+  const roles = new Set(ctx.roleIds ?? []);
+
+  if (rules.blockedRoleIds?.some(id => roles.has(id))) {
+    return { code: "blocked_role", message: `Members with ${roleList(rules.blockedRoleIds.filter(id => roles.has(id)))} can't join this giveaway.` };
+  }
+  if (rules.requiredRoleIds && !rules.requiredRoleIds.some(id => roles.has(id))) {
+    const which = rules.requiredRoleIds.length === 1 ? "the" : "one of these";
+    return { code: "missing_role", message: `You need ${which} ${roleList(rules.requiredRoleIds)} role${rules.requiredRoleIds.length === 1 ? "" : "s"} to join.` };
+  }
+  if (rules.minAccountAgeDays && ctx.accountCreatedAt != null && now - ctx.accountCreatedAt < rules.minAccountAgeDays * DAY_MS) {
+    return { code: "account_too_new", message: `Your Discord account must be at least ${rules.minAccountAgeDays} days old (yours is ${days(now - ctx.accountCreatedAt)} days).` };
+  }
+  if (rules.minMemberDays) {
+    if (ctx.memberJoinedAt == null || now - ctx.memberJoinedAt < rules.minMemberDays * DAY_MS) {
+      const have = ctx.memberJoinedAt == null ? "" : ` (you joined ${days(now - ctx.memberJoinedAt)} days ago)`;
+      return { code: "member_too_new", message: `You must have been in this server for at least ${rules.minMemberDays} days${have}.` };
+    }
+  }
+  if (g.maxEntries && g.entries.length >= g.maxEntries) return { code: "full", message: "Giveaway is full." };
+  if (rules.maxEntriesPerUser) {
+    const mine = g.entries.filter(e => e.userId === ctx.userId).length;
+    if (mine >= rules.maxEntriesPerUser) {
+      return { code: "max_per_user", message: `You already have ${mine} ${mine === 1 ? "entry" : "entries"} (max ${rules.maxEntriesPerUser} per member).` };
+    }
+  }
+  return ctx.stakeC != null ? checkStake(rules, ctx.stakeC) : null;
+}
+
+// Stake limits alone, for editing an entry that was already let in
+export function checkStake(rules = {}, stakeC) {
+  if (rules.minStakeC != null && stakeC < rules.minStakeC) return { code: "stake_too_low", message: `Stake must be at least ${rules.minStakeC}c.` };
+  if (rules.maxStakeC != null && stakeC > rules.maxStakeC) return { code: "stake_too_high", message: `Stake can be at most ${rules.maxStakeC}c.` };
+  return null;
+}
+
+// Count a refused join on the giveaway record
+export function recordRejection(g, code) {
+  g.rejections = g.rejections || { total: 0, byReason: {} };
+  g.rejections.total++;
+  g.rejections.byReason[code] = (g.rejections.byReason[code] ?? 0) + 1;
+}
+
+// Short human summary for embeds and /giveaway info; empty when unrestricted
+export function describeRules(rules = {}) {
+  const lines = [];
+  if (rules.requiredRoleIds) lines.push(`Requires: ${roleList(rules.requiredRoleIds)}`);
+  if (rules.blockedRoleIds) lines.push(`Not open to: ${roleList(rules.blockedRoleIds)}`);
+  if (rules.minAccountAgeDays) lines.push(`Account at least ${rules.minAccountAgeDays} days old`);
+  if (rules.minMemberDays) lines.push(`In the server for ${rules.minMemberDays}+ days`);
+  if (rules.maxEntriesPerUser) lines.push(`Max ${rules.maxEntriesPerUser} ${rules.maxEntriesPerUser === 1 ? "entry" : "entries"} per member`);
+  if (rules.minStakeC != null || rules.maxStakeC != null) lines.push(`Stake: ${rules.minStakeC ?? 0}c – ${rules.maxStakeC != null ? `${rules.maxStakeC}c` : "any"}`);
+  return lines.join("\n");
+}
@@ -0,0 +1,211 @@
+/**
+ * src/engine.js
+ * Winner selection and payouts.
+ *
+ * Pure functions: randomness comes in through a `pick(n)` callback returning
+ * an index in [0, n), so the same code runs with the RNG chain, a provably
+ * fair seed or anything else.
+ *
+ * Which entries qualify for a roll, how they rank and the odds a stake is
+ * paid at come from the giveaway's game mode (src/modes.js); without one it
+ * is under/over. A giveaway has one or more prize tiers, e.g. 1st/2nd/3rd or
+ * "top 5 split the pot": `{ name, winners, potPercent }`. Qualifying entries
+ * are ranked by the mode, entries still tied are ordered by `pick`. Places
+ * are filled in rank order, one place per member, and each tier's slice of
+ * the pot is split evenly between its winners before the winner's risk
+ * profile share is applied.
+ *
+ * First place may then play Double Down: one or more rounds on a 0-100 roll
+ * (`doubleDown`), with the rules from `doubleDownSettings`.
+ */
+
+import { gameMode, DEFAULT_MODE } from "./modes.js";
+
+export const MAX_WINNERS = 20;
+export const MAX_TIERS = 10;
+
+const ordinal = (n) => {
+  const s = ["th", "st", "nd", "rd"];
+  const v = n % 100;
+  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// "1st", "2nd-5th"
+export function placeLabel(from, to) {
+  return from === to ? ordinal(from) : `${ordinal(from)}-${ordinal(to)}`;
+}
+
+// Build and check the tier list from a winner count and/or tier definitions.
+// Returns { tiers } or { error }.
+export function normalizeTiers({ winners, tiers } = {}) {
+  if (winners != null && (!Number.isInteger(winners) || winners < 1 || winners > MAX_WINNERS)) {
+    return { error: `Winner count must be between 1 and ${MAX_WINNERS}.` };
+  }
+  if (tiers == null || (Array.isArray(tiers) && !tiers.length)) {
+    const n = winners ?? 1;
+    return { tiers: [{ name: n === 1 ? "Winner" : `Top ${n}`, winners: n, potPercent: 100 }] };
+  }
+  if (!Array.isArray(tiers) || tiers.length > MAX_TIERS) return { error: `Give 1-${MAX_TIERS} prize tiers.` };
+  const out = [];
+  let place = 1;
+  for (const t of tiers) {
+    const count = t?.winners ?? 1;
+    if (!Number.isInteger(count) || count < 1) return { error: "Each tier needs at least 1 winner." };
+    if (typeof t.potPercent !== "number" || !Number.isFinite(t.potPercent) || t.potPercent < 0 || t.potPercent > 100) {
+      return { error: "Each tier's pot percent must be between 0 and 100." };
+    }
+    const name = t.name == null || t.name === "" ? placeLabel(place, place + count - 1) : String(t.name).slice(0, 50);
+    out.push({ name, winners: count, potPercent: t.potPercent });
+    place += count;
+  }
+  const total = out.reduce((s, t) => s + t.winners, 0);
+  if (total > MAX_WINNERS) return { error: `At most ${MAX_WINNERS} winners in total.` };
+  if (winners != null && winners !== total) return { error: `Winner count (${winners}) doesn't match the tiers (${total}).` };
+  if (out.reduce((s, t) => s + t.potPercent, 0) > 100) return { error: "Tier pot percents add up to more than 100." };
+  return { tiers: out };
+}
+
+export const winnerCount = (tiers) => tiers.reduce((s, t) => s + t.winners, 0);
+
+// Stored g.winner is a list; giveaways from before tiers hold a single object or null
+export function winnersOf(g) {
+  if (Array.isArray(g.winner)) return g.winner;
+  return g.winner ? [{ place: 1, tier: "Winner", ...g.winner }] : [];
+}
+
+export function qualifies(entry, roll, mode = gameMode(DEFAULT_MODE)) {
+  return mode.qualifies(entry, roll);
+}
+
+// Rank qualifying entries and fill up to `count` places. Exact ties (the
+// mode can't tell them apart) are ordered with `pick`, only as far as needed;
+// `ties` records each draw: the place, the members in it and who was drawn.
+// `roll` is null for modes that don't use one.
+export async function rankEntries(entries, roll, count, pick, { excludedUserIds = [], mode = gameMode(DEFAULT_MODE) } = {}) {
+  const excluded = new Set(excludedUserIds);
+  const cmp = mode.compare(roll);
+  // a member's best entry stands for them
+  const best = new Map();
+  for (const e of entries) {
+    if (excluded.has(e.userId) || !mode.qualifies(e, roll)) continue;
+    const prev = best.get(e.userId);
+    if (!prev || cmp(e, prev) < 0) best.set(e.userId, e);
+  }
+  const sorted = [...best.values()].sort((a, b) => cmp(a, b) || a.joinedAt - b.joinedAt);
+
+  const ranked = [];
+  const ties = [];
+  for (let i = 0; i < sorted.length && ranked.length < count;) {
+    let j = i + 1;
+    while (j < sorted.length && cmp(sorted[i], sorted[j]) === 0) j++;
+    const group = sorted.slice(i, j);
+    while (group.length && ranked.length < count) {
+      if (group.length === 1) {
+        ranked.push(group.pop());
+        continue;
+      }
+      const userIds = group.map(e => e.userId);
+      const index = await pick(group.length);
+      const [drawn] = group.splice(index, 1);
+      ties.push({ place: ranked.length + 1, userIds, index, drawn: drawn.userId });
+      ranked.push(drawn);
+    }
+    i = j;
+  }
+  return { ranked, qualified: sorted.length, ties };
+}
+
+// The entry's winning chance under its mode, and the fair-odds multiplier on
+// its stake less the house edge. `ctx` ({ entries, winners }) matters for
+// modes whose odds depend on the other entries.
+export function entryOdds(entry, houseEdge, mode = gameMode(DEFAULT_MODE), ctx = {}) {
+  const prob = mode.probability(entry, ctx);
+  return { prob, multiplier: prob > 0 ? (1 / prob) * (1 - houseEdge) : 0 };
+}
+
+export function basePayout(entry, houseEdge, mode = gameMode(DEFAULT_MODE), ctx = {}) {
+  const { multiplier } = entryOdds(entry, houseEdge, mode, ctx);
+  const stake = entry.stakeC ?? 1;
+  return Math.floor(stake * multiplier * 100) / 100;
+}
+
+// Turn ranked entries into winner records. Every pot share is computed from
+// the pot as it was at the roll; the caller subtracts `potShareTotal`.
+// `entries` is every entry of the giveaway, for the mode's odds.
+export function assignPrizes(ranked, { tiers, pot, cfg, mode = gameMode(DEFAULT_MODE), entries = ranked }) {
+  const houseEdge = cfg.houseEdge ?? 0.02;
+  const ctx = { entries, winners: winnerCount(tiers) };
+  const winners = [];
+  let place = 0;
+  for (const tier of tiers) {
+    for (let k = 0; k < tier.winners && place < ranked.length; k++, place++) {
+      const e = ranked[place];
+      const profile = cfg.riskProfiles[e.riskProfile] ?? cfg.riskProfiles["low"];
+      const riskPercent = profile?.potSharePercent ?? 0;
+      const baseWinC = basePayout(e, houseEdge, mode, ctx);
+      const potShareC = Math.floor((pot * tier.potPercent * riskPercent) / 10000 / tier.winners);
+      winners.push({
+        place: place + 1,
+        tier: tier.name,
+        userId: e.userId,
+        username: e.username,
+        entryId: e.entryId,
+        main: e.main,
+        tiebreak: e.tiebreak,
+        choice: e.choice,
+        ...(e.low != null ? { low: e.low, high: e.high } : {}),
+        stake: e.stakeC ?? 1,
+        riskProfile: e.riskProfile,
+        payoutC: Math.round((baseWinC + potShareC) * 100) / 100,
+        baseWinC,
+        potShareC
+      });
+    }
+  }
+  return { winners, potShareTotal: winners.reduce((s, w) => s + w.potShareC, 0) };
+}
+
+// Double Down settings (config `doubleDown`); these were the fixed rules
+// before they became configurable, so giveaways without them play the same.
+//   winAt                a round is won when the 0-100 roll is >= winAt
+//   winPotPercent        share of the remaining pot added to the payout on a win
+//   winPayoutMultiplier  the payout is multiplied by this on a win (paid by the house)
+//   lossPenaltyPercent   share of the base win that goes to the pot on a loss
+//   maxRounds            rounds in a row; after each won round the winner may cash out
+//   deadlineMinutes      time to answer each round before it counts as No / cash out
+export const DOUBLE_DOWN_DEFAULTS = {
+  enabled: true,
+  winAt: 50,
+  winPotPercent: 100,
+  winPayoutMultiplier: 1,
+  lossPenaltyPercent: 100,
+  maxRounds: 1,
+  deadlineMinutes: 360
+};
+
+export function doubleDownSettings(cfg) {
+  return { ...DOUBLE_DOWN_DEFAULTS, ...cfg?.doubleDown };
+}
+
+// Chance of winning one round
+export const doubleDownOdds = (settings) => Math.max(0, 101 - settings.winAt) / 101;
+
+// One Double Down round on a 0-100 roll. `ladder` holds what the earlier rounds
+// did: the payout before the first round and what they took from the pot.
+// A win adds winPotPercent of the pot and multiplies the payout; a loss falls
+// back to the starting payout less the penalty, and everything the ladder took
+// from the pot goes back with the penalty.
+// Returns { won, amount, payoutC, pot, potTakenC }: `amount` is what the round
+// added to the payout on a win, or what went back to the pot on a loss.
+export function doubleDown(winner, pot, roll, settings = DOUBLE_DOWN_DEFAULTS, ladder = { startPayoutC: winner.payoutC, potTakenC: 0 }) {
+  if (roll >= settings.winAt) {
+    const fromPot = Math.floor(pot * settings.winPotPercent) / 100;
+    const payoutC = round2(winner.payoutC * settings.winPayoutMultiplier + fromPot);
+    return { won: true, amount: round2(payoutC - winner.payoutC), payoutC, pot: round2(pot - fromPot), potTakenC: round2(ladder.potTakenC + fromPot) };
+  }
+  const penalty = Math.min(ladder.startPayoutC, Math.floor(Math.max(0, winner.baseWinC) * settings.lossPenaltyPercent / 100));
+  const amount = round2(ladder.potTakenC + penalty);
+  return { won: false, amount, payoutC: round2(ladder.startPayoutC - penalty), pot: round2(pot + amount), potTakenC: 0 };
+}
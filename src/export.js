@@ -0,0 +1,257 @@
+/**
+ * src/export.js
+ * Giveaway exports (JSON and CSV) and the checks for importing them.
+ *
+ * The JSON export is one file for both uses: every record has the readable
+ * report (game mode, entries, roll, winners with payouts in c and USD, Double
+ * Down) and, under `raw`, the stored giveaway with unrevealed fair seeds
+ * removed. Import only reads `raw`. CSV is the report flattened to one row per entry, for
+ * spreadsheets; it can't be imported.
+ *
+ * USD amounts use the conversion rate of the config snapshot the giveaway ran
+ * under, not today's rate.
+ */
+
+import { winnersOf } from "./engine.js";
+import { redactFair } from "./fair.js";
+import { validateConfig, validateEmbedTemplate } from "./config.js";
+import { normalizeRules } from "./eligibility.js";
+import { DEFAULT_MODE } from "./modes.js";
+
+export const EXPORT_FORMAT = "giveaway-export";
+export const EXPORT_VERSION = 1;
+
+const iso = (ms) => (ms == null ? null : new Date(ms).toISOString());
+const usd = (c, rate) => Math.round(c * rate * 100) / 100;
+
+export function lifecycleStatus(g) {
+  if (g.cancelled) return "cancelled";
+  if (!g.ended) return "running";
+  if (g.pendingResolution) return "pending_resolution";
+  if (g.result?.error) return "error";
+  if (g.refund) return "refunded";
+  return "ended";
+}
+
+// Double Down outcome; `roll` and `amountC` are the last round's. Giveaways
+// decided before the roll was stored take it from g.rolls.
+function doubleDownReport(g) {
+  const dd = g.doubleDown;
+  if (!dd) return null;
+  const roll = dd.roll ?? g.rolls?.find(r => r.purpose === "doubledown")?.value ?? null;
+  const rounds = (dd.rounds ?? []).map(r => ({ round: r.round, roll: r.roll, won: r.won, amountC: r.amount, payoutC: r.payoutC, at: iso(r.at) }));
+  return { state: dd.state, winnerId: dd.winnerId ?? winnersOf(g)[0]?.userId ?? null, roll, amountC: dd.amount ?? null, rounds };
+}
+
+export function entryReport(e) {
+  return {
+    userId: e.userId,
+    username: e.username,
+    main: e.main,
+    tiebreak: e.tiebreak,
+    choice: e.choice ?? null,
+    low: e.low ?? null,
+    high: e.high ?? null,
+    stakeC: e.stakeC ?? null,
+    riskProfile: e.riskProfile,
+    joinedAt: iso(e.joinedAt)
+  };
+}
+
+// Readable report of one giveaway; `cfg` is the config it ran under
+export function giveawayReport(g, cfg) {
+  const rate = cfg.conversionRateUSDPerC ?? 0;
+  return {
+    id: g.id,
+    guildId: g.guildId ?? null,
+    channelId: g.channelId,
+    prize: g.prize,
+    status: lifecycleStatus(g),
+    mode: g.mode ?? DEFAULT_MODE,
+    createdAt: iso(g.createdAt),
+    endsAt: iso(g.endsAt),
+    pot: g.pot,
+    conversionRateUSDPerC: rate,
+    roll: g.roll ?? null,
+    seriesId: g.series?.id ?? null,
+    entries: g.entries.map(entryReport),
+    winners: winnersOf(g).map(w => ({
+      place: w.place,
+      tier: w.tier,
+      userId: w.userId,
+      username: w.username,
+      payoutC: w.payoutC,
+      payoutUSD: usd(w.payoutC, rate),
+      baseWinC: w.baseWinC,
+      potShareC: w.potShareC
+    })),
+    doubleDown: doubleDownReport(g)
+  };
+}
+
+export function exportJson(records) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    giveaways: records.map(({ g, cfg }) => ({ ...giveawayReport(g, cfg), raw: redactFair(g) }))
+  };
+}
+
+const CSV_COLUMNS = [
+  "giveaway_id", "guild_id", "prize", "status", "created_at", "ends_at", "pot_c", "roll", "usd_per_c",
+  "user_id", "username", "main", "tiebreak", "choice", "stake_c", "risk_profile", "joined_at",
+  "place", "tier", "payout_c", "payout_usd", "double_down", "double_down_roll", "double_down_amount_c",
+  "double_down_rolls", "game_mode", "low", "high"
+];
+
+// Quoted when needed; text starting like a formula is prefixed with ' so
+// spreadsheets don't evaluate a username or prize
+function csvCell(v) {
+  if (v == null) return "";
+  let s = String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One row per entry (one empty row for a giveaway without entries). Winner
+// columns are filled on the entry that won: the member's best entry.
+export function exportCsv(records) {
+  const rows = [CSV_COLUMNS];
+  for (const { g, cfg } of records) {
+    const r = giveawayReport(g, cfg);
+    const head = [r.id, r.guildId, r.prize, r.status, r.createdAt, r.endsAt, r.pot, r.roll, r.conversionRateUSDPerC];
+    // entry index -> winner
+    const won = new Map();
+    winnersOf(g).forEach((w, k) => {
+      const i = w.entryId
+        ? g.entries.findIndex(e => e.entryId === w.entryId)
+        : g.entries.findIndex((e, j) => !won.has(j) && e.userId === w.userId && e.main === w.main && e.tiebreak === w.tiebreak && e.choice === w.choice);
+      if (i >= 0) won.set(i, r.winners[k]);
+    });
+    const entries = r.entries.length ? r.entries : [null];
+    for (const [i, e] of entries.entries()) {
+      const w = won.get(i);
+      const dd = w && r.doubleDown?.winnerId === w.userId ? r.doubleDown : null;
+      rows.push([
+        ...head,
+        e?.userId, e?.username, e?.main, e?.tiebreak, e?.choice, e?.stakeC, e?.riskProfile, e?.joinedAt,
+        w?.place, w?.tier, w?.payoutC, w?.payoutUSD, dd?.state, dd?.roll, dd?.amountC,
+        dd?.rounds.map(x => x.roll).join(" "), r.mode, e?.low, e?.high
+      ]);
+    }
+  }
+  return rows.map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// ---------- Import ----------
+// An import stores only the fields below, each of the type the bot writes
+// itself: anything else in `raw` is dropped, and a known field of the wrong
+// type is dropped too (null is kept wherever the bot may write null). Both
+// web pages and the Discord messages render these fields, so nothing from
+// the file reaches them unchecked.
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const str = (max = 200) => (v) => (typeof v === "string" && v.length <= max ? v : undefined);
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : undefined);
+const bool = (v) => (typeof v === "boolean" ? v : undefined);
+const oneOf = (...values) => (v) => (values.includes(v) ? v : undefined);
+const numOrStr = (v) => num(v) ?? str(100)(v);
+const list = (item, max = 10000) => (v) => (Array.isArray(v) ? v.slice(0, max).map(item).filter(x => x !== undefined) : undefined);
+const map = (value, max = 100) => (v) => (isObject(v) ? shape(Object.fromEntries(Object.keys(v).slice(0, max).map(k => [k, value])))(v) : undefined);
+// JSON data that is only ever shown escaped (roll evidence); depth-limited
+const data = (v, depth = 0) => {
+  if (v === null || bool(v) !== undefined || num(v) !== undefined || str(10000)(v) !== undefined) return v;
+  if (depth >= 6) return undefined;
+  if (Array.isArray(v)) return v.slice(0, 1000).map(x => data(x, depth + 1) ?? null);
+  return isObject(v) ? map((x) => data(x, depth + 1))(v) : undefined;
+};
+function shape(fields) {
+  return (v) => {
+    if (!isObject(v)) return undefined;
+    const out = {};
+    for (const [key, type] of Object.entries(fields)) {
+      if (!Object.prototype.hasOwnProperty.call(v, key)) continue;
+      const value = v[key] === null ? null : type(v[key]);
+      if (value !== undefined) out[key] = value;
+    }
+    return out;
+  };
+}
+// like shape(), but the item is dropped without a string `key`
+const keyed = (key, fields) => (v) => (typeof v?.[key] === "string" ? shape(fields)(v) : undefined);
+
+const ID = str(100);
+const PICKS = { main: num, tiebreak: num, choice: numOrStr, low: num, high: num };
+const FAILURE = shape({ provider: str(), message: str(2000) });
+const WINNER = shape({
+  place: num, tier: str(), userId: ID, username: str(), entryId: ID, ...PICKS,
+  stake: num, riskProfile: str(), payoutC: num, baseWinC: num, potShareC: num, paid: bool
+});
+const IMPORT_FIELDS = {
+  title: str(), prize: str(), creatorId: ID, guildId: ID, channelId: ID, messageId: ID,
+  createdAt: num, endsAt: num, mode: str(),
+  entries: list(keyed("userId", {
+    entryId: ID, userId: ID, username: str(), ...PICKS, stakeC: num, reservedC: num,
+    riskProfile: str(), publicName: bool, joinedAt: num, editedAt: num
+  })),
+  pot: num, maxEntries: num, winnerCount: num,
+  tiers: list(shape({ name: str(), winners: num, potPercent: num }), 100),
+  rejections: shape({ total: num, byReason: map(num) }),
+  configVersion: num, guildConfigVersion: num,
+  ended: bool, cancelled: bool,
+  refund: shape({ at: num, by: str() }),
+  rolls: list(shape({ purpose: str(), value: num, provider: str(), evidence: data, min: num, max: num, at: num, failures: list(FAILURE, 20) })),
+  roll: num,
+  winner: list(WINNER),
+  result: shape({
+    roll: num, qualifiedCount: num, note: str(),
+    tiebreaks: list(shape({ place: num, userIds: list(ID), index: num, drawn: ID })),
+    error: str(), message: str(2000), failures: list(FAILURE, 20),
+    cancelled: bool, cancelledBy: str(), cancelledAt: num
+  }),
+  doubleDown: shape({
+    state: oneOf("pending", "yes_win", "yes_lose", "no", "void"), deadline: num, winnerId: ID, maxRounds: num,
+    startPayoutC: num, potTakenC: num, roll: num, amount: num, auto: bool,
+    rounds: list(shape({ round: num, roll: num, won: bool, amount: num, payoutC: num, potChangeC: num, at: num }), 100)
+  }),
+  rerolls: list(shape({ at: num, by: str(), previousWinners: list(WINNER), previousRoll: num, excluded: list(ID) })),
+  excludedUserIds: list(ID),
+  retries: list(shape({ at: num, by: str(), error: str(2000) })),
+  pendingResolution: shape({ since: num, attempts: num, nextAttemptAt: num, lastError: str(2000), failures: list(FAILURE, 20) }),
+  fair: shape({
+    enabled: bool, serverSeedHash: str(), ddSeedHash: str(), clientSeed: str(), serverSeed: str(), ddSeed: str(),
+    nonce: num, revealedAt: num, ddRevealedAt: num, clientSeedUsed: str(10000)
+  }),
+  series: shape({ id: ID, run: num, rolloverInC: num, potAtStartC: num, rolledOverC: num })
+};
+const LEDGER = shape({ stakesCollected: bool, heldC: num, released: bool });
+
+// Checks one `raw` giveaway from an export and rebuilds it from the fields
+// above. Returns { giveaway, ledger } or { error }; `ledger` is the exported
+// ledger state, which the import keeps only for the record.
+export function readImportedGiveaway(raw) {
+  if (!isObject(raw)) return { error: "missing raw giveaway" };
+  if (typeof raw.id !== "string" || !/^G-[\w-]{1,60}$/.test(raw.id)) return { error: "invalid id" };
+  if (typeof raw.channelId !== "string") return { error: "missing channelId" };
+  if (!Array.isArray(raw.entries)) return { error: "entries must be a list" };
+  if (!Number.isFinite(raw.createdAt) || !Number.isFinite(raw.endsAt)) return { error: "invalid createdAt/endsAt" };
+  if (!Number.isFinite(raw.pot)) return { error: "invalid pot" };
+  if (!raw.ended && raw.fair?.enabled) return { error: "running provably-fair giveaways can't be moved: their secret seed is not exported" };
+  const giveaway = { id: raw.id, ...shape(IMPORT_FIELDS)(raw) };
+  // the rest have validators of their own
+  if (raw.config != null) {
+    const errors = validateConfig(raw.config);
+    if (errors.length) return { error: `config snapshot: ${errors[0].path} ${errors[0].message}` };
+    giveaway.config = data(raw.config);
+  }
+  if (raw.embed != null) {
+    const errors = validateEmbedTemplate(raw.embed);
+    if (errors.length) return { error: `${errors[0].path} ${errors[0].message}` };
+    giveaway.embed = data(raw.embed);
+  }
+  const rules = normalizeRules(raw.eligibility);
+  if (rules.error) return { error: rules.error };
+  giveaway.eligibility = rules.rules;
+  return { giveaway, ledger: LEDGER(raw.ledger) ?? null };
+}
@@ -0,0 +1,117 @@
+/**
+ * src/fair.js
+ * Provably-fair commit–reveal rolls.
+ *
+ * At creation the bot draws two secret seeds and publishes only their SHA-256
+ * hashes: the server seed (main roll and tiebreaks) and a separate
+ * Double Down seed, so that revealing the first one at resolution does not let
+ * the winner predict the Double Down roll.
+ *
+ * A roll is HMAC-SHA256(seed, `${clientSeed}:${nonce}:${round}`) read as
+ * 32-bit words and mapped into [min, max] with rejection sampling (no modulo
+ * bias). The client seed is the optional seed given at creation combined with
+ * every entry's userId/main/tiebreak, so entrants contribute to the outcome.
+ *
+ * `verifyGiveaway` needs nothing but the stored giveaway object and can be run
+ * by anyone once the seeds are revealed.
+ */
+
+import crypto from "crypto";
+
+export const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+export function createCommitment({ clientSeed = "" } = {}) {
+  const serverSeed = crypto.randomBytes(32).toString("hex");
+  const ddSeed = crypto.randomBytes(32).toString("hex");
+  return {
+    enabled: true,
+    serverSeedHash: sha256(serverSeed),
+    ddSeedHash: sha256(ddSeed),
+    clientSeed: String(clientSeed),
+    serverSeed,
+    ddSeed,
+    nonce: 0,
+    revealedAt: null,
+    ddRevealedAt: null
+  };
+}
+
+// Client seed used for the rolls: creator seed + every entry, in join order.
+// Range entries add their range; other entries read as they always did.
+export function combinedClientSeed(g) {
+  const parts = (g.entries || [])
+    .slice()
+    .sort((a, b) => a.joinedAt - b.joinedAt || String(a.entryId).localeCompare(String(b.entryId)))
+    .map(e => `${e.userId}:${e.main}:${e.tiebreak}${e.low != null ? `:${e.low}-${e.high}` : ""}`);
+  return sha256([g.fair.clientSeed || "", ...parts].join("|"));
+}
+
+// Deterministic integer in [min, max] from seed/clientSeed/nonce
+export function fairInteger(seed, clientSeed, nonce, min, max) {
+  const range = max - min + 1;
+  if (!Number.isInteger(range) || range <= 0 || range > 2 ** 32) throw new Error("Invalid range");
+  const limit = Math.floor(2 ** 32 / range) * range;
+  for (let round = 0; round < 1000; round++) {
+    const buf = crypto.createHmac("sha256", seed).update(`${clientSeed}:${nonce}:${round}`).digest();
+    for (let i = 0; i + 4 <= buf.length; i += 4) {
+      const n = buf.readUInt32BE(i);
+      if (n < limit) return min + (n % range);
+    }
+  }
+  throw new Error("fairInteger: rejection sampling did not converge");
+}
+
+// Produce a roll record for a fair giveaway. Double Down uses its own seed.
+export function fairRoll(g, purpose, min, max) {
+  const f = g.fair;
+  const seedKind = purpose === "doubledown" ? "dd" : "server";
+  const seed = seedKind === "dd" ? f.ddSeed : f.serverSeed;
+  if (!f.clientSeedUsed) f.clientSeedUsed = combinedClientSeed(g);
+  const nonce = f.nonce++;
+  const value = fairInteger(seed, f.clientSeedUsed, nonce, min, max);
+  return { value, provider: "fair", evidence: { seed: seedKind, clientSeed: f.clientSeedUsed, nonce }, min, max, at: Date.now() };
+}
+
+export function revealServerSeed(g) {
+  if (g.fair && !g.fair.revealedAt) g.fair.revealedAt = Date.now();
+}
+export function revealDoubleDownSeed(g) {
+  if (g.fair && !g.fair.ddRevealedAt) g.fair.ddRevealedAt = Date.now();
+}
+
+// Hide seeds that have not been revealed yet. Returns a copy.
+export function redactFair(g) {
+  if (!g.fair) return g;
+  const fair = { ...g.fair };
+  if (!fair.revealedAt) delete fair.serverSeed;
+  if (!fair.ddRevealedAt) delete fair.ddSeed;
+  return { ...g, fair };
+}
+
+// Standalone verifier: checks the commitments and recomputes every fair roll.
+export function verifyGiveaway(g) {
+  const checks = [];
+  const check = (name, ok, detail) => checks.push(detail === undefined ? { name, ok } : { name, ok, detail });
+  const f = g.fair;
+  if (!f || !f.enabled) return { ok: false, checks: [{ name: "fair mode", ok: false, detail: "giveaway is not provably fair" }] };
+
+  if (f.serverSeed === undefined) check("server seed revealed", false);
+  else check("server seed matches commitment", sha256(f.serverSeed) === f.serverSeedHash);
+  if (f.ddSeed !== undefined) check("double down seed matches commitment", sha256(f.ddSeed) === f.ddSeedHash);
+
+  const fairRolls = (g.rolls || []).filter(r => r.provider === "fair");
+  if (fairRolls.length && f.serverSeed !== undefined) {
+    const expectedClientSeed = combinedClientSeed(g);
+    check("client seed matches entries", fairRolls.every(r => r.evidence.clientSeed === expectedClientSeed));
+  }
+  for (const r of fairRolls) {
+    const seed = r.evidence.seed === "dd" ? f.ddSeed : f.serverSeed;
+    if (seed === undefined) { check(`${r.purpose} roll`, false, "seed not revealed yet"); continue; }
+    const value = fairInteger(seed, r.evidence.clientSeed, r.evidence.nonce, r.min, r.max);
+    check(`${r.purpose} roll (nonce ${r.evidence.nonce})`, value === r.value, { expected: value, recorded: r.value });
+  }
+  const main = fairRolls.find(r => r.purpose === "main");
+  if (main && g.roll !== undefined) check("stored roll matches main roll", g.roll === main.value);
+
+  return { ok: checks.length > 0 && checks.every(c => c.ok), checks };
+}
@@ -0,0 +1,74 @@
+/**
+ * src/log.js
+ * Leveled JSON logging: one JSON object per line, `debug` and `info` on
+ * stdout, `warn` and `error` on stderr.
+ *
+ *   {"time":"2026-10-19T20:00:00.000Z","level":"warn","msg":"...","giveawayId":"G-1"}
+ *
+ * `withContext(fields, fn)` adds `fields` to every line logged while `fn`
+ * runs, across awaits, so one interaction or one scheduled resolution can be
+ * followed through the log by its giveaway ID. Contexts nest.
+ *
+ * The level methods take console's arguments: a message, then any values.
+ * A plain object adds its fields, an Error becomes `error` (name, message,
+ * its own properties such as `code`, and the stack), anything else is added
+ * to the message (arrays and other objects as JSON). A logger can so be passed to every module that takes
+ * `logger = console`.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const isPlainObject = (v) => v != null && typeof v === "object" && Object.getPrototypeOf(v) === Object.prototype;
+
+function errorFields(e) {
+  return { name: e.name, message: e.message, ...e, stack: e.stack };
+}
+
+function inline(v) {
+  if (typeof v === "string") return v;
+  if (v == null || typeof v !== "object") return String(v);
+  try {
+    return JSON.stringify(v);
+  } catch (e) {
+    return String(v);
+  }
+}
+
+// Discord.js objects and the like can be circular; they are logged as text
+function serialize(record) {
+  try {
+    return JSON.stringify(record);
+  } catch (e) {
+    return JSON.stringify({ time: record.time, level: record.level, msg: record.msg, logError: e.message });
+  }
+}
+
+// `level` is the lowest level written; unknown names mean "info"
+export function createLogger({ level = "info" } = {}) {
+  const min = LOG_LEVELS.includes(level) ? LOG_LEVELS.indexOf(level) : 1;
+  const context = new AsyncLocalStorage();
+
+  function emit(lvl, args) {
+    if (LOG_LEVELS.indexOf(lvl) < min) return;
+    const words = [];
+    const fields = {};
+    for (const arg of args) {
+      if (arg instanceof Error) fields.error = errorFields(arg);
+      else if (isPlainObject(arg)) Object.assign(fields, arg);
+      else words.push(inline(arg));
+    }
+    const stream = lvl === "warn" || lvl === "error" ? process.stderr : process.stdout;
+    stream.write(serialize({ time: new Date().toISOString(), level: lvl, msg: words.join(" "), ...context.getStore(), ...fields }) + "\n");
+  }
+
+  return {
+    debug: (...args) => emit("debug", args),
+    info: (...args) => emit("info", args),
+    log: (...args) => emit("info", args),
+    warn: (...args) => emit("warn", args),
+    error: (...args) => emit("error", args),
+    withContext: (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn)
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * src/metrics.js
+ * A small Prometheus registry for GET /metrics: counters, gauges and
+ * histograms with labels, rendered in the text exposition format.
+ *
+ *   const metrics = createMetrics();
+ *   const failures = metrics.counter("giveaway_rng_failures_total", "Failed provider calls", ["provider"]);
+ *   failures.inc({ provider: "randomorg" });
+ *
+ * Figures that live in storage rather than in memory (giveaways by status,
+ * pots) are gauges set by an `onScrape` hook, which runs before every render.
+ */
+
+export const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+const formatValue = (v) => (v === Infinity ? "+Inf" : v === -Infinity ? "-Inf" : String(v));
+
+function labelText(names, labels, extra = "") {
+  const parts = names.map(n => `${n}="${escapeLabel(labels[n] ?? "")}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+export function createMetrics() {
+  const families = [];
+  const hooks = [];
+
+  // one family; `series` maps the label values to the values of that series
+  function family(type, name, help, labelNames) {
+    const f = { type, name, help, labelNames, series: new Map() };
+    families.push(f);
+    const key = (labels) => JSON.stringify(labelNames.map(n => String(labels[n] ?? "")));
+    f.entry = (labels, init) => {
+      const k = key(labels);
+      if (!f.series.has(k)) f.series.set(k, { labels: { ...labels }, ...init() });
+      return f.series.get(k);
+    };
+    return f;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const f = family("counter", name, help, labelNames);
+    return {
+      inc(labels = {}, n = 1) {
+        if (n < 0) throw new Error(`Counter ${name} can't go down`);
+        f.entry(labels, () => ({ value: 0 })).value += n;
+      }
+    };
+  }
+
+  function gauge(name, help, labelNames = []) {
+    const f = family("gauge", name, help, labelNames);
+    return {
+      set(labels, value) { f.entry(labels, () => ({ value: 0 })).value = value; }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], { buckets = DEFAULT_BUCKETS } = {}) {
+    const f = family("histogram", name, help, labelNames);
+    f.buckets = [...buckets].sort((a, b) => a - b);
+    return {
+      observe(labels, value) {
+        const s = f.entry(labels, () => ({ counts: f.buckets.map(() => 0), sum: 0, count: 0 }));
+        f.buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      }
+    };
+  }
+
+  function onScrape(fn) {
+    hooks.push(fn);
+  }
+
+  // The text exposition format (version 0.0.4). A failing hook is reported
+  // by `onError` and leaves its gauges as they were.
+  async function render({ onError = () => {} } = {}) {
+    for (const fn of hooks) {
+      try {
+        await fn();
+      } catch (e) {
+        onError(e);
+      }
+    }
+    const lines = [];
+    for (const f of families) {
+      lines.push(`# HELP ${f.name} ${f.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`, `# TYPE ${f.name} ${f.type}`);
+      for (const s of f.series.values()) {
+        if (f.type !== "histogram") {
+          lines.push(`${f.name}${labelText(f.labelNames, s.labels)} ${formatValue(s.value)}`);
+          continue;
+        }
+        f.buckets.forEach((b, i) => lines.push(`${f.name}_bucket${labelText(f.labelNames, s.labels, `le="${formatValue(b)}"`)} ${s.counts[i]}`));
+        lines.push(`${f.name}_bucket${labelText(f.labelNames, s.labels, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${f.name}_sum${labelText(f.labelNames, s.labels)} ${s.sum}`);
+        lines.push(`${f.name}_count${labelText(f.labelNames, s.labels)} ${s.count}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, onScrape, render };
+}
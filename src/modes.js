@@ -0,0 +1,195 @@
+/**
+ * src/modes.js
+ * Game modes: what an entry picks, which entries win a roll, and the odds a
+ * winning stake is paid at.
+ *
+ * A giveaway plays one mode (g.mode; giveaways from before modes play
+ * "overunder"). A mode has:
+ *   name, label, description
+ *   usesRoll        false when winners are drawn without the 0-100 roll
+ *   choices         options of the entry form's choice menu, or null
+ *   fields          whole numbers 0-100 asked for in the entry modal besides
+ *                   the stake, stored on the entry under their `id`; `name`
+ *                   is the short form for summaries and errors
+ *   check(e)        error message when the numbers don't fit together, or null
+ *   qualifies(e, roll)
+ *   compare(roll)   best-first order of qualifying entries; 0 is a tie that
+ *                   the engine settles with a random pick
+ *   probability(e, ctx)  chance the entry wins, the fair odds its stake is
+ *                   paid at (less houseEdge). ctx = { entries, winners }: all
+ *                   entries of the giveaway and the number of places
+ *   rule(e)         what the chance shown in the entry form is the chance of
+ *   ranking         how qualifying entries are ordered, for the entry form
+ *   summary(e)      the entry's picks in a few words
+ *
+ * Pure functions only; engine.js ranks and pays with whichever mode it is given.
+ */
+
+export const DEFAULT_MODE = "overunder";
+
+const TIEBREAK = { id: "tiebreak", name: "Tiebreak number", label: "Tiebreak number (0-100)", placeholder: "e.g. 13" };
+const MAIN = { id: "main", name: "Main number", label: "Main number (0-100)", placeholder: "e.g. 42" };
+
+// higher tiebreak first
+const byTiebreak = (a, b) => b.tiebreak - a.tiebreak;
+const closest = (roll) => (a, b) => Math.abs(a.main - roll) - Math.abs(b.main - roll) || byTiebreak(a, b);
+
+// Chance that `entry` ends up in the first ctx.winners places, over every
+// possible roll: the member's best entry stands for them, and a tie across
+// the last place counts as the matching fraction of a place.
+function placeChance(mode, entry, { entries = [], winners = 1 } = {}) {
+  // every other member's entries, and the entrant's own others
+  const members = new Map();
+  const own = [];
+  for (const e of entries) {
+    if (e === entry) continue;
+    if (e.userId === entry.userId) own.push(e);
+    else if (members.has(e.userId)) members.get(e.userId).push(e);
+    else members.set(e.userId, [e]);
+  }
+  let total = 0;
+  for (let roll = 0; roll <= 100; roll++) {
+    if (!mode.qualifies(entry, roll)) continue;
+    const cmp = mode.compare(roll);
+    if (own.some(e => mode.qualifies(e, roll) && cmp(e, entry) < 0)) continue;
+    let better = 0;
+    let tied = 1;
+    for (const list of members.values()) {
+      let best = null;
+      for (const e of list) if (mode.qualifies(e, roll) && (!best || cmp(e, best) < 0)) best = e;
+      if (!best) continue;
+      const c = cmp(best, entry);
+      if (c < 0) better++;
+      else if (c === 0) tied++;
+    }
+    total += Math.min(1, Math.max(0, (winners - better) / tied));
+  }
+  return total / 101;
+}
+
+const distinctMembers = (entries) => new Set(entries.map(e => e.userId)).size;
+
+export const GAME_MODES = {
+  overunder: {
+    name: "overunder",
+    label: "Under / over",
+    description: "Pick a number and under or over; of the entries the roll qualifies, the closest numbers win.",
+    usesRoll: true,
+    choices: [
+      { value: "under", label: "Under", description: "Qualify when the roll is at or below your main number" },
+      { value: "over", label: "Over", description: "Qualify when the roll is at or above your main number" }
+    ],
+    fields: [MAIN, TIEBREAK],
+    check: () => null,
+    // under: roll <= main; over: roll >= main
+    qualifies(e, roll) {
+      if (e.choice === "under") return roll <= e.main;
+      if (e.choice === "over") return roll >= e.main;
+      return false;
+    },
+    compare: closest,
+    // the chance to qualify, not to win: the odds this game always paid at
+    probability(e) {
+      const prob = e.choice === "under" ? (e.main + 1) / 101 : (101 - e.main) / 101;
+      return prob > 0 ? prob : 1 / 101;
+    },
+    rule: (e) => `Qualifies if the roll is ${e.choice === "under" ? "≤" : "≥"} ${e.main}`,
+    ranking: "Of the qualifying entries, the main numbers closest to the roll win.",
+    summary: (e) => `main ${e.main} ${e.choice}, tiebreak ${e.tiebreak}`
+  },
+  raffle: {
+    name: "raffle",
+    label: "Classic raffle",
+    description: "No numbers: the winners are drawn at random, one chance per member.",
+    usesRoll: false,
+    choices: null,
+    fields: [],
+    check: () => null,
+    qualifies: () => true,
+    compare: () => () => 0,
+    probability: (e, { entries = [], winners = 1 } = {}) => Math.min(1, winners / distinctMembers([...entries, e])),
+    rule: () => "Chance to be drawn, with the members in so far (one chance each, however many entries)",
+    ranking: "Winners are drawn at random from the members who entered.",
+    summary: () => "raffle ticket"
+  },
+  closest: {
+    name: "closest",
+    label: "Closest to the roll",
+    description: "Pick a number; the numbers closest to the roll win, whichever side they are on.",
+    usesRoll: true,
+    choices: null,
+    fields: [MAIN, TIEBREAK],
+    check: () => null,
+    qualifies: () => true,
+    compare: closest,
+    // depends on everyone's numbers: the share of rolls this number places on
+    probability: (e, ctx) => placeChance(GAME_MODES.closest, e, ctx),
+    rule: (e) => `Chance ${e.main} places, with the numbers picked so far`,
+    ranking: "The main numbers closest to the roll win; the higher tiebreak wins a tie.",
+    summary: (e) => `main ${e.main}, tiebreak ${e.tiebreak}`
+  },
+  exact: {
+    name: "exact",
+    label: "Exact number jackpot",
+    description: "Pick a number; only an exact hit wins, at jackpot odds.",
+    usesRoll: true,
+    choices: null,
+    fields: [MAIN, TIEBREAK],
+    check: () => null,
+    qualifies: (e, roll) => roll === e.main,
+    compare: () => byTiebreak,
+    probability: () => 1 / 101,
+    rule: (e) => `Qualifies if the roll is exactly ${e.main}`,
+    ranking: "Of the exact hits, the higher tiebreak wins.",
+    summary: (e) => `exactly ${e.main}, tiebreak ${e.tiebreak}`
+  },
+  range: {
+    name: "range",
+    label: "Range bet",
+    description: "Pick a low-high range; the roll must land in it, and narrower ranges pay more.",
+    usesRoll: true,
+    choices: null,
+    fields: [
+      { id: "low", name: "Low end", label: "Low end of your range (0-100)", placeholder: "e.g. 20" },
+      { id: "high", name: "High end", label: "High end of your range (0-100)", placeholder: "e.g. 35" },
+      TIEBREAK
+    ],
+    check: (e) => (e.low > e.high ? "The low end can't be above the high end." : null),
+    qualifies: (e, roll) => roll >= e.low && roll <= e.high,
+    // the narrower range took the bigger risk
+    compare: () => (a, b) => (a.high - a.low) - (b.high - b.low) || byTiebreak(a, b),
+    probability: (e) => (e.high - e.low + 1) / 101,
+    rule: (e) => `Qualifies if the roll is between ${e.low} and ${e.high}`,
+    ranking: "Of the qualifying entries, the narrowest ranges win; the higher tiebreak wins a tie.",
+    summary: (e) => `range ${e.low}-${e.high}, tiebreak ${e.tiebreak}`
+  }
+};
+
+export const MODE_NAMES = Object.keys(GAME_MODES);
+
+// The mode a giveaway plays; unknown names fall back to under/over
+export function gameMode(name) {
+  return GAME_MODES[name] ?? GAME_MODES[DEFAULT_MODE];
+}
+
+// The mode's numbers from the entry modal's text values; returns { numbers } or { error }
+export function parseNumbers(mode, values) {
+  const numbers = {};
+  for (const f of mode.fields) {
+    const n = parseInt(values[f.id]);
+    if (isNaN(n) || n < 0 || n > 100) return { error: `Invalid ${f.name.toLowerCase()}. Must be 0-100.` };
+    numbers[f.id] = n;
+  }
+  const error = mode.check(numbers);
+  return error ? { error } : { numbers };
+}
+
+// Whether the entry has every number its mode asks for
+export const hasNumbers = (mode, e) => mode.fields.every(f => e[f.id] != null);
+
+// What the entry picked under its mode: its numbers, and the choice if the mode has one
+export function entryPicks(mode, e) {
+  const picks = Object.fromEntries(mode.fields.map(f => [f.id, e[f.id] ?? null]));
+  if (mode.choices) picks.choice = e.choice ?? null;
+  return picks;
+}
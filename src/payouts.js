@@ -0,0 +1,179 @@
+/**
+ * src/payouts.js
+ * Moving a giveaway's coins: stakes from escrow to the house, payouts to the
+ * winners, and back again for a reroll or a refund.
+ *
+ * Every function takes the giveaway being updated (inside its
+ * storage.update) and records its progress in `g.ledger`:
+ *   { stakesCollected, heldC, released, refunded, awaitingHouseC }
+ * The ledger transactions are written together with the giveaway, so the
+ * two can't disagree after a crash.
+ *
+ * Stakes go to, and payouts come from, the house of the giveaway's guild
+ * (houseAccount). It pays out only what it holds. Short of that, the giveaway
+ * keeps its result but its payouts wait (`awaitingHouseC` is the shortfall)
+ * until a global admin funds that house, which pays them (payAwaitingHouse).
+ */
+
+import { winnersOf } from "./engine.js";
+import { userAccount, escrowAccount, houseAccount, InsufficientFundsError } from "./wallet.js";
+
+// `counters`: the payouts and clawbacks metrics counters, in c
+export function createPayouts({ storage, wallet, audit, counters, logger = console }) {
+  // Stakes reserved in the giveaway's escrow go to the house. Winners are paid
+  // straight away, except the one offered Double Down, whose payout is held in
+  // escrow until they decide. When the house can't cover the payouts, nothing
+  // moves: the stakes stay in escrow until the house is funded.
+  async function settleStakes(g) {
+    if (!g.ledger || g.result?.error || g.pendingResolution) return;
+    const staked = g.ledger.stakesCollected ? 0 : g.entries.reduce((s, e) => s + (e.reservedC ?? 0), 0);
+    const ddWinnerId = g.doubleDown?.state === "pending" ? g.doubleDown.winnerId : null;
+    const winners = winnersOf(g);
+    const held = winners.filter(w => w.userId === ddWinnerId).reduce((s, w) => s + w.payoutC, 0);
+    const paid = winners.filter(w => w.userId !== ddWinnerId);
+    const paidTotal = paid.reduce((s, w) => s + w.payoutC, 0);
+    try {
+      await wallet.post({ type: "settle", giveawayId: g.id, postings: [
+        { account: escrowAccount(g.id), amount: held - staked },
+        { account: houseAccount(g.guildId), amount: staked - held - paidTotal },
+        ...paid.map(w => ({ account: userAccount(w.userId), amount: w.payoutC }))
+      ] });
+    } catch (e) {
+      return awaitHouse(g, e);
+    }
+    for (const w of paid) w.paid = true;
+    g.ledger = { stakesCollected: true, heldC: held, released: held === 0 };
+    if (paidTotal) counters.payouts.inc({}, paidTotal);
+  }
+
+  // Pay the held payout (after Double Down adjustments) to its winner, or
+  // everything when the house couldn't pay at the end. A refunded giveaway
+  // pays nothing, and stops waiting for the house if it still was.
+  async function releasePayout(g) {
+    if (!g.ledger) return;
+    if (g.ledger.refunded) {
+      delete g.ledger.awaitingHouseC;
+      return;
+    }
+    if (!g.ledger.stakesCollected) return settleStakes(g);
+    if (g.ledger.released) return;
+    const unpaid = winnersOf(g).filter(w => !w.paid);
+    if (!unpaid.length) return;
+    const total = unpaid.reduce((s, w) => s + w.payoutC, 0);
+    try {
+      await wallet.post({ type: "payout", giveawayId: g.id, postings: [
+        { account: escrowAccount(g.id), amount: -g.ledger.heldC },
+        ...unpaid.map(w => ({ account: userAccount(w.userId), amount: w.payoutC })),
+        { account: houseAccount(g.guildId), amount: g.ledger.heldC - total }
+      ] });
+    } catch (e) {
+      return awaitHouse(g, e);
+    }
+    for (const w of unpaid) w.paid = true;
+    g.ledger.released = true;
+    delete g.ledger.awaitingHouseC;
+    counters.payouts.inc({}, total);
+  }
+
+  async function awaitHouse(g, e) {
+    if (!(e instanceof InsufficientFundsError) || e.account !== houseAccount(g.guildId)) throw e;
+    g.ledger.awaitingHouseC = Math.round((e.needed - e.balance) * 100) / 100;
+    logger.warn(`The house can't cover the payouts; they wait for it to be funded`, { giveawayId: g.id, shortC: g.ledger.awaitingHouseC });
+    await audit.record("payout.awaiting_house", { giveawayId: g.id, guildId: g.guildId ?? null, data: { houseC: e.balance, neededC: e.needed } });
+  }
+
+  // Pay the giveaways of `guildId` (null: those without a guild) waiting for
+  // its house, oldest first, as far as it goes. Resolves to the giveaways that
+  // were paid. One that fails is logged and left waiting; the others are
+  // still paid.
+  async function payAwaitingHouse(guildId = null) {
+    const waiting = await storage.list("giveaways", { where: { guildId }, filter: g => g.ledger?.awaitingHouseC != null });
+    const paid = [];
+    for (const { id } of waiting.sort((a, b) => a.endsAt - b.endsAt)) {
+      try {
+        const g = await storage.update("giveaways", id, async (g) => {
+          if (g.ledger?.awaitingHouseC == null) return null;
+          await releasePayout(g);
+          return g;
+        });
+        if (g && g.ledger.awaitingHouseC == null && !g.ledger.refunded) paid.push(g);
+      } catch (e) {
+        logger.error("Paying a giveaway waiting for the house failed:", e, { giveawayId: id });
+      }
+    }
+    return paid;
+  }
+
+  // Undo every winner's payout (before a reroll). Nothing moved yet when the
+  // stakes are still waiting for the house.
+  async function clawBackPayout(g, by) {
+    if (!g.ledger) return;
+    delete g.ledger.awaitingHouseC;
+    if (!g.ledger.stakesCollected) return;
+    const winners = winnersOf(g);
+    if (!winners.length) return;
+    const house = houseAccount(g.guildId);
+    const postings = [];
+    const allowNegative = [];
+    for (const w of winners) {
+      // giveaways settled before tiers have no per-winner flag
+      if (!(w.paid ?? g.ledger.released)) continue;
+      postings.push({ account: userAccount(w.userId), amount: -w.payoutC }, { account: house, amount: w.payoutC });
+      allowNegative.push(userAccount(w.userId));
+    }
+    if (!g.ledger.released) {
+      postings.push({ account: escrowAccount(g.id), amount: -g.ledger.heldC }, { account: house, amount: g.ledger.heldC });
+    }
+    await wallet.post({ type: "clawback", giveawayId: g.id, by, allowNegative, postings });
+    const clawedBack = winners.filter(w => w.paid ?? g.ledger.released).reduce((c, w) => c + w.payoutC, 0);
+    if (clawedBack) counters.clawbacks.inc({}, clawedBack);
+    g.ledger.heldC = 0;
+    g.ledger.released = true;
+  }
+
+  // Return every reserved stake to its owner from escrow (cancelled giveaway,
+  // or one whose stakes never reached the house)
+  async function refundStakes(g, by) {
+    if (!g.ledger || g.ledger.stakesCollected) return;
+    const postings = [];
+    for (const e of g.entries) {
+      if (!e.reservedC) continue;
+      postings.push({ account: userAccount(e.userId), amount: e.reservedC });
+      postings.push({ account: escrowAccount(g.id), amount: -e.reservedC });
+    }
+    await wallet.post({ type: "refund", giveawayId: g.id, by, postings });
+    g.ledger.stakesCollected = true;
+    g.ledger.refunded = true;
+    delete g.ledger.awaitingHouseC;
+  }
+
+  // Return every stake after the giveaway was settled: the winners' payouts are
+  // taken back first, then the stakes come out of the house
+  async function refundSettledStakes(g, by) {
+    if (!g.ledger?.stakesCollected || g.ledger.refunded) return;
+    await clawBackPayout(g, by);
+    const staked = g.entries.filter(e => e.reservedC);
+    const total = staked.reduce((s, e) => s + e.reservedC, 0);
+    // the house took these stakes, so it gives them back even when it's short
+    const house = houseAccount(g.guildId);
+    await wallet.post({ type: "refund", giveawayId: g.id, by, allowNegative: [house], postings: [
+      ...staked.map(e => ({ account: userAccount(e.userId), amount: e.reservedC })),
+      { account: house, amount: -total }
+    ] });
+    g.ledger.refunded = true;
+  }
+
+  // Void an ended giveaway's payouts and return every stake, wherever they
+  // are. The winners' pot shares go back into the pot. Resolves to the
+  // payouts taken back, [{ userId, payoutC }].
+  async function refundGiveawayStakes(g, by) {
+    const winners = winnersOf(g);
+    const clawedBack = winners.filter(w => w.paid ?? g.ledger.released).map(w => ({ userId: w.userId, payoutC: w.payoutC }));
+    if (g.ledger.stakesCollected) await refundSettledStakes(g, by);
+    else await refundStakes(g, by);
+    g.pot += winners.reduce((s, w) => s + (w.potShareC ?? 0), 0);
+    return clawedBack;
+  }
+
+  return { settleStakes, releasePayout, payAwaitingHouse, clawBackPayout, refundStakes, refundGiveawayStakes };
+}
@@ -0,0 +1,106 @@
+/**
+ * src/results.js
+ * The public, read-only view of one giveaway, for the /g/:id results page.
+ *
+ * Anyone with the link can read it, so it carries only what an entrant needs
+ * to check the outcome: the entries and their numbers, the roll, the random
+ * tie draws, the payout breakdown, Double Down and the RNG evidence. Members
+ * appear as "Entrant 1", "Entrant 2", ... in join order, unless one of their
+ * entries opted in to showing their name (`e.publicName`). Discord IDs, the
+ * guild and channel, the config snapshot, the ledger, refused joins and who
+ * ran which action are left out, as are seeds not revealed yet.
+ */
+
+import { winnersOf } from "./engine.js";
+import { gameMode, entryPicks } from "./modes.js";
+import { redactFair, verifyGiveaway } from "./fair.js";
+import { lifecycleStatus } from "./export.js";
+
+// userId -> { entrant, name }; the label follows the member's first entry
+function entrantLabels(g) {
+  const labels = new Map();
+  const byJoin = [...g.entries].sort((a, b) => a.joinedAt - b.joinedAt);
+  for (const e of byJoin) {
+    if (!labels.has(e.userId)) labels.set(e.userId, { entrant: `Entrant ${labels.size + 1}`, name: null });
+    if (e.publicName) labels.get(e.userId).name = e.username;
+  }
+  return labels;
+}
+
+// Provider, value and evidence of every roll; provider failures stay internal
+function rollEvidence(g) {
+  return (g.rolls ?? []).map(r => ({ purpose: r.purpose, value: r.value, min: r.min, max: r.max, provider: r.provider, at: r.at, evidence: r.evidence ?? null }));
+}
+
+// `cfg` is the config the giveaway ran under
+export function publicGiveaway(g, cfg) {
+  const mode = gameMode(g.mode);
+  const labels = entrantLabels(g);
+  const who = (userId) => labels.get(userId) ?? { entrant: "Former entrant", name: null };
+  const rate = cfg.conversionRateUSDPerC ?? 0;
+  const status = lifecycleStatus(g);
+  const settled = status === "ended" || status === "refunded";
+  const winners = winnersOf(g);
+  const pub = redactFair(g);
+  const dd = g.doubleDown;
+  return {
+    id: g.id,
+    prize: g.prize,
+    status,
+    mode: { name: mode.name, label: mode.label, ranking: mode.ranking },
+    createdAt: g.createdAt,
+    endsAt: g.endsAt,
+    pot: g.pot,
+    conversionRateUSDPerC: rate,
+    houseEdge: cfg.houseEdge ?? 0.02,
+    tiers: g.tiers ?? null,
+    entryCount: g.entries.length,
+    entries: g.entries.map(e => ({
+      ...who(e.userId),
+      ...entryPicks(mode, e),
+      stakeC: e.stakeC ?? 1,
+      riskProfile: e.riskProfile,
+      joinedAt: e.joinedAt,
+      qualified: settled && g.roll !== undefined ? mode.qualifies(e, g.roll) : null
+    })),
+    roll: settled ? g.roll ?? null : null,
+    qualifiedCount: g.result?.qualifiedCount ?? null,
+    tiebreaks: (g.result?.tiebreaks ?? []).map(t => ({
+      place: t.place,
+      entrants: t.userIds.map(id => who(id).entrant),
+      index: t.index,
+      drawn: who(t.drawn).entrant
+    })),
+    winners: winners.map(w => ({
+      place: w.place,
+      tier: w.tier,
+      ...who(w.userId),
+      ...entryPicks(mode, w),
+      stakeC: w.stake ?? 1,
+      riskProfile: w.riskProfile,
+      baseWinC: w.baseWinC,
+      potShareC: w.potShareC,
+      payoutC: w.payoutC,
+      payoutUSD: Math.round(w.payoutC * rate * 100) / 100
+    })),
+    doubleDown: dd ? {
+      state: dd.state,
+      entrant: dd.winnerId ? who(dd.winnerId).entrant : null,
+      deadline: dd.state === "pending" ? dd.deadline : null,
+      startPayoutC: dd.startPayoutC ?? null,
+      rounds: (dd.rounds ?? []).map(r => ({ round: r.round, roll: r.roll, won: r.won, amountC: r.amount, payoutC: r.payoutC, at: r.at }))
+    } : null,
+    rerolls: g.rerolls?.length ?? 0,
+    refunded: Boolean(g.refund),
+    rolls: rollEvidence(g),
+    fair: pub.fair ? {
+      serverSeedHash: pub.fair.serverSeedHash,
+      ddSeedHash: pub.fair.ddSeedHash,
+      clientSeed: pub.fair.clientSeed,
+      clientSeedUsed: pub.fair.clientSeedUsed ?? null,
+      serverSeed: pub.fair.serverSeed ?? null,
+      ddSeed: pub.fair.ddSeed ?? null,
+      verification: g.ended ? verifyGiveaway(pub) : null
+    } : null
+  };
+}
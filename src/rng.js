@@ -0,0 +1,256 @@
+/**
+ * src/rng.js
+ * Randomness providers and the provider chain used for every giveaway roll.
+ *
+ * A provider is `{ name, integer(min, max) }` where `integer` resolves to
+ * `{ value, evidence }`. `evidence` is whatever the provider can offer to
+ * audit the value later (Random.org serial numbers, the signed payload, ...).
+ *
+ * Providers:
+ *  - randomorg         Random.org `generateIntegers`
+ *  - randomorg-signed  Random.org `generateSignedIntegers`, checked with `verifySignature`
+ *  - local             node's `crypto.randomInt`
+ *
+ * The chain tries providers in order and returns the first success together
+ * with the provider name and any failures it skipped over. Its `observe`
+ * option is told about every provider call ({ provider, ok, seconds }).
+ *
+ * Both Random.org providers share one `createRandomOrgClient`. It retries
+ * transient failures (network errors, timeouts, HTTP 5xx/429, Random.org's
+ * "temporarily unavailable") with exponential backoff, and keeps the key's
+ * remaining bits and requests from every response and from `getUsage`. Once
+ * the quota is known to be used up, calls fail at once without hitting the
+ * API, so the chain moves on to the next provider.
+ */
+
+import crypto from "crypto";
+
+export const RANDOMORG_ENDPOINT = "https://api.random.org/json-rpc/4/invoke";
+export const DEFAULT_CHAIN = "randomorg-signed,randomorg,local";
+
+export class RngError extends Error {
+  constructor(message, failures = []) {
+    super(message);
+    this.name = "RngError";
+    this.failures = failures;
+  }
+}
+
+// Random.org error codes: used-up allowances, and the one worth retrying
+const QUOTA_ERROR_CODES = [402, 403];
+const TRANSIENT_ERROR_CODES = [-32603, 100];
+
+export class RandomOrgError extends Error {
+  constructor(message, { code = null, status = null, retryable = false, quota = false } = {}) {
+    super(message);
+    this.name = "RandomOrgError";
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.quota = quota;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// One JSON-RPC request; throws RandomOrgError. `endpoint` can point at a local
+// stub server for tests.
+async function randomOrgRequest(endpoint, method, params, timeoutMs) {
+  let res;
+  try {
+    res = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", method, params, id: Date.now() }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (e) {
+    const message = e.name === "TimeoutError" ? `no response within ${timeoutMs / 1000}s` : (e.cause?.message ?? e.message);
+    throw new RandomOrgError(`Random.org unreachable: ${message}`, { retryable: true });
+  }
+  if (!res.ok) {
+    await res.arrayBuffer().catch(() => {});
+    throw new RandomOrgError(`Random.org HTTP ${res.status}`, { status: res.status, retryable: res.status >= 500 || res.status === 429 });
+  }
+  let j;
+  try {
+    j = await res.json();
+  } catch (e) {
+    throw new RandomOrgError("Random.org sent an invalid JSON response", { status: res.status, retryable: true });
+  }
+  if (j.error) {
+    const { code, message } = j.error;
+    throw new RandomOrgError(`Random.org error ${code}: ${message}`, {
+      code,
+      status: res.status,
+      retryable: TRANSIENT_ERROR_CODES.includes(code),
+      quota: QUOTA_ERROR_CODES.includes(code)
+    });
+  }
+  if (!j.result) throw new RandomOrgError("Random.org response has no result", { status: res.status, retryable: true });
+  return j.result;
+}
+
+// Shared Random.org access for the providers: retries, backoff and quota.
+// `retries` is the number of extra attempts after the first; waits double
+// from `backoffMs` (or Random.org's advisoryDelay when longer).
+export function createRandomOrgClient({ apiKey, endpoint = RANDOMORG_ENDPOINT, timeoutMs = 5000, retries = 2, backoffMs = 500, lowBits = 5000, lowRequests = 50, logger = console } = {}) {
+  // last known allowance; null until a response or getUsage says
+  const quota = { bitsLeft: null, requestsLeft: null, status: null, checkedAt: null, exhaustedAt: null };
+  let advisoryDelay = 0;
+  let warned = false;
+
+  function track(result) {
+    if (result.bitsLeft != null) quota.bitsLeft = result.bitsLeft;
+    if (result.requestsLeft != null) quota.requestsLeft = result.requestsLeft;
+    if (result.status != null) quota.status = result.status;
+    quota.checkedAt = Date.now();
+    if (quota.bitsLeft > 0 && quota.requestsLeft > 0) quota.exhaustedAt = null;
+    advisoryDelay = result.advisoryDelay ?? 0;
+    const low = isLow();
+    if (low && !warned) logger.warn(`Random.org quota is low: ${quota.bitsLeft} bits, ${quota.requestsLeft} requests left.`);
+    warned = low;
+  }
+
+  const isLow = () => quota.exhaustedAt != null
+    || (quota.bitsLeft != null && quota.bitsLeft < lowBits)
+    || (quota.requestsLeft != null && quota.requestsLeft < lowRequests);
+
+  async function call(method, params) {
+    if (!apiKey) throw new RandomOrgError("No RANDOMORG_API_KEY");
+    if (quota.exhaustedAt != null) throw new RandomOrgError("Random.org quota used up", { quota: true });
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await randomOrgRequest(endpoint, method, { apiKey, ...params }, timeoutMs);
+        track(result);
+        return result;
+      } catch (e) {
+        if (e.quota) {
+          quota.exhaustedAt = Date.now();
+          // 402: the key's daily requests are used up, 403: its daily bits
+          if (e.code === 402) quota.requestsLeft = 0;
+          if (e.code === 403) quota.bitsLeft = 0;
+        }
+        if (!e.retryable || attempt >= retries) throw e;
+        const wait = Math.max(backoffMs * 2 ** attempt, advisoryDelay);
+        logger.warn(`Random.org ${method} failed (${e.message}), retrying in ${wait}ms`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  // Ask Random.org for the key's allowance (costs no bits or requests)
+  async function refreshUsage() {
+    const result = await randomOrgRequest(endpoint, "getUsage", { apiKey }, timeoutMs);
+    track(result);
+    return usage();
+  }
+
+  function usage() {
+    return { configured: !!apiKey, ...quota, low: isLow(), lowBits, lowRequests };
+  }
+
+  return { call, refreshUsage, usage };
+}
+
+// Providers take a shared `client`; without one they get their own
+function clientFor(opts) {
+  return opts.client ?? createRandomOrgClient(opts);
+}
+
+export function randomOrgProvider(opts) {
+  const client = clientFor(opts);
+  return {
+    name: "randomorg",
+    async integer(min, max) {
+      const result = await client.call("generateIntegers", { n: 1, min, max, replacement: true });
+      return {
+        value: result.random.data[0],
+        evidence: { completionTime: result.random.completionTime, bitsUsed: result.bitsUsed }
+      };
+    }
+  };
+}
+
+export function randomOrgSignedProvider(opts) {
+  const client = clientFor(opts);
+  const { endpoint = RANDOMORG_ENDPOINT, timeoutMs = 5000 } = opts;
+  return {
+    name: "randomorg-signed",
+    async integer(min, max) {
+      const result = await client.call("generateSignedIntegers", { n: 1, min, max, replacement: true });
+      const { random, signature } = result;
+      if (random.min !== min || random.max !== max || random.n !== 1) {
+        throw new Error("Random.org signed response does not match request");
+      }
+      const verified = await verifyRandomOrgSignature({ random, signature }, { endpoint, timeoutMs });
+      if (!verified) throw new Error("Random.org signature verification failed");
+      return {
+        value: random.data[0],
+        evidence: { random, signature, cost: result.cost, verified }
+      };
+    }
+  };
+}
+
+// Ask Random.org whether a signed payload is authentic. Works on stored
+// evidence too, so old giveaways can be re-checked at any time.
+export async function verifyRandomOrgSignature({ random, signature }, { endpoint = RANDOMORG_ENDPOINT, timeoutMs = 5000 } = {}) {
+  const result = await randomOrgRequest(endpoint, "verifySignature", { random, signature }, timeoutMs);
+  return result.authenticity === true;
+}
+
+export function localProvider() {
+  return {
+    name: "local",
+    async integer(min, max) {
+      return { value: crypto.randomInt(min, max + 1), evidence: null };
+    }
+  };
+}
+
+const factories = {
+  "randomorg": randomOrgProvider,
+  "randomorg-signed": randomOrgSignedProvider,
+  "local": localProvider
+};
+
+// Build providers from a comma separated list, e.g. "randomorg-signed,local".
+// The Random.org ones share `opts.client`, or one client made from `opts`.
+export function providersFromList(list, opts = {}) {
+  const names = String(list).split(",").map(s => s.trim()).filter(Boolean);
+  const unknown = names.find(name => !factories[name]);
+  if (unknown) throw new Error(`Unknown RNG provider: ${unknown}`);
+  const shared = { ...opts, client: clientFor(opts) };
+  return names.map(name => factories[name](shared));
+}
+
+export function createRngChain(providers, { logger = console, observe = () => {} } = {}) {
+  if (!providers.length) throw new Error("RNG provider chain is empty");
+  return {
+    providers: providers.map(p => p.name),
+    // Resolves to a roll record: { value, provider, evidence, min, max, at, failures? }
+    async integer(min, max) {
+      const failures = [];
+      for (const p of providers) {
+        const started = process.hrtime.bigint();
+        const seconds = () => Number(process.hrtime.bigint() - started) / 1e9;
+        try {
+          const { value, evidence } = await p.integer(min, max);
+          if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`Provider returned out of range value ${value}`);
+          }
+          observe({ provider: p.name, ok: true, seconds: seconds() });
+          const rec = { value, provider: p.name, evidence, min, max, at: Date.now() };
+          if (failures.length) rec.failures = failures;
+          return rec;
+        } catch (e) {
+          observe({ provider: p.name, ok: false, seconds: seconds() });
+          logger.warn(`RNG provider ${p.name} failed:`, e.message);
+          failures.push({ provider: p.name, message: e.message });
+        }
+      }
+      throw new RngError("All RNG providers failed", failures);
+    }
+  };
+}
@@ -0,0 +1,96 @@
+/**
+ * src/scheduler.js
+ * Durable job scheduler for giveaway endings and Double Down deadlines.
+ *
+ * The scheduler itself keeps nothing on disk: every job is derived from state
+ * that is already persisted on the giveaway (`endsAt`, `doubleDown.deadline`).
+ * On startup the caller passes those jobs to `restore()`, which re-arms the
+ * timers and runs anything that came due while the bot was down.
+ *
+ * Each (type, id) pair has at most one timer, and a job that is already
+ * running is never started a second time, so a timer firing at the same
+ * moment as a force-end cannot resolve a giveaway twice.
+ */
+
+// setTimeout overflows above ~24.8 days; longer waits are chained.
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+export function createScheduler({ logger = console } = {}) {
+  const handlers = new Map();
+  const timers = new Map();
+  const running = new Map();
+
+  const keyOf = (type, id) => `${type}:${id}`;
+
+  function define(type, handler) {
+    handlers.set(type, handler);
+  }
+
+  function arm(key, type, id, runAt) {
+    const delay = Math.max(0, runAt - Date.now());
+    const t = setTimeout(() => {
+      if (timers.get(key) !== t) return;
+      timers.delete(key);
+      if (delay > MAX_TIMEOUT) arm(key, type, id, runAt);
+      else run(type, id);
+    }, Math.min(delay, MAX_TIMEOUT));
+    timers.set(key, t);
+  }
+
+  // (Re)schedule a job. Replaces any pending timer for the same type/id.
+  function schedule(type, id, runAt) {
+    if (!handlers.has(type)) throw new Error(`Unknown job type: ${type}`);
+    cancel(type, id);
+    arm(keyOf(type, id), type, id, runAt);
+  }
+
+  function cancel(type, id) {
+    const key = keyOf(type, id);
+    const t = timers.get(key);
+    if (t) clearTimeout(t);
+    timers.delete(key);
+  }
+
+  // Run a job now (cancelling its timer). Concurrent calls for the same job
+  // share a single execution.
+  function run(type, id) {
+    const key = keyOf(type, id);
+    cancel(type, id);
+    if (running.has(key)) return running.get(key);
+    const handler = handlers.get(type);
+    const p = (async () => {
+      try {
+        await handler(id);
+      } catch (e) {
+        logger.error(`Scheduled job ${key} failed:`, e);
+      } finally {
+        running.delete(key);
+      }
+    })();
+    running.set(key, p);
+    return p;
+  }
+
+  // Re-arm a list of { type, id, runAt } jobs, e.g. rebuilt from storage at
+  // startup. Overdue jobs are run one after another so a long downtime does
+  // not fire every catch-up at once.
+  async function restore(jobs) {
+    const now = Date.now();
+    const overdue = [];
+    for (const job of jobs) {
+      if (job.runAt <= now) overdue.push(job);
+      else schedule(job.type, job.id, job.runAt);
+    }
+    overdue.sort((a, b) => a.runAt - b.runAt);
+    for (const job of overdue) {
+      await run(job.type, job.id);
+    }
+    return { scheduled: jobs.length - overdue.length, caughtUp: overdue.length };
+  }
+
+  function pending() {
+    return [...timers.keys()];
+  }
+
+  return { define, schedule, cancel, run, restore, pending };
+}
@@ -0,0 +1,115 @@
+/**
+ * src/series.js
+ * Schedules for scheduled and recurring giveaways.
+ *
+ * A series is a giveaway template plus a schedule; each run posts a new
+ * giveaway from the template. A one-off scheduled giveaway is a series that
+ * runs once. Schedules, all in UTC:
+ *   { kind: "once", at }
+ *   { kind: "daily", time: "20:00" }
+ *   { kind: "weekly", time: "20:00", days: [1, 3, 5] }   (0 = Sunday)
+ *   { kind: "interval", everyMs, startAt }
+ * Recurring kinds may also have `startAt` (no run before it) and `maxRuns`.
+ *
+ * Pure functions only; the runner lives in app.js with the scheduler.
+ */
+
+import { formatDuration } from "./commands.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_AHEAD_MS = 365 * DAY_MS;
+export const MIN_INTERVAL_MS = 60 * 1000;
+export const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const TIME = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// ms timestamp, ISO string or anything Date.parse understands; null if invalid
+function toTime(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (typeof v !== "string") return null;
+  const t = Date.parse(v);
+  return Number.isNaN(t) ? null : t;
+}
+
+// Validate a schedule from the slash command or web API.
+// Returns { schedule } or { error }.
+export function normalizeSchedule(input, now = Date.now()) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "Schedule must be an object." };
+  const out = { kind: input.kind };
+  if (input.kind === "once") {
+    out.at = toTime(input.at);
+    if (out.at == null) return { error: "Give the start time as a timestamp or ISO date." };
+    if (out.at <= now) return { error: "Start time must be in the future." };
+    if (out.at > now + MAX_AHEAD_MS) return { error: "Start time must be within a year." };
+    return { schedule: out };
+  }
+  if (input.kind === "daily" || input.kind === "weekly") {
+    if (!TIME.test(String(input.time ?? ""))) return { error: "Time must be HH:MM (UTC), e.g. 20:00." };
+    const [h, m] = String(input.time).split(":");
+    out.time = `${h.padStart(2, "0")}:${m}`;
+    if (input.kind === "weekly") {
+      const days = Array.isArray(input.days) ? input.days.map(d => typeof d === "string" ? DAY_NAMES.indexOf(d.slice(0, 3).toLowerCase()) : d) : [];
+      if (!days.length || !days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) return { error: "Weekly schedules need days, e.g. [\"mon\", \"fri\"] or [1, 5]." };
+      out.days = [...new Set(days)].sort((a, b) => a - b);
+    }
+  } else if (input.kind === "interval") {
+    if (!Number.isInteger(input.everyMs) || input.everyMs < MIN_INTERVAL_MS || input.everyMs > MAX_AHEAD_MS) {
+      return { error: `Interval must be between ${formatDuration(MIN_INTERVAL_MS)} and 365 days.` };
+    }
+    out.everyMs = input.everyMs;
+  } else {
+    return { error: "Schedule kind must be once, daily, weekly or interval." };
+  }
+  if (input.startAt != null) {
+    out.startAt = toTime(input.startAt);
+    if (out.startAt == null) return { error: "startAt must be a timestamp or ISO date." };
+    if (out.startAt > now + MAX_AHEAD_MS) return { error: "startAt must be within a year." };
+  } else if (out.kind === "interval") {
+    out.startAt = now;
+  }
+  if (input.maxRuns != null) {
+    if (!Number.isInteger(input.maxRuns) || input.maxRuns < 1) return { error: "maxRuns must be at least 1." };
+    out.maxRuns = input.maxRuns;
+  }
+  return { schedule: out };
+}
+
+// First run time strictly after `after`, or null when the schedule is done
+export function nextRun(schedule, after, runs = 0) {
+  if (schedule.maxRuns != null && runs >= schedule.maxRuns) return null;
+  if (schedule.kind === "once") return runs === 0 && schedule.at > after ? schedule.at : null;
+  const from = Math.max(after, (schedule.startAt ?? -Infinity) - 1);
+  if (schedule.kind === "interval") {
+    const k = Math.floor((from - schedule.startAt) / schedule.everyMs) + 1;
+    return schedule.startAt + Math.max(0, k) * schedule.everyMs;
+  }
+  const [h, m] = schedule.time.split(":").map(Number);
+  const day = new Date(from);
+  let t = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), h, m);
+  for (let i = 0; i < 8; i++, t += DAY_MS) {
+    if (t <= from) continue;
+    if (schedule.kind === "daily" || schedule.days.includes(new Date(t).getUTCDay())) return t;
+  }
+  return null;
+}
+
+// Shortest possible gap between two runs; a giveaway must end before the next starts
+export function minGapMs(schedule) {
+  if (schedule.kind === "once") return Infinity;
+  if (schedule.kind === "interval") return schedule.everyMs;
+  if (schedule.kind === "daily" || schedule.days.length === 1) return schedule.kind === "daily" ? DAY_MS : 7 * DAY_MS;
+  const gaps = schedule.days.map((d, i) => ((schedule.days[(i + 1) % schedule.days.length] - d + 7) % 7 || 7) * DAY_MS);
+  return Math.min(...gaps);
+}
+
+// "daily at 20:00 UTC", "Mon, Fri at 20:00 UTC", "every 2h", "once at <t:…>"
+export function describeSchedule(schedule) {
+  const runs = schedule.maxRuns ? `, ${schedule.maxRuns} runs` : "";
+  switch (schedule.kind) {
+    case "once": return `once at <t:${Math.floor(schedule.at / 1000)}:f>`;
+    case "daily": return `daily at ${schedule.time} UTC${runs}`;
+    case "weekly": return `${schedule.days.map(d => DAY_NAMES[d][0].toUpperCase() + DAY_NAMES[d].slice(1)).join(", ")} at ${schedule.time} UTC${runs}`;
+    case "interval": return `every ${formatDuration(schedule.everyMs)}${runs}`;
+    default: return schedule.kind;
+  }
+}
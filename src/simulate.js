@@ -0,0 +1,275 @@
+/**
+ * src/simulate.js
+ * Monte-Carlo economy simulation for tuning houseEdge and risk profiles.
+ *
+ * Runs N giveaways through the same engine functions as real resolution
+ * (rankEntries, assignPrizes, doubleDown), with made-up entrants and a seeded
+ * local RNG so a result can be reproduced from its seed. Each run plays the
+ * giveaways back to back; with `carryPot` the pot left by one giveaway is the
+ * next one's pot, which shows how fast pot shares and Double Down drain it.
+ * `mode` picks the game mode the made-up entries play (src/modes.js).
+ *
+ * House profit is stakes taken in minus payouts, the same money flow as
+ * settleStakes: pot shares and Double Down wins are paid by the house.
+ * Double Down follows the config's ladder: the winner plays each offered round
+ * with probability doubleDownPercent and otherwise cashes out.
+ */
+
+import crypto from "crypto";
+import { normalizeTiers, winnerCount, rankEntries, assignPrizes, doubleDown, doubleDownSettings } from "./engine.js";
+import { gameMode, MODE_NAMES, DEFAULT_MODE } from "./modes.js";
+
+export const MAX_SIM_GIVEAWAYS = 5000;
+export const MAX_SIM_RUNS = 100;
+// Cap on giveaways × runs × entrantsMax × workPerEntry, which keeps one
+// request to about 1-2 s of CPU (run in slices, see SLICE_MS) in every mode.
+export const MAX_SIM_WORK = 1_000_000;
+const CURVE_POINTS = 100;
+// the simulation hands the event loop back at least this often, so Discord
+// interactions and other requests aren't held up while it runs
+const SLICE_MS = 20;
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+// Work per made-up entry, in under/over entries. Closest mode prices every
+// winner over all 101 rolls (placeChance in src/modes.js), which measures at
+// about 3 more per winner; the other modes cost the same as under/over.
+export const workPerEntry = (mode, winners) => (mode === "closest" ? 1.5 + 3 * winners : 1);
+
+// mulberry32 seeded from the SHA-256 of the seed string; random() in [0, 1)
+export function seededRng(seed) {
+  let a = crypto.createHash("sha256").update(String(seed)).digest().readUInt32BE(0);
+  const random = () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    random,
+    // integer in [min, max]
+    integer: (min, max) => min + Math.floor(random() * (max - min + 1))
+  };
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Check the request and fill in defaults. `cfg` is the config being tried.
+// Returns { options } or { error }.
+export function normalizeSimulation(input = {}, cfg) {
+  const o = {
+    giveaways: input.giveaways ?? 200,
+    runs: input.runs ?? 20,
+    seed: input.seed == null || input.seed === "" ? crypto.randomBytes(6).toString("hex") : String(input.seed).slice(0, 100),
+    pot: input.pot ?? cfg.pot,
+    carryPot: input.carryPot ?? true,
+    potTopUp: input.potTopUp ?? 0,
+    entrantsMin: input.entrantsMin ?? 5,
+    entrantsMax: input.entrantsMax ?? 30,
+    underPercent: input.underPercent ?? 50,
+    mode: input.mode ?? DEFAULT_MODE,
+    mainMin: input.mainMin ?? 0,
+    mainMax: input.mainMax ?? 100,
+    stakeMin: input.stakeMin ?? 1,
+    stakeMax: input.stakeMax ?? 1,
+    doubleDownPercent: input.doubleDownPercent ?? 50,
+    riskMix: input.riskMix ?? Object.fromEntries(Object.keys(cfg.riskProfiles).map(name => [name, 1]))
+  };
+  for (const key of ["giveaways", "runs", "entrantsMin", "entrantsMax", "mainMin", "mainMax"]) {
+    if (!Number.isInteger(o[key]) || o[key] < 0) return { error: `${key} must be a whole number, 0 or more.` };
+  }
+  for (const key of ["pot", "potTopUp", "stakeMin", "stakeMax", "underPercent", "doubleDownPercent"]) {
+    if (!isNum(o[key]) || o[key] < 0) return { error: `${key} must be a number, 0 or more.` };
+  }
+  if (o.giveaways < 1 || o.giveaways > MAX_SIM_GIVEAWAYS) return { error: `giveaways must be between 1 and ${MAX_SIM_GIVEAWAYS}.` };
+  if (o.runs < 1 || o.runs > MAX_SIM_RUNS) return { error: `runs must be between 1 and ${MAX_SIM_RUNS}.` };
+  if (o.entrantsMin > o.entrantsMax) return { error: "entrantsMin can't be above entrantsMax." };
+  if (o.mainMax > 100 || o.mainMin > o.mainMax) return { error: "Main numbers must satisfy 0 <= mainMin <= mainMax <= 100." };
+  if (o.stakeMin > o.stakeMax) return { error: "stakeMin can't be above stakeMax." };
+  if (o.underPercent > 100 || o.doubleDownPercent > 100) return { error: "Percentages must be between 0 and 100." };
+  if (typeof o.carryPot !== "boolean") return { error: "carryPot must be true or false." };
+  if (!MODE_NAMES.includes(o.mode)) return { error: `mode must be one of: ${MODE_NAMES.join(", ")}.` };
+  if (!o.riskMix || typeof o.riskMix !== "object" || Array.isArray(o.riskMix)) return { error: "riskMix must map risk profile names to weights." };
+  for (const [name, weight] of Object.entries(o.riskMix)) {
+    if (!(name in cfg.riskProfiles)) return { error: `riskMix: unknown risk profile "${name}".` };
+    if (!isNum(weight) || weight < 0) return { error: `riskMix.${name} must be a number, 0 or more.` };
+  }
+  if (!Object.values(o.riskMix).some(w => w > 0)) return { error: "riskMix needs at least one weight above 0." };
+  const t = normalizeTiers({ winners: input.winners ?? undefined, tiers: input.tiers ?? undefined });
+  if (t.error) return { error: t.error };
+  o.tiers = t.tiers;
+  const winners = winnerCount(o.tiers);
+  const work = workPerEntry(o.mode, winners);
+  if (o.giveaways * o.runs * Math.max(1, o.entrantsMax) * work > MAX_SIM_WORK) {
+    const max = Math.floor(MAX_SIM_WORK / work);
+    return { error: `Too much work: giveaways × runs × entrantsMax must stay under ${max}${work > 1 ? ` in ${o.mode} mode with ${winners} winner${winners === 1 ? "" : "s"}` : ""}.` };
+  }
+  return { options: o };
+}
+
+// Value at quantile q of an ascending list
+function quantile(sorted, q) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+function stats(values) {
+  const n = values.length;
+  const mean = n ? values.reduce((s, v) => s + v, 0) / n : 0;
+  const variance = n ? values.reduce((s, v) => s + (v - mean) ** 2, 0) / n : 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return {
+    count: n,
+    mean: round2(mean),
+    variance: round2(variance),
+    stdev: round2(Math.sqrt(variance)),
+    p50: quantile(sorted, 0.5),
+    p95: quantile(sorted, 0.95),
+    max: sorted.length ? sorted[n - 1] : 0
+  };
+}
+
+// Pick a risk profile name by weight
+function weightedPick(rng, weights) {
+  const total = weights.reduce((s, [, w]) => s + w, 0);
+  let r = rng.random() * total;
+  for (const [name, w] of weights) {
+    if ((r -= w) < 0) return name;
+  }
+  return weights[weights.length - 1][0];
+}
+
+// One made-up entrant per member; range bets span two drawn main numbers
+function makeEntries(rng, o, riskWeights) {
+  const n = rng.integer(o.entrantsMin, o.entrantsMax);
+  const entries = [];
+  for (let k = 0; k < n; k++) {
+    const main = rng.integer(o.mainMin, o.mainMax);
+    const other = o.mode === "range" ? rng.integer(o.mainMin, o.mainMax) : main;
+    entries.push({
+      userId: `sim-${k}`,
+      username: `sim-${k}`,
+      main,
+      ...(o.mode === "range" ? { low: Math.min(main, other), high: Math.max(main, other) } : {}),
+      tiebreak: rng.integer(0, 100),
+      choice: rng.random() * 100 < o.underPercent ? "under" : "over",
+      stakeC: round2(o.stakeMin + rng.random() * (o.stakeMax - o.stakeMin)),
+      riskProfile: weightedPick(rng, riskWeights),
+      joinedAt: k
+    });
+  }
+  return entries;
+}
+
+// Resolves to the report; `options` must come from normalizeSimulation. Long
+// simulations run in slices of SLICE_MS between other work.
+export async function simulateEconomy(options, cfg) {
+  const o = options;
+  const count = winnerCount(o.tiers);
+  const mode = gameMode(o.mode);
+  const riskWeights = Object.entries(o.riskMix).filter(([, w]) => w > 0);
+  const step = Math.max(1, Math.ceil(o.giveaways / CURVE_POINTS));
+  const curve = [];
+  for (let i = step - 1; i < o.giveaways; i += step) curve.push({ giveaway: i + 1, pots: [] });
+  if (curve[curve.length - 1]?.giveaway !== o.giveaways) curve.push({ giveaway: o.giveaways, pots: [] });
+
+  const payouts = [];
+  const profits = [];
+  const runProfits = [];
+  const depletedAt = [];
+  let staked = 0, paid = 0, noWinner = 0, winnersTotal = 0;
+  const ddSettings = doubleDownSettings(cfg);
+  const dd = { offered: 0, taken: 0, rounds: 0, won: 0, potWonC: 0, returnedC: 0 };
+
+  let sliceStart = Date.now();
+  for (let run = 0; run < o.runs; run++) {
+    const rng = seededRng(`${o.seed}:${run}`);
+    const pick = (n) => rng.integer(0, n - 1);
+    let pot = o.pot;
+    let runProfit = 0;
+    let depleted = null;
+    let c = 0;
+    for (let i = 0; i < o.giveaways; i++) {
+      if (Date.now() - sliceStart >= SLICE_MS) {
+        await nextTick();
+        sliceStart = Date.now();
+      }
+      const potIn = o.carryPot ? pot + (i > 0 ? o.potTopUp : 0) : o.pot;
+      const entries = makeEntries(rng, o, riskWeights);
+      const roll = mode.usesRoll ? rng.integer(0, 100) : null;
+      const { ranked } = await rankEntries(entries, roll, count, pick, { mode });
+      const { winners, potShareTotal } = assignPrizes(ranked, { tiers: o.tiers, pot: potIn, cfg, mode, entries });
+      let potOut = Math.max(0, potIn - potShareTotal);
+      if (winners.length && ddSettings.enabled) {
+        dd.offered++;
+        const ladder = { startPayoutC: winners[0].payoutC, potTakenC: 0 };
+        for (let round = 1; round <= ddSettings.maxRounds && rng.random() * 100 < o.doubleDownPercent; round++) {
+          if (round === 1) dd.taken++;
+          dd.rounds++;
+          const result = doubleDown(winners[0], potOut, rng.integer(0, 100), ddSettings, ladder);
+          winners[0].payoutC = result.payoutC;
+          ladder.potTakenC = result.potTakenC;
+          if (result.won) {
+            dd.won++;
+            dd.potWonC += potOut - result.pot;
+          } else {
+            dd.returnedC += result.amount;
+          }
+          potOut = result.pot;
+          if (!result.won) break;
+        }
+      } else if (!winners.length) {
+        noWinner++;
+      }
+      const stakeIn = entries.reduce((s, e) => s + e.stakeC, 0);
+      const payoutOut = winners.reduce((s, w) => s + w.payoutC, 0);
+      for (const w of winners) payouts.push(w.payoutC);
+      winnersTotal += winners.length;
+      staked += stakeIn;
+      paid += payoutOut;
+      profits.push(round2(stakeIn - payoutOut));
+      runProfit += stakeIn - payoutOut;
+      pot = potOut;
+      if (depleted == null && pot < 1) depleted = i + 1;
+      if (curve[c]?.giveaway === i + 1) curve[c++].pots.push(pot);
+    }
+    runProfits.push(round2(runProfit));
+    depletedAt.push(depleted);
+  }
+
+  const depletedRuns = depletedAt.filter(d => d != null).sort((a, b) => a - b);
+  const total = o.giveaways * o.runs;
+  return {
+    seed: o.seed,
+    mode: o.mode,
+    giveaways: o.giveaways,
+    runs: o.runs,
+    house: {
+      stakedC: round2(staked),
+      paidC: round2(paid),
+      profitC: round2(staked - paid),
+      edgeRealized: staked ? Math.round(((staked - paid) / staked) * 10000) / 10000 : null,
+      perGiveaway: stats(profits),
+      perRun: stats(runProfits),
+      losingGiveawaysPercent: round2(profits.filter(p => p < 0).length / total * 100)
+    },
+    payouts: stats(payouts),
+    winners: {
+      perGiveaway: round2(winnersTotal / total),
+      noWinnerPercent: round2(noWinner / total * 100)
+    },
+    doubleDown: { ...dd, potWonC: round2(dd.potWonC), returnedC: round2(dd.returnedC) },
+    pot: {
+      start: o.pot,
+      carried: o.carryPot,
+      depletedRuns: depletedRuns.length,
+      medianDepletedAt: depletedRuns.length ? quantile(depletedRuns, 0.5) : null,
+      // pot after each sampled giveaway, across runs
+      curve: curve.map(({ giveaway, pots }) => {
+        const sorted = pots.slice().sort((a, b) => a - b);
+        return { giveaway, mean: round2(pots.reduce((s, p) => s + p, 0) / pots.length), p10: quantile(sorted, 0.1), p90: quantile(sorted, 0.9) };
+      })
+    }
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * src/storage/index.js
+ * Storage layer used by the bot and the web API.
+ *
+ * Drivers (json, sqlite) only know how to read and write documents and
+ * values. This module adds the guarantees on top:
+ *  - `update(collection, id, fn)` runs `fn` on a private copy of the document
+ *    while holding a per-document lock, then writes the copy back. Two
+ *    concurrent joins, or a join racing `resolveGiveaway`, are serialised
+ *    instead of overwriting each other. Stream records appended while `fn`
+ *    runs (ledger transactions, audit events) are written together with the
+ *    document, in one SQLite transaction, or not at all if `fn` throws.
+ *  - reads hand out copies, so nothing outside a lock mutates stored state.
+ *  - `append(stream, record)` adds to an append-only log; records are never
+ *    rewritten, and each gets an increasing `seq`.
+ *  - `watch(fn)` calls `fn({ collection, id, doc })` after every document
+ *    write (`doc` is null when removed), e.g. to push live updates.
+ *
+ * Usage:
+ *   const storage = await openStorage({ driver: "sqlite", dataDir });
+ *   await storage.update("giveaways", id, g => { g.entries.push(entry); });
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import fs from "fs-extra";
+import path from "path";
+import { createLocks } from "./lock.js";
+import { createJsonDriver } from "./json.js";
+import { createSqliteDriver } from "./sqlite.js";
+
+// Everything the app persists; used when copying between drivers.
+export const COLLECTIONS = ["giveaways", "series", "apiTokens", "configVersions", "guildConfigs", "webhooks", "webhookDeliveries"];
+export const VALUE_KEYS = ["config", "configVersion"];
+export const STREAMS = ["ledger", "audit"];
+
+// records fetched at a time by a limited, filtered `read`
+const READ_BATCH = 500;
+
+const clone = (v) => (v == null ? v : structuredClone(v));
+
+export function createStorage(driver, { logger = console } = {}) {
+  const { withLock } = createLocks();
+  const watchers = new Set();
+  // the update whose `fn` is running: { appends, undo, open }
+  const pending = new AsyncLocalStorage();
+  const openUpdate = () => {
+    const u = pending.getStore();
+    return u?.open ? u : null;
+  };
+
+  function changed(collection, id, doc) {
+    for (const fn of watchers) {
+      try {
+        fn({ collection, id, doc: clone(doc) });
+      } catch (e) {
+        logger.error("Storage watcher failed:", e);
+      }
+    }
+  }
+
+  return {
+    driver: driver.name,
+
+    init: () => driver.init(),
+    close: () => driver.close(),
+
+    async getValue(key) {
+      return clone(await driver.getValue(key));
+    },
+
+    setValue(key, value) {
+      return withLock(`kv:${key}`, () => driver.setValue(key, clone(value)));
+    },
+
+    async get(collection, id) {
+      return clone(await driver.getDoc(collection, id));
+    },
+
+    // where: equality on top-level fields, e.g. { ended: false }
+    async list(collection, { where, filter } = {}) {
+      const docs = (await driver.listDocs(collection, where)).map(clone);
+      return filter ? docs.filter(filter) : docs;
+    },
+
+    insert(collection, doc) {
+      if (!doc?.id) throw new Error("Document needs an id");
+      return withLock(`${collection}:${doc.id}`, async () => {
+        if (await driver.getDoc(collection, doc.id)) throw new Error(`${collection}/${doc.id} already exists`);
+        await driver.putDoc(collection, clone(doc));
+        changed(collection, doc.id, doc);
+        return clone(doc);
+      });
+    },
+
+    // Atomic read-modify-write of one document. `fn` gets a copy it may mutate
+    // (and may be async); the copy is stored if it changed and `fn`'s return
+    // value is passed through. Records `fn` appends to streams are stored in
+    // the same transaction. If `fn` throws nothing is written and the
+    // `onRollback` callbacks registered meanwhile run. Resolves to undefined
+    // without calling `fn` when the document does not exist. Other documents
+    // written from `fn` are written on their own.
+    update(collection, id, fn) {
+      return withLock(`${collection}:${id}`, async () => {
+        const current = await driver.getDoc(collection, id);
+        if (!current) return undefined;
+        const before = JSON.stringify(current);
+        const doc = clone(current);
+        const u = { appends: [], undo: [], open: true };
+        try {
+          const result = await pending.run(u, () => fn(doc));
+          u.open = false;
+          const write = JSON.stringify(doc) !== before;
+          if (write && doc.id !== id) throw new Error("Document id cannot change");
+          if (write || u.appends.length) await driver.commit({ collection, doc: write ? doc : null, appends: u.appends });
+          if (write) changed(collection, id, doc);
+          return result;
+        } catch (e) {
+          u.open = false;
+          for (const undo of u.undo.reverse()) undo();
+          throw e;
+        }
+      });
+    },
+
+    // Inside an update's `fn`: `undo` runs if that update writes nothing
+    // after all, e.g. to take back in-memory state that assumed the write.
+    // Outside one it does nothing.
+    onRollback(undo) {
+      openUpdate()?.undo.push(undo);
+    },
+
+    remove(collection, id) {
+      return withLock(`${collection}:${id}`, async () => {
+        await driver.deleteDoc(collection, id);
+        changed(collection, id, null);
+      });
+    },
+
+    // Returns a function that stops watching
+    watch(fn) {
+      watchers.add(fn);
+      return () => watchers.delete(fn);
+    },
+
+    // Append a record to a stream; resolves to its seq. Inside an update's
+    // `fn` the record waits for the document write and resolves to null.
+    append(stream, record) {
+      const u = openUpdate();
+      if (!u) return driver.append(stream, clone(record));
+      u.appends.push({ stream, record: clone(record) });
+      return Promise.resolve(null);
+    },
+
+    // Records with afterSeq < seq < beforeSeq, oldest first (newest first
+    // with `newest`), at most `limit` of them. The driver selects by `where`
+    // (as for `list`; an array matches any of its values) and `account` (ledger
+    // transactions with a posting to it); `filter` is applied in memory, a
+    // batch of records at a time, so a limited read stops once it has enough.
+    async read(stream, { afterSeq = 0, beforeSeq, newest = false, where, account, filter, limit } = {}) {
+      const query = { afterSeq, beforeSeq, newest, where, account };
+      if (!filter) return driver.readStream(stream, { ...query, limit });
+      if (!limit) return (await driver.readStream(stream, query)).filter(filter);
+      const records = [];
+      for (;;) {
+        const batch = await driver.readStream(stream, { ...query, limit: READ_BATCH });
+        for (const r of batch) {
+          if (!filter(r)) continue;
+          records.push(r);
+          if (records.length === limit) return records;
+        }
+        if (batch.length < READ_BATCH) return records;
+        if (newest) query.beforeSeq = batch[batch.length - 1].seq;
+        else query.afterSeq = batch[batch.length - 1].seq;
+      }
+    }
+  };
+}
+
+// Copy every known collection and value from one storage to another.
+export async function migrateStorage(from, to) {
+  const counts = {};
+  for (const key of VALUE_KEYS) {
+    const v = await from.getValue(key);
+    if (v != null) await to.setValue(key, v);
+  }
+  for (const name of STREAMS) {
+    // streams are only copied into an empty target, keeping seq order
+    if ((await to.read(name, { limit: 1 })).length) continue;
+    const records = await from.read(name);
+    for (const { seq, ...rec } of records) await to.append(name, rec);
+    counts[name] = records.length;
+  }
+  for (const name of COLLECTIONS) {
+    const docs = await from.list(name);
+    for (const doc of docs) {
+      if (await to.get(name, doc.id)) continue;
+      await to.insert(name, doc);
+    }
+    counts[name] = docs.length;
+  }
+  return counts;
+}
+
+// Open the configured driver. A fresh SQLite database is seeded from the
+// legacy JSON files in dataDir when they exist.
+export async function openStorage({ driver = "sqlite", dataDir, sqliteFile, logger = console }) {
+  await fs.ensureDir(dataDir);
+  if (driver === "json") {
+    const storage = createStorage(createJsonDriver({ dataDir }), { logger });
+    await storage.init();
+    return storage;
+  }
+  if (driver !== "sqlite") throw new Error(`Unknown storage driver: ${driver}`);
+
+  const sqlite = await createSqliteDriver({ file: sqliteFile || path.join(dataDir, "giveaways.db") });
+  const storage = createStorage(sqlite, { logger });
+  await storage.init();
+  const legacyFiles = ["giveaways.json", "config.json"].map(f => path.join(dataDir, f));
+  if (await sqlite.isEmpty() && (await Promise.all(legacyFiles.map(f => fs.pathExists(f)))).some(Boolean)) {
+    const legacy = createStorage(createJsonDriver({ dataDir }));
+    await legacy.init();
+    const counts = await migrateStorage(legacy, storage);
+    logger.log("Migrated legacy JSON data into SQLite:", counts);
+  }
+  return storage;
+}
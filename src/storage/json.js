@@ -0,0 +1,142 @@
+/**
+ * src/storage/json.js
+ * Legacy JSON file driver.
+ *
+ * Layout is compatible with the original files in data/:
+ *  - values:      data/<key>.json              (e.g. config.json)
+ *  - collections: data/<name>.json as { <name>: [...] }  (e.g. giveaways.json)
+ *  - streams:     data/<name>.jsonl, one record per line, append only
+ *
+ * Everything is held in memory after init and each change rewrites its file
+ * atomically (temp file + rename). Writes to the same file are queued so an
+ * older snapshot can never land after a newer one.
+ */
+
+import fs from "fs-extra";
+import path from "path";
+
+export function createJsonDriver({ dataDir }) {
+  const values = new Map();
+  const collections = new Map();
+  const writeQueues = new Map();
+  const streamSeqs = new Map();
+
+  const valueFile = (key) => path.join(dataDir, `${key}.json`);
+  const collectionFile = (name) => path.join(dataDir, `${name}.json`);
+  const streamFile = (name) => path.join(dataDir, `${name}.jsonl`);
+
+  async function readStream(name) {
+    const file = streamFile(name);
+    if (!(await fs.pathExists(file))) return [];
+    return (await fs.readFile(file, "utf8")).split("\n").filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  function writeFileAtomic(file, obj) {
+    const prev = writeQueues.get(file) || Promise.resolve();
+    const next = prev.catch(() => {}).then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(obj, null, 2));
+      await fs.rename(tmp, file);
+    });
+    writeQueues.set(file, next);
+    return next;
+  }
+
+  async function loadCollection(name) {
+    if (collections.has(name)) return collections.get(name);
+    const file = collectionFile(name);
+    const docs = new Map();
+    if (await fs.pathExists(file)) {
+      const raw = JSON.parse(await fs.readFile(file, "utf8"));
+      for (const doc of raw[name] || []) docs.set(doc.id, doc);
+    }
+    collections.set(name, docs);
+    return docs;
+  }
+
+  function persistCollection(name) {
+    return writeFileAtomic(collectionFile(name), { [name]: [...collections.get(name).values()] });
+  }
+
+  return {
+    name: "json",
+
+    async init() {
+      await fs.ensureDir(dataDir);
+    },
+
+    async getValue(key) {
+      if (!values.has(key)) {
+        const file = valueFile(key);
+        values.set(key, (await fs.pathExists(file)) ? JSON.parse(await fs.readFile(file, "utf8")) : null);
+      }
+      return values.get(key);
+    },
+
+    async setValue(key, value) {
+      values.set(key, value);
+      await writeFileAtomic(valueFile(key), value);
+    },
+
+    async getDoc(name, id) {
+      return (await loadCollection(name)).get(id) ?? null;
+    },
+
+    async listDocs(name, where) {
+      const docs = [...(await loadCollection(name)).values()];
+      if (!where) return docs;
+      return docs.filter(d => Object.entries(where).every(([k, v]) => (d[k] ?? null) === v));
+    },
+
+    async putDoc(name, doc) {
+      (await loadCollection(name)).set(doc.id, doc);
+      await persistCollection(name);
+    },
+
+    async deleteDoc(name, id) {
+      const docs = await loadCollection(name);
+      if (docs.delete(id)) await persistCollection(name);
+    },
+
+    // The JSON files can't be written together: the document goes first, then
+    // the stream records, one after another
+    async commit({ collection, doc, appends }) {
+      if (doc) await this.putDoc(collection, doc);
+      for (const { stream, record } of appends) await this.append(stream, record);
+    },
+
+    // Records get an increasing `seq`; appends to a stream are queued like file writes.
+    async append(name, record) {
+      const file = streamFile(name);
+      const prev = writeQueues.get(file) || Promise.resolve();
+      const next = prev.catch(() => {}).then(async () => {
+        if (!streamSeqs.has(name)) {
+          const existing = await readStream(name);
+          streamSeqs.set(name, existing.length ? existing[existing.length - 1].seq : 0);
+        }
+        const seq = streamSeqs.get(name) + 1;
+        await fs.appendFile(file, JSON.stringify({ ...record, seq }) + "\n");
+        streamSeqs.set(name, seq);
+        return seq;
+      });
+      writeQueues.set(file, next);
+      return next;
+    },
+
+    // See `read` in index.js for the options. The whole file is read anyway.
+    async readStream(name, { afterSeq = 0, beforeSeq, newest = false, where, account, limit } = {}) {
+      await writeQueues.get(streamFile(name))?.catch(() => {});
+      const fields = Object.entries(where ?? {});
+      let records = (await readStream(name)).filter(r =>
+        r.seq > afterSeq && (beforeSeq == null || r.seq < beforeSeq) &&
+        fields.every(([k, v]) => (Array.isArray(v) ? v.includes(r[k]) : (r[k] ?? null) === (v ?? null))) &&
+        (account == null || (r.postings ?? []).some(p => p.account === account)));
+      if (newest) records.reverse();
+      return limit ? records.slice(0, limit) : records;
+    },
+
+    async close() {
+      await Promise.all([...writeQueues.values()].map(p => p.catch(() => {})));
+    }
+  };
+}
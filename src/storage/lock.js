@@ -0,0 +1,26 @@
+/**
+ * src/storage/lock.js
+ * Keyed async mutex. Callers holding the same key run one after another;
+ * different keys never wait on each other.
+ */
+
+export function createLocks() {
+  const tails = new Map();
+
+  async function withLock(key, fn) {
+    const prev = tails.get(key) || Promise.resolve();
+    let release;
+    const mine = new Promise(r => { release = r; });
+    const tail = prev.then(() => mine);
+    tails.set(key, tail);
+    await prev;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (tails.get(key) === tail) tails.delete(key);
+    }
+  }
+
+  return { withLock };
+}
@@ -0,0 +1,140 @@
+/**
+ * src/storage/sqlite.js
+ * SQLite driver (better-sqlite3).
+ *
+ * Documents are stored as JSON text in one `docs` table keyed by
+ * (collection, id); values live in `kv` and append-only streams in `logs`.
+ * Every write is its own transaction, except that `commit` stores a document
+ * with the stream records that go with it in one, and the database runs in
+ * WAL mode, so a crash can never leave a half written file behind the way a
+ * whole-file rewrite can.
+ */
+
+// Only booleans need converting: SQLite has no boolean type and json_extract
+// returns 0/1 for JSON false/true.
+const bindable = (v) => (typeof v === "boolean" ? (v ? 1 : 0) : v);
+
+// SQL for `where`: equality on top-level fields, null for a missing field and
+// an array for any of its values. Pushes the parameters onto `params`.
+function whereClauses(where, params) {
+  const clauses = [];
+  for (const [k, v] of Object.entries(where ?? {})) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(k)) throw new Error(`Invalid field name: ${k}`);
+    if (v === null || v === undefined) clauses.push(`json_extract(data, '$.${k}') IS NULL`);
+    else if (Array.isArray(v)) { clauses.push(`json_extract(data, '$.${k}') IN (SELECT value FROM json_each(?))`); params.push(JSON.stringify(v.map(bindable))); }
+    else { clauses.push(`json_extract(data, '$.${k}') = ?`); params.push(bindable(v)); }
+  }
+  return clauses;
+}
+
+export async function createSqliteDriver({ file }) {
+  // loaded lazily so the JSON driver keeps working where the native module is missing
+  const { default: Database } = await import("better-sqlite3");
+  let db;
+  let stmts;
+
+  return {
+    name: "sqlite",
+
+    async init() {
+      db = new Database(file);
+      db.pragma("journal_mode = WAL");
+      db.pragma("busy_timeout = 5000");
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS kv (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS docs (
+          collection TEXT NOT NULL,
+          id TEXT NOT NULL,
+          data TEXT NOT NULL,
+          updated_at INTEGER NOT NULL,
+          PRIMARY KEY (collection, id)
+        );
+        CREATE TABLE IF NOT EXISTS logs (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          stream TEXT NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS logs_stream ON logs (stream, seq);
+      `);
+      stmts = {
+        getValue: db.prepare("SELECT value FROM kv WHERE key = ?"),
+        setValue: db.prepare("INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"),
+        getDoc: db.prepare("SELECT data FROM docs WHERE collection = ? AND id = ?"),
+        listDocs: db.prepare("SELECT data FROM docs WHERE collection = ? ORDER BY rowid"),
+        putDoc: db.prepare(`INSERT INTO docs (collection, id, data, updated_at) VALUES (?, ?, ?, ?)
+          ON CONFLICT(collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`),
+        deleteDoc: db.prepare("DELETE FROM docs WHERE collection = ? AND id = ?"),
+        append: db.prepare("INSERT INTO logs (stream, data) VALUES (?, ?)"),
+        count: db.prepare("SELECT (SELECT COUNT(*) FROM docs) + (SELECT COUNT(*) FROM kv) + (SELECT COUNT(*) FROM logs) AS n")
+      };
+    },
+
+    async isEmpty() {
+      return stmts.count.get().n === 0;
+    },
+
+    async getValue(key) {
+      const row = stmts.getValue.get(key);
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    async setValue(key, value) {
+      stmts.setValue.run(key, JSON.stringify(value));
+    },
+
+    async getDoc(name, id) {
+      const row = stmts.getDoc.get(name, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async listDocs(name, where) {
+      if (!where || !Object.keys(where).length) return stmts.listDocs.all(name).map(r => JSON.parse(r.data));
+      const params = [name];
+      const clauses = whereClauses(where, params);
+      return db.prepare(`SELECT data FROM docs WHERE collection = ? AND ${clauses.join(" AND ")} ORDER BY rowid`)
+        .all(...params).map(r => JSON.parse(r.data));
+    },
+
+    async putDoc(name, doc) {
+      stmts.putDoc.run(name, doc.id, JSON.stringify(doc), Date.now());
+    },
+
+    async deleteDoc(name, id) {
+      stmts.deleteDoc.run(name, id);
+    },
+
+    // `doc` (or null) and `appends` ([{ stream, record }]) in one transaction
+    async commit({ collection, doc, appends }) {
+      db.transaction(() => {
+        if (doc) stmts.putDoc.run(collection, doc.id, JSON.stringify(doc), Date.now());
+        for (const { stream, record } of appends) stmts.append.run(stream, JSON.stringify(record));
+      })();
+    },
+
+    async append(name, record) {
+      return Number(stmts.append.run(name, JSON.stringify(record)).lastInsertRowid);
+    },
+
+    // See `read` in index.js for the options
+    async readStream(name, { afterSeq = 0, beforeSeq, newest = false, where, account, limit } = {}) {
+      const params = [name, afterSeq];
+      const clauses = ["stream = ?", "seq > ?"];
+      if (beforeSeq != null) { clauses.push("seq < ?"); params.push(beforeSeq); }
+      clauses.push(...whereClauses(where, params));
+      if (account != null) {
+        clauses.push("EXISTS (SELECT 1 FROM json_each(data, '$.postings') WHERE json_extract(value, '$.account') = ?)");
+        params.push(account);
+      }
+      let sql = `SELECT seq, data FROM logs WHERE ${clauses.join(" AND ")} ORDER BY seq ${newest ? "DESC" : "ASC"}`;
+      if (limit) { sql += " LIMIT ?"; params.push(limit); }
+      return db.prepare(sql).all(...params).map(r => ({ ...JSON.parse(r.data), seq: r.seq }));
+    },
+
+    async close() {
+      db?.close();
+    }
+  };
+}
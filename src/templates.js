@@ -0,0 +1,88 @@
+/**
+ * src/templates.js
+ * Templates for the giveaway message: title, colour, images and every piece
+ * of text the message shows, with {placeholder} substitution.
+ *
+ * A template is layered: DEFAULT_TEMPLATE, then the guild's `embed` config
+ * section, then the giveaway's own `embed` (set when it is created). Each
+ * layer only needs the keys it changes. Texts under `strings` are the
+ * message's fixed wording, so a guild can translate them.
+ *
+ * Placeholders (unknown ones are left as typed):
+ *   {prize} {title} {id} {pot} {entries} {maxEntries} {winners} {mode}
+ *   {ends}          relative end time, e.g. "in 2 hours"
+ *   {endsAt}        absolute end time in the reader's locale
+ *   {roll}          the result roll, "—" before it or in modes without one
+ *   {nextAttempt}   when a giveaway waiting for randomness is tried again
+ * Values that aren't known yet render as "—".
+ */
+
+export const DEFAULT_TEMPLATE = {
+  title: "{title}",
+  resultTitle: "🎉 Giveaway Result",
+  // "#rrggbb", or null for Discord's default
+  color: null,
+  image: null,
+  thumbnail: null,
+  description: "Prize: {prize}\nPot: {pot}c\nEntries: {entries}\nEnds: {ends}",
+  footer: "Giveaway ID: {id}",
+  strings: {
+    join: "Join",
+    myEntries: "My entries",
+    forceEnd: "Force End",
+    game: "Game: {mode}",
+    prizeTiers: "Prize tiers ({winners} winners)",
+    rolledOver: "Rolled over",
+    whoCanJoin: "Who can join",
+    roll: "Roll: **{roll}**",
+    drawnAtRandom: "Drawn at random (no roll in this game mode)",
+    noWinners: "No winners this round.",
+    winner: "Winner",
+    payout: "Payout",
+    baseWin: "Base win",
+    potShare: "Pot share",
+    resultsLink: "Full results and verification",
+    cancelled: "Prize: {prize}\nEntries: {entries}\n\n**Cancelled.** All stakes were returned.",
+    refunded: "Prize: {prize}\nEntries: {entries}\nRoll: **{roll}**\n\n**Refunded.** All stakes were returned and the result is void.",
+    pending: "⏳ Giveaway ended. Waiting for randomness to roll the result; trying again {nextAttempt}.",
+    failed: "⚠️ Error when resolving giveaway: no randomness provider available."
+  }
+};
+
+export const TEMPLATE_STRINGS = Object.keys(DEFAULT_TEMPLATE.strings);
+
+// the keys a layer actually sets
+const set = (obj) => Object.fromEntries(Object.entries(obj ?? {}).filter(([, v]) => v != null));
+
+// The effective template from the guild's and the giveaway's layers (either may be missing)
+export function resolveTemplate(guildTemplate, giveawayTemplate) {
+  const layers = [DEFAULT_TEMPLATE, guildTemplate, giveawayTemplate];
+  return {
+    ...Object.assign({}, ...layers.map(set)),
+    strings: Object.assign({}, ...layers.map(t => set(t?.strings)))
+  };
+}
+
+const discordTime = (ms, style) => (ms == null ? null : `<t:${Math.floor(ms / 1000)}:${style}>`);
+
+// Placeholder values for a giveaway; `modeLabel` is its game mode's label
+export function templateVars(g, { modeLabel } = {}) {
+  return {
+    prize: g.prize,
+    title: g.title || g.prize || "🎉 Giveaway",
+    id: g.id,
+    pot: g.pot,
+    entries: g.entries.length,
+    maxEntries: g.maxEntries,
+    winners: g.winnerCount ?? 1,
+    mode: modeLabel,
+    ends: discordTime(g.endsAt, "R"),
+    endsAt: discordTime(g.endsAt, "f"),
+    roll: g.roll,
+    nextAttempt: discordTime(g.pendingResolution?.nextAttemptAt, "R")
+  };
+}
+
+export function fillTemplate(text, vars) {
+  return String(text ?? "").replace(/\{(\w+)\}/g, (m, key) => (key in vars ? String(vars[key] ?? "—") : m));
+}
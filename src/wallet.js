@@ -0,0 +1,123 @@
+/**
+ * src/wallet.js
+ * Coin wallets backed by a double-entry ledger.
+ *
+ * Every movement of coins is one ledger transaction appended to the "ledger"
+ * stream: a list of postings `{ account, amount }` that sums to zero.
+ * Balances are never stored; they are the sum of an account's postings,
+ * replayed at startup and kept in memory afterwards. Because a transaction is
+ * a single append, a crash can't leave half a transfer behind. Posted while a
+ * `storage.update` runs (a stake for a new entry, a giveaway's payouts), it
+ * is written together with that document, or not at all.
+ *
+ * Accounts:
+ *  - user:<userId>   a member's spendable balance
+ *  - escrow:<gid>    stakes reserved for a giveaway, then the winner's payout
+ *                    until Double Down is decided
+ *  - house:<guildId> a guild's bank: it collects the stakes of the guild's
+ *                    giveaways and pays their winnings. It pays only what it
+ *                    holds, and global admins fund it, so one guild's
+ *                    settings can't spend what another guild's members staked.
+ *  - house           the bank of giveaways without a guild (from before
+ *                    guilds had their own), and of everything before that
+ *  - mint            source of admin grants and adjustments
+ * Only mint may go negative.
+ */
+
+import crypto from "crypto";
+import { createLocks } from "./storage/lock.js";
+
+export const HOUSE = "house";
+export const MINT = "mint";
+export const userAccount = (userId) => `user:${userId}`;
+export const escrowAccount = (gid) => `escrow:${gid}`;
+export const houseAccount = (guildId) => (guildId ? `house:${guildId}` : HOUSE);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export class InsufficientFundsError extends Error {
+  constructor(account, balance, needed) {
+    super(`Insufficient balance: ${balance}c available, ${needed}c needed`);
+    this.name = "InsufficientFundsError";
+    this.account = account;
+    this.balance = balance;
+    this.needed = needed;
+  }
+}
+
+export function createWallet({ storage, startingBalance = () => 0 }) {
+  const balances = new Map();
+  const { withLock } = createLocks();
+  const mayGoNegative = (account) => account === MINT;
+
+  const balanceOf = (account) => balances.get(account) ?? 0;
+
+  function apply(postings) {
+    for (const p of postings) balances.set(p.account, round2(balanceOf(p.account) + p.amount));
+  }
+
+  async function init() {
+    balances.clear();
+    for (const tx of await storage.read("ledger")) apply(tx.postings);
+  }
+
+  // Append one balanced transaction. `allowNegative` lists extra accounts
+  // allowed to be overdrawn (e.g. clawing back a payout that was already spent).
+  function post({ type, postings, giveawayId = null, by = null, memo = null, allowNegative = [] }) {
+    return withLock("ledger", async () => {
+      const merged = new Map();
+      for (const p of postings) {
+        const amount = round2(p.amount);
+        if (!Number.isFinite(amount)) throw new Error("Invalid posting amount");
+        if (amount !== 0) merged.set(p.account, round2((merged.get(p.account) ?? 0) + amount));
+      }
+      const lines = [...merged].filter(([, amount]) => amount !== 0).map(([account, amount]) => ({ account, amount }));
+      if (round2(lines.reduce((s, p) => s + p.amount, 0)) !== 0) throw new Error("Ledger transaction does not balance");
+      if (!lines.length) return null;
+      // only debits are checked: an account overdrawn before (e.g. a house
+      // that paid out more than it held) can always be paid into
+      for (const p of lines) {
+        const after = round2(balanceOf(p.account) + p.amount);
+        if (p.amount < 0 && after < 0 && !mayGoNegative(p.account) && !allowNegative.includes(p.account)) {
+          throw new InsufficientFundsError(p.account, balanceOf(p.account), -p.amount);
+        }
+      }
+      const tx = { id: `TX-${Date.now()}-${crypto.randomBytes(3).toString("hex")}`, at: Date.now(), type, giveawayId, by, memo, postings: lines };
+      await storage.append("ledger", tx);
+      apply(lines);
+      storage.onRollback(() => apply(lines.map(p => ({ account: p.account, amount: -p.amount }))));
+      return tx;
+    });
+  }
+
+  function transfer(from, to, amount, meta) {
+    return post({ ...meta, postings: [{ account: from, amount: -amount }, { account: to, amount }] });
+  }
+
+  // New members get the configured starting balance once
+  function ensureUser(userId) {
+    const account = userAccount(userId);
+    return withLock(account, async () => {
+      if (balances.has(account)) return;
+      const amount = await startingBalance();
+      if (amount > 0) await transfer(MINT, account, amount, { type: "welcome", memo: "starting balance" });
+      else balances.set(account, 0);
+    });
+  }
+
+  // `giveawayIds` limits it to the transactions of those giveaways
+  async function history(account, { limit = 20, giveawayIds = null } = {}) {
+    const where = giveawayIds ? { giveawayId: giveawayIds } : undefined;
+    const txs = await storage.read("ledger", { account, where, newest: true, limit });
+    return txs.map(tx => ({
+      ...tx,
+      amount: tx.postings.filter(p => p.account === account).reduce((s, p) => s + p.amount, 0)
+    }));
+  }
+
+  function accounts(prefix = "") {
+    return [...balances].filter(([a]) => a.startsWith(prefix)).map(([account, balance]) => ({ account, balance }));
+  }
+
+  return { init, post, transfer, ensureUser, balance: balanceOf, history, accounts };
+}
@@ -0,0 +1,295 @@
+/**
+ * src/webhooks.js
+ * Signed outbound webhooks for giveaway lifecycle events.
+ *
+ * Endpoints are "webhooks" documents:
+ *   { id, url, secret, events, guildId, active, description }
+ * `events` lists the event types to send, or ["*"] for all of them. An
+ * endpoint with guildId null gets the events of every guild.
+ *
+ * Every event sent to an endpoint becomes a "webhookDeliveries" document, so
+ * the log survives restarts and failed deliveries can be replayed. A delivery
+ * is POSTed as JSON, `{ id, event, createdAt, guildId, data }`, with headers:
+ *   X-Webhook-Id          delivery id, the same on every retry and replay
+ *   X-Webhook-Event       event type
+ *   X-Webhook-Timestamp   unix seconds of this attempt
+ *   X-Webhook-Signature   "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>",
+ *                         keyed with the endpoint's secret
+ * Receivers check the signature (`verifySignature`) and reject stale
+ * timestamps. Any 2xx response counts as delivered; other statuses, timeouts
+ * and network errors are retried after RETRY_DELAYS_MS, after which the
+ * delivery is marked failed. Deliveries are not ordered; use `createdAt`.
+ *
+ * Endpoints may not be on a private network: a URL whose host is, or
+ * resolves to, a loopback, private, link-local or otherwise non-public
+ * address is refused, when it is set and again on every connection (the
+ * check runs on the addresses actually connected to, so a DNS answer that
+ * changes in between doesn't get past it). `allowPrivate` lifts this, for a
+ * local receiver such as scripts/webhook-receiver.js.
+ *
+ * Retries run on the app's scheduler: `schedule(deliveryId, runAt)` must end
+ * up calling `deliver(deliveryId)`. Pending deliveries are re-armed at startup
+ * from the stored `nextAttemptAt`.
+ */
+
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+export const WEBHOOK_EVENTS = ["giveaway.created", "entry.added", "giveaway.resolved", "giveaway.failed", "doubledown.resolved"];
+// sent by test() only
+export const PING_EVENT = "webhook.ping";
+export const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+const TIMEOUT_MS = 10 * 1000;
+const SIGNATURE_TOLERANCE_S = 5 * 60;
+
+// Addresses no webhook may reach (RFC 6890 special-purpose ranges).
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 3]
+]) PRIVATE_RANGES.addSubnet(address, prefix, "ipv4");
+for (const [address, prefix] of [["::", 127], ["64:ff9b::", 96], ["100::", 64], ["2001:db8::", 32], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, "ipv6");
+}
+
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_RANGES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// dns.lookup that fails for private addresses; http(s).request calls it
+// for every connection
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST `body` and resolve to the response status. A host that is an IP
+// literal is not looked up, so it is checked here.
+function postJson(url, { headers, body, allowPrivate }) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const host = u.hostname.replace(/^\[|\]$/g, "");
+    if (!allowPrivate && net.isIP(host) && isPrivateAddress(host)) return reject(new Error(`${host} is not a public address`));
+    const req = (u.protocol === "https:" ? https : http).request(u, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: allowPrivate ? undefined : publicLookup,
+      timeout: TIMEOUT_MS
+    }, (res) => {
+      res.resume();
+      res.on("end", () => resolve(res.statusCode));
+      res.on("error", reject);
+    });
+    req.on("timeout", () => req.destroy(new Error(`no response within ${TIMEOUT_MS / 1000}s`)));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+export function signPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// For receivers: true when the signature matches and the timestamp is recent
+export function verifySignature(secret, { timestamp, body, signature, now = Date.now() }) {
+  if (!/^\d+$/.test(String(timestamp)) || Math.abs(now / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_S) return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature ?? ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Check endpoint settings from the API; `partial` allows leaving fields out.
+// Hosts that resolve to private addresses are caught when delivering; the
+// ones that are plainly private are refused here already. Returns
+// { webhook } or { error }.
+export function normalizeWebhook(input = {}, { partial = false, allowPrivate = false } = {}) {
+  const out = {};
+  if (input.url != null || !partial) {
+    let url;
+    try {
+      url = new URL(String(input.url ?? ""));
+    } catch {
+      return { error: "url must be an absolute http(s) URL." };
+    }
+    if (!["http:", "https:"].includes(url.protocol)) return { error: "url must be an absolute http(s) URL." };
+    if (url.href.length > 2000) return { error: "url is too long." };
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    if (!allowPrivate && (net.isIP(host) ? isPrivateAddress(host) : /(^|\.)localhost$/i.test(host))) {
+      return { error: "url must point to a public address." };
+    }
+    out.url = url.href;
+  }
+  if (input.events != null || !partial) {
+    const events = input.events ?? ["*"];
+    if (!Array.isArray(events) || !events.length) return { error: `events must be a list of: ${WEBHOOK_EVENTS.join(", ")} (or "*").` };
+    const unknown = events.filter(e => e !== "*" && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) return { error: `Unknown event types: ${unknown.join(", ")}.` };
+    out.events = events.includes("*") ? ["*"] : [...new Set(events)];
+  }
+  if (input.description != null) out.description = String(input.description).slice(0, 200);
+  if (input.active != null) {
+    if (typeof input.active !== "boolean") return { error: "active must be true or false." };
+    out.active = input.active;
+  }
+  return { webhook: out };
+}
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+// An endpoint as shown by the API: the secret only by its last characters
+export function publicWebhook(h) {
+  const { secret, ...rest } = h;
+  return { ...rest, secretHint: `…${secret.slice(-4)}` };
+}
+
+export function createWebhooks({ storage, schedule, allowPrivate = false, logger = console }) {
+  async function create({ url, events, guildId = null, description = "", createdBy }) {
+    const h = { id: `W-${Date.now()}-${crypto.randomBytes(3).toString("hex")}`, url, events, guildId, description, active: true, secret: newSecret(), createdAt: Date.now(), createdBy };
+    await storage.insert("webhooks", h);
+    return h;
+  }
+
+  async function rotateSecret(id) {
+    return storage.update("webhooks", id, (h) => {
+      h.secret = newSecret();
+      return h;
+    });
+  }
+
+  // Queue a delivery to every active endpoint that wants `event`. Never
+  // throws: a failure is logged and the action that triggered it carries on.
+  async function emit(event, data, { guildId = null } = {}) {
+    try {
+      const hooks = await storage.list("webhooks", { filter: h => h.active && (h.guildId == null || h.guildId === guildId) && (h.events.includes("*") || h.events.includes(event)) });
+      const queued = await Promise.all(hooks.map(h => enqueue(h, event, data, guildId)));
+      for (const d of queued) schedule(d.id, d.nextAttemptAt);
+      return queued;
+    } catch (e) {
+      logger.error(`Webhook emit failed (${event}):`, e);
+      return [];
+    }
+  }
+
+  async function enqueue(h, event, data, guildId) {
+    const now = Date.now();
+    const id = `D-${now}-${crypto.randomBytes(4).toString("hex")}`;
+    const d = {
+      id,
+      webhookId: h.id,
+      event,
+      guildId,
+      payload: { id, event, createdAt: new Date(now).toISOString(), guildId, data },
+      status: "pending",
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      lastAttemptAt: null,
+      lastStatus: null,
+      lastError: null,
+      deliveredAt: null
+    };
+    await storage.insert("webhookDeliveries", d);
+    return d;
+  }
+
+  // One attempt; schedules the next one or marks the delivery done or failed
+  async function deliver(id) {
+    const d = await storage.get("webhookDeliveries", id);
+    if (!d || d.status !== "pending") return d;
+    const h = await storage.get("webhooks", d.webhookId);
+    let status = null;
+    let error = null;
+    if (!h) {
+      error = "endpoint was deleted";
+    } else {
+      const body = JSON.stringify(d.payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+      try {
+        status = await postJson(h.url, {
+          allowPrivate,
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "giveaway-bot-webhooks",
+            "X-Webhook-Id": d.id,
+            "X-Webhook-Event": d.event,
+            "X-Webhook-Timestamp": String(timestamp),
+            "X-Webhook-Signature": signPayload(h.secret, timestamp, body)
+          },
+          body
+        });
+        if (status < 200 || status >= 300) error = `HTTP ${status}`;
+      } catch (e) {
+        error = e.message;
+      }
+    }
+    const updated = await storage.update("webhookDeliveries", id, (x) => {
+      x.attempts++;
+      x.lastAttemptAt = Date.now();
+      x.lastStatus = status;
+      x.lastError = error && error.slice(0, 500);
+      if (!error) {
+        x.status = "delivered";
+        x.deliveredAt = Date.now();
+        x.nextAttemptAt = null;
+      } else if (!h || x.attempts > RETRY_DELAYS_MS.length) {
+        x.status = "failed";
+        x.nextAttemptAt = null;
+      } else {
+        x.nextAttemptAt = Date.now() + RETRY_DELAYS_MS[x.attempts - 1];
+      }
+      return x;
+    });
+    if (updated?.nextAttemptAt) schedule(id, updated.nextAttemptAt);
+    if (updated?.status === "failed") logger.warn(`Webhook delivery ${id} (${d.event}) to ${h?.url ?? d.webhookId} failed after ${updated.attempts} attempts: ${error}`);
+    return updated;
+  }
+
+  // Send a delivery again from the first attempt; returns it or { error }
+  async function replay(id) {
+    const d = await storage.update("webhookDeliveries", id, (x) => {
+      if (x.status === "pending") return { error: "Delivery is still pending." };
+      x.replays = (x.replays ?? 0) + 1;
+      x.status = "pending";
+      x.attempts = 0;
+      x.nextAttemptAt = Date.now();
+      return x;
+    });
+    if (!d) return { error: "Delivery not found." };
+    if (d.error) return d;
+    schedule(id, d.nextAttemptAt);
+    return d;
+  }
+
+  async function replayFailed(webhookId) {
+    const failed = await storage.list("webhookDeliveries", { where: { webhookId, status: "failed" } });
+    for (const d of failed) await replay(d.id);
+    return failed.length;
+  }
+
+  // Ping one endpoint and wait for the first attempt (retries are scheduled as usual)
+  async function test(id) {
+    const h = await storage.get("webhooks", id);
+    if (!h) return null;
+    const d = await enqueue(h, PING_EVENT, { webhookId: id }, h.guildId);
+    return deliver(d.id);
+  }
+
+  // Newest first; `status` filters (pending, delivered, failed)
+  async function deliveries({ webhookId, status, limit = 50 } = {}) {
+    const where = { ...(webhookId ? { webhookId } : {}), ...(status ? { status } : {}) };
+    const docs = await storage.list("webhookDeliveries", { where });
+    return docs.sort((a, b) => b.createdAt - a.createdAt).slice(0, limit);
+  }
+
+  return { create, rotateSecret, emit, deliver, replay, replayFailed, test, deliveries };
+}
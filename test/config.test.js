@@ -0,0 +1,94 @@
+// Config versions, global and per guild.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { openStorage } from "../src/storage/index.js";
+import { createConfigStore, ConfigValidationError } from "../src/config.js";
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+const defaults = {
+  pot: 1000,
+  conversionRateUSDPerC: 0.6,
+  houseEdge: 0.02,
+  riskProfiles: { low: { potSharePercent: 30 }, high: { potSharePercent: 70 } },
+  startingBalanceC: 100
+};
+
+async function setup(t) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "config-test-"));
+  const storage = await openStorage({ driver: "json", dataDir, logger: quiet });
+  t.after(() => fs.remove(dataDir));
+  const store = createConfigStore({ storage, defaults, logger: quiet });
+  await store.init();
+  return { storage, store };
+}
+
+test("guilds can't override the starting balance", async (t) => {
+  const { storage, store } = await setup(t);
+  const guild = store.forGuild("123456789");
+  await assert.rejects(guild.update({ startingBalanceC: 5000 }, { author: "a" }), (e) => {
+    assert.ok(e instanceof ConfigValidationError);
+    assert.deepEqual(e.errors.map(x => x.path), ["startingBalanceC"]);
+    return true;
+  });
+
+  // one saved before it was global-only is ignored, and dropped on the next save
+  await storage.insert("configVersions", { id: "123456789:v1", guildId: "123456789", version: 1, overrides: { startingBalanceC: 5000, pot: 50 }, author: "a", createdAt: 1 });
+  assert.equal((await guild.current()).config.startingBalanceC, 100);
+  const v2 = await guild.update({ houseEdge: 0.1 }, { author: "a" });
+  assert.deepEqual(v2.overrides, { pot: 50, houseEdge: 0.1 });
+});
+
+test("a rollback is a new version with the old config", async (t) => {
+  const { storage, store } = await setup(t);
+  await store.update({ pot: 2000 }, { author: "a" });
+  const v3 = await store.rollback(1, { author: "b" });
+  assert.equal(v3.version, 3);
+  assert.equal(v3.rollbackOf, 1);
+  assert.equal(v3.note, "rollback to v1");
+  assert.equal(v3.config.pot, 1000);
+  assert.deepEqual((await store.list()).map(d => d.version), [3, 2, 1]);
+  assert.equal((await store.get(2)).config.pot, 2000);
+  assert.equal(await storage.getValue("configVersion"), 3);
+  assert.equal((await storage.getValue("config")).pot, 1000);
+  assert.equal(await store.rollback(9, { author: "b" }), null);
+
+  const guild = store.forGuild("123456789");
+  await guild.update({ pot: 50 }, { author: "a" });
+  await guild.update({ pot: 75 }, { author: "a" });
+  const g3 = await guild.rollback(1, { author: "b" });
+  assert.deepEqual([g3.id, g3.rollbackOf, g3.overrides], ["123456789:v3", 1, { pot: 50 }]);
+  assert.equal((await guild.current()).config.pot, 50);
+});
+
+test("null removes a guild override", async (t) => {
+  const { store } = await setup(t);
+  const guild = store.forGuild("123456789");
+  await guild.update({ pot: 50, riskProfiles: { low: { potSharePercent: 10 } } }, { author: "a" });
+  const v2 = await guild.update({ pot: null, riskProfiles: { low: null } }, { author: "a" });
+  assert.deepEqual(v2.overrides, { riskProfiles: {} });
+  const { config } = await guild.current();
+  assert.equal(config.pot, 1000);
+  assert.deepEqual(config.riskProfiles, defaults.riskProfiles);
+  // other guilds never saw the override
+  assert.equal((await store.forGuild("987654321").current()).version, 0);
+});
+
+test("init() brings a stale config value up to the latest version", async (t) => {
+  const { storage, store } = await setup(t);
+  await store.update({ pot: 2000 }, { author: "a" });
+  // as left by a crash between writing the version and copying it
+  await storage.setValue("config", defaults);
+  await storage.setValue("configVersion", 1);
+
+  const restarted = createConfigStore({ storage, defaults, logger: quiet });
+  await restarted.init();
+  assert.equal(await storage.getValue("configVersion"), 2);
+  assert.equal((await storage.getValue("config")).pot, 2000);
+  // and writes no version of its own
+  assert.deepEqual((await restarted.list()).map(d => d.version), [2, 1]);
+});
@@ -0,0 +1,98 @@
+// Ranking, tie draws and prize tiers.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeTiers, rankEntries, assignPrizes, winnerCount } from "../src/engine.js";
+
+const cfg = { houseEdge: 0.02, riskProfiles: { low: { potSharePercent: 30 }, high: { potSharePercent: 100 } } };
+
+let joined = 0;
+const entry = (userId, main, tiebreak, extra = {}) => ({ userId, username: userId, main, tiebreak, choice: "under", stakeC: 1, riskProfile: "high", joinedAt: ++joined, ...extra });
+
+// pick() that answers from a script and records the group sizes it was asked for
+function scripted(...answers) {
+  const asked = [];
+  const pick = (n) => {
+    asked.push(n);
+    return answers.shift() ?? 0;
+  };
+  return { pick, asked };
+}
+
+test("a tie across a tier boundary is drawn for the last place only", async () => {
+  const { tiers } = normalizeTiers({ tiers: [{ name: "1st", winners: 1, potPercent: 50 }, { name: "Runners-up", winners: 2, potPercent: 50 }] });
+  // roll 30: a is closest, b/c/d tie at 60 for places 2-3 with the same tiebreak
+  const entries = [entry("a", 31, 5), entry("b", 60, 5), entry("c", 60, 5), entry("d", 60, 5), entry("e", 10, 5)];
+  const { pick, asked } = scripted(2, 0);
+  const { ranked, qualified, ties } = await rankEntries(entries, 30, winnerCount(tiers), pick);
+  assert.equal(qualified, 4);
+  assert.deepEqual(ranked.map(e => e.userId), ["a", "d", "b"]);
+  // c is never drawn: only the two places left are
+  assert.deepEqual(asked, [3, 2]);
+  assert.deepEqual(ties, [
+    { place: 2, userIds: ["b", "c", "d"], index: 2, drawn: "d" },
+    { place: 3, userIds: ["b", "c"], index: 0, drawn: "b" }
+  ]);
+  const { winners } = assignPrizes(ranked, { tiers, pot: 100, cfg });
+  assert.deepEqual(winners.map(w => [w.place, w.tier, w.userId]), [[1, "1st", "a"], [2, "Runners-up", "d"], [3, "Runners-up", "b"]]);
+});
+
+test("the tiebreak settles a tie before any draw", async () => {
+  const entries = [entry("a", 60, 5), entry("b", 60, 9)];
+  const { pick, asked } = scripted();
+  const { ranked, ties } = await rankEntries(entries, 30, 1, pick);
+  assert.deepEqual(ranked.map(e => e.userId), ["b"]);
+  assert.deepEqual(asked, []);
+  assert.deepEqual(ties, []);
+});
+
+test("a member's best entry stands for them, once", async () => {
+  const entries = [entry("a", 80, 5), entry("a", 40, 5), entry("b", 50, 5)];
+  const { ranked } = await rankEntries(entries, 30, 3, () => 0);
+  assert.deepEqual(ranked.map(e => [e.userId, e.main]), [["a", 40], ["b", 50]]);
+});
+
+test("more places than qualifying members leave places empty", async () => {
+  const { tiers } = normalizeTiers({ tiers: [{ winners: 2, potPercent: 60 }, { winners: 3, potPercent: 40 }] });
+  // e's "over 90" doesn't qualify for roll 30
+  const entries = [entry("a", 40, 1), entry("b", 50, 1), entry("c", 70, 1), entry("e", 90, 1, { choice: "over" })];
+  const { ranked, qualified } = await rankEntries(entries, 30, winnerCount(tiers), () => 0);
+  assert.equal(qualified, 3);
+  const { winners, potShareTotal } = assignPrizes(ranked, { tiers, pot: 1000, cfg });
+  assert.deepEqual(winners.map(w => [w.place, w.userId, w.potShareC]), [[1, "a", 300], [2, "b", 300], [3, "c", 133]]);
+  // the empty places' shares stay in the pot
+  assert.equal(potShareTotal, 733);
+});
+
+test("pot shares round down, and what they leave stays in the pot", async () => {
+  const { tiers } = normalizeTiers({ winners: 3 });
+  const entries = [entry("a", 40, 1), entry("b", 50, 1), entry("c", 70, 1, { riskProfile: "low" })];
+  const { ranked } = await rankEntries(entries, 30, 3, () => 0);
+  const pot = 101;
+  const { winners, potShareTotal } = assignPrizes(ranked, { tiers, pot, cfg });
+  // 101 / 3 = 33.67 each, then the risk profile share
+  assert.deepEqual(winners.map(w => w.potShareC), [33, 33, 10]);
+  assert.equal(potShareTotal, 76);
+  assert.ok(winners.every(w => Number.isInteger(w.potShareC)));
+
+  // tiers sharing out the whole pot at 100% risk share pay all of it, less
+  // under 1c per winner; never more
+  for (const pot of [1, 2, 7, 99, 100, 1000, 12345]) {
+    const { tiers } = normalizeTiers({ tiers: [{ winners: 1, potPercent: 33.3 }, { winners: 3, potPercent: 33.3 }, { winners: 7, potPercent: 33.4 }] });
+    const many = Array.from({ length: 11 }, (_, i) => entry(`m${i}`, 40 + i, 1));
+    const { ranked } = await rankEntries(many, 30, winnerCount(tiers), () => 0);
+    const { winners, potShareTotal } = assignPrizes(ranked, { tiers, pot, cfg });
+    assert.equal(winners.length, 11);
+    assert.ok(potShareTotal <= pot, `pot ${pot}: ${potShareTotal}`);
+    assert.ok(pot - potShareTotal < winners.length, `pot ${pot}: ${potShareTotal}`);
+  }
+});
+
+test("payouts are the base win plus the pot share", async () => {
+  const { ranked } = await rankEntries([entry("a", 49, 1, { stakeC: 2 })], 30, 1, () => 0);
+  const { winners } = assignPrizes(ranked, { tiers: normalizeTiers({}).tiers, pot: 100, cfg });
+  // under 49 qualifies on 50 of 101 rolls: 2 × 101/50 × 0.98
+  assert.equal(winners[0].baseWinC, 3.95);
+  assert.equal(winners[0].potShareC, 100);
+  assert.equal(winners[0].payoutC, 103.95);
+});
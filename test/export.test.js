@@ -0,0 +1,87 @@
+// Reading imported giveaways: only known fields of the right type get in.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readImportedGiveaway } from "../src/export.js";
+
+const raw = (extra = {}) => ({
+  id: "G-1700000000000",
+  channelId: "555",
+  guildId: "123456789",
+  createdAt: 1_700_000_000_000,
+  endsAt: 1_700_000_600_000,
+  pot: 1000,
+  ended: true,
+  entries: [{ entryId: "e1", userId: "111", username: "ann", main: 40, tiebreak: 7, choice: "under", stakeC: 2, riskProfile: "high", joinedAt: 1 }],
+  ...extra
+});
+
+test("unknown fields and fields of the wrong type are dropped", () => {
+  const { giveaway, error } = readImportedGiveaway(raw({
+    isAdmin: true,
+    __proto__: { polluted: true },
+    title: { html: "<b>" },
+    prize: "a mug",
+    entries: [
+      { userId: "111", main: "40", tiebreak: 7, stakeC: 2, script: "<script>" },
+      { main: 50 },
+      "nonsense"
+    ],
+    doubleDown: { state: "won", roll: 12, deadline: "tomorrow" },
+    result: { roll: 30, winnersHtml: "<img>" }
+  }));
+  assert.equal(error, undefined);
+  assert.equal("isAdmin" in giveaway, false);
+  assert.equal(giveaway.polluted, undefined);
+  assert.equal("title" in giveaway, false);
+  assert.equal(giveaway.prize, "a mug");
+  // entries without a userId go; a main number that is a string is dropped
+  assert.deepEqual(giveaway.entries, [{ userId: "111", tiebreak: 7, stakeC: 2 }]);
+  assert.deepEqual(giveaway.doubleDown, { roll: 12 });
+  assert.deepEqual(giveaway.result, { roll: 30 });
+});
+
+test("the required fields are checked", () => {
+  assert.equal(readImportedGiveaway(null).error, "missing raw giveaway");
+  assert.equal(readImportedGiveaway(raw({ id: "../../etc" })).error, "invalid id");
+  assert.equal(readImportedGiveaway(raw({ channelId: 555 })).error, "missing channelId");
+  assert.equal(readImportedGiveaway(raw({ entries: {} })).error, "entries must be a list");
+  assert.equal(readImportedGiveaway(raw({ pot: "1000" })).error, "invalid pot");
+  assert.match(readImportedGiveaway(raw({ ended: false, fair: { enabled: true } })).error, /provably-fair/);
+  assert.match(readImportedGiveaway(raw({ config: { houseEdge: 5 } })).error, /^config snapshot: /);
+});
+
+test("a mismatched ledger is kept for the record only", () => {
+  // the exported ledger says stakes are held, but nothing here backs them
+  const { giveaway, ledger } = readImportedGiveaway(raw({
+    ledger: { stakesCollected: "yes", heldC: 500, released: false, refunded: true, awaitingHouseC: 900, potShareC: 100 }
+  }));
+  assert.equal("ledger" in giveaway, false);
+  assert.deepEqual(ledger, { heldC: 500, released: false });
+  assert.equal(readImportedGiveaway(raw({ ledger: [1, 2] })).ledger, null);
+  assert.equal(readImportedGiveaway(raw()).ledger, null);
+});
+
+test("oversized input is cut down to the stored limits", () => {
+  const entries = Array.from({ length: 10_050 }, (_, i) => ({ userId: String(i), main: i % 101, tiebreak: 0 }));
+  let deep = "bottom";
+  for (let i = 0; i < 20; i++) deep = { deeper: deep };
+  const { giveaway } = readImportedGiveaway(raw({
+    title: "x".repeat(201),
+    prize: "x".repeat(200),
+    entries,
+    tiers: Array.from({ length: 150 }, () => ({ winners: 1, potPercent: 1 })),
+    rolls: [{ purpose: "main", value: 30, evidence: deep, failures: Array.from({ length: 50 }, () => ({ provider: "random.org", message: "m".repeat(3000) })) }]
+  }));
+  assert.equal("title" in giveaway, false);
+  assert.equal(giveaway.prize.length, 200);
+  assert.equal(giveaway.entries.length, 10_000);
+  assert.equal(giveaway.tiers.length, 100);
+  const [roll] = giveaway.rolls;
+  assert.equal(roll.failures.length, 20);
+  assert.deepEqual(roll.failures[0], { provider: "random.org" });
+  // evidence keeps six levels of nesting
+  let depth = 0;
+  for (let v = roll.evidence; v && typeof v === "object"; v = v.deeper) depth++;
+  assert.equal(depth, 6);
+});
@@ -0,0 +1,75 @@
+// Provably-fair rolls and their verification.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createCommitment, combinedClientSeed, fairInteger, fairRoll, revealServerSeed, redactFair, sha256, verifyGiveaway } from "../src/fair.js";
+
+test("a known seed gives the known roll", () => {
+  assert.equal(fairInteger("server-seed", "client-seed", 0, 0, 100), 13);
+  assert.equal(fairInteger("server-seed", "client-seed", 1, 0, 100), 85);
+  assert.equal(fairInteger("server-seed", "client-seed", 0, 1, 6), 6);
+  // the first 32-bit word of the HMAC, read as documented in src/fair.js
+  const word = crypto.createHmac("sha256", "server-seed").update("client-seed:0:0").digest().readUInt32BE(0);
+  assert.ok(word < Math.floor(2 ** 32 / 101) * 101);
+  assert.equal(word % 101, 13);
+});
+
+test("the client seed is part of the derivation", () => {
+  assert.equal(fairInteger("server-seed", "other-client", 0, 0, 100), 51);
+  // entries in join order, after the creator's seed
+  const g = { fair: { clientSeed: "creator" }, entries: [
+    { userId: "1", main: 40, tiebreak: 7, joinedAt: 2 },
+    { userId: "2", main: 60, tiebreak: 3, joinedAt: 1 }
+  ] };
+  assert.equal(combinedClientSeed(g), sha256("creator|2:60:3|1:40:7"));
+  const changed = { ...g, entries: [{ ...g.entries[0], main: 41 }, g.entries[1]] };
+  assert.notEqual(combinedClientSeed(changed), combinedClientSeed(g));
+});
+
+// A resolved fair giveaway with one main roll
+function resolvedGiveaway() {
+  const g = {
+    fair: createCommitment({ clientSeed: "creator" }),
+    entries: [{ userId: "1", main: 40, tiebreak: 7, joinedAt: 1 }],
+    rolls: []
+  };
+  const roll = fairRoll(g, "main", 0, 100);
+  g.rolls.push({ ...roll, purpose: "main" });
+  g.roll = roll.value;
+  return g;
+}
+
+test("a revealed giveaway verifies", () => {
+  const g = resolvedGiveaway();
+  assert.equal(g.rolls[0].value, fairInteger(g.fair.serverSeed, combinedClientSeed(g), 0, 0, 100));
+  revealServerSeed(g);
+  const result = verifyGiveaway(redactFair(g));
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.checks.map(c => c.name), ["server seed matches commitment", "client seed matches entries", "main roll (nonce 0)", "stored roll matches main roll"]);
+});
+
+test("an unrevealed seed doesn't verify yet", () => {
+  const g = resolvedGiveaway();
+  const result = verifyGiveaway(redactFair(g));
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.checks[0], { name: "server seed revealed", ok: false });
+});
+
+test("a seed that doesn't match its commitment fails", () => {
+  const g = resolvedGiveaway();
+  revealServerSeed(g);
+  g.fair.serverSeedHash = sha256("another seed");
+  const result = verifyGiveaway(g);
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.checks.find(c => c.name === "server seed matches commitment"), { name: "server seed matches commitment", ok: false });
+});
+
+test("entries changed after the roll fail the client seed check", () => {
+  const g = resolvedGiveaway();
+  revealServerSeed(g);
+  g.entries[0].main = 41;
+  const result = verifyGiveaway(g);
+  assert.equal(result.ok, false);
+  assert.equal(result.checks.find(c => c.name === "client seed matches entries").ok, false);
+});
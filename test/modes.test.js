@@ -0,0 +1,80 @@
+// Game modes: who qualifies, how entries rank and the odds they pay at.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GAME_MODES, gameMode, parseNumbers, entryPicks } from "../src/modes.js";
+import { rankEntries } from "../src/engine.js";
+
+let joined = 0;
+const entry = (userId, picks) => ({ userId, username: userId, tiebreak: 0, stakeC: 1, riskProfile: "high", joinedAt: ++joined, ...picks });
+const rank = async (mode, entries, roll, winners = entries.length) => (await rankEntries(entries, roll, winners, () => 0, { mode: GAME_MODES[mode] })).ranked.map(e => e.userId);
+
+test("under/over qualifies on its side of the number, closest first", async () => {
+  const { qualifies, probability } = GAME_MODES.overunder;
+  assert.equal(qualifies({ main: 30, choice: "under" }, 30), true);
+  assert.equal(qualifies({ main: 30, choice: "under" }, 31), false);
+  assert.equal(qualifies({ main: 30, choice: "over" }, 30), true);
+  assert.equal(qualifies({ main: 30, choice: "over" }, 29), false);
+  assert.equal(probability({ main: 30, choice: "under" }), 31 / 101);
+  assert.equal(probability({ main: 30, choice: "over" }), 71 / 101);
+  const entries = [entry("a", { main: 60, choice: "under" }), entry("b", { main: 35, choice: "under" }), entry("c", { main: 20, choice: "over" }), entry("d", { main: 29, choice: "under" })];
+  assert.deepEqual(await rank("overunder", entries, 30), ["b", "c", "a"]);
+});
+
+test("closest ranks both sides by distance, then tiebreak", async () => {
+  const entries = [entry("a", { main: 25, tiebreak: 5 }), entry("b", { main: 36 }), entry("c", { main: 35, tiebreak: 9 }), entry("d", { main: 35, tiebreak: 1 })];
+  assert.deepEqual(await rank("closest", entries, 30), ["c", "a", "d", "b"]);
+});
+
+test("closest pays at the chance of placing among everyone's numbers", () => {
+  const { probability } = GAME_MODES.closest;
+  const a = entry("a", { main: 50 });
+  // alone, every roll places
+  assert.equal(probability(a, { entries: [a], winners: 1 }), 1);
+  // against 0, the rolls 26-100 are closer to 50, and 25 is a tie
+  const b = entry("b", { main: 0 });
+  assert.equal(probability(a, { entries: [a, b], winners: 1 }), 75.5 / 101);
+  assert.equal(probability(b, { entries: [a, b], winners: 1 }), 25.5 / 101);
+  // an exact tie on number and tiebreak is half a place on every roll
+  const twin = entry("t", { main: 50 });
+  assert.equal(probability(a, { entries: [a, twin], winners: 1 }), 0.5);
+  assert.equal(probability(a, { entries: [a, twin], winners: 2 }), 1);
+  // a roll one's own other entry is closer to places that entry, not this one
+  const again = entry("a", { main: 0 });
+  assert.equal(probability(a, { entries: [a, again], winners: 1 }), 76 / 101);
+});
+
+test("exact only wins on a hit, higher tiebreak first", async () => {
+  const entries = [entry("a", { main: 30, tiebreak: 1 }), entry("b", { main: 30, tiebreak: 5 }), entry("c", { main: 31 })];
+  assert.deepEqual(await rank("exact", entries, 30), ["b", "a"]);
+  assert.deepEqual(await rank("exact", entries, 0), []);
+  assert.equal(GAME_MODES.exact.probability(entries[0]), 1 / 101);
+});
+
+test("range pays by width and ranks the narrowest first", async () => {
+  const { qualifies, probability } = GAME_MODES.range;
+  assert.equal(qualifies({ low: 20, high: 35 }, 20), true);
+  assert.equal(qualifies({ low: 20, high: 35 }, 35), true);
+  assert.equal(qualifies({ low: 20, high: 35 }, 36), false);
+  assert.equal(probability({ low: 20, high: 35 }), 16 / 101);
+  assert.equal(probability({ low: 0, high: 100 }), 1);
+  assert.equal(probability({ low: 7, high: 7 }), 1 / 101);
+  const entries = [entry("wide", { low: 0, high: 100 }), entry("narrow", { low: 28, high: 32 }), entry("miss", { low: 31, high: 31 })];
+  assert.deepEqual(await rank("range", entries, 30), ["narrow", "wide"]);
+  assert.deepEqual(parseNumbers(GAME_MODES.range, { low: "35", high: "20", tiebreak: "1" }), { error: "The low end can't be above the high end." });
+});
+
+test("raffle is one chance per member", () => {
+  const { probability, qualifies } = GAME_MODES.raffle;
+  const a = entry("a", {});
+  assert.equal(qualifies(a, 0), true);
+  assert.equal(probability(a, { entries: [a, entry("a", {}), entry("b", {}), entry("c", {}), entry("d", {})], winners: 2 }), 0.5);
+  assert.equal(probability(a, { entries: [], winners: 3 }), 1);
+});
+
+test("entries read only their mode's numbers", () => {
+  assert.deepEqual(parseNumbers(GAME_MODES.overunder, { main: "42", tiebreak: "101" }), { error: "Invalid tiebreak number. Must be 0-100." });
+  assert.deepEqual(parseNumbers(GAME_MODES.closest, { main: "42", tiebreak: "7", low: "x" }), { numbers: { main: 42, tiebreak: 7 } });
+  assert.deepEqual(entryPicks(GAME_MODES.overunder, { main: 1, tiebreak: 2, choice: "over", low: 3 }), { main: 1, tiebreak: 2, choice: "over" });
+  assert.equal(gameMode("nope"), GAME_MODES.overunder);
+});
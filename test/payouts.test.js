@@ -0,0 +1,131 @@
+// Settling and refunding a giveaway's coins, including a guild's house too
+// poor to pay out at the end.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { openStorage } from "../src/storage/index.js";
+import { createWallet, userAccount, escrowAccount, houseAccount, HOUSE, MINT } from "../src/wallet.js";
+import { createAuditLog } from "../src/audit.js";
+import { createPayouts } from "../src/payouts.js";
+
+const quiet = { log() {}, warn() {}, error() {} };
+const counter = { inc() {} };
+const house = houseAccount("guild-1");
+
+async function setup(t) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "payouts-test-"));
+  const storage = await openStorage({ driver: "json", dataDir, logger: quiet });
+  t.after(() => fs.remove(dataDir));
+  const wallet = createWallet({ storage });
+  await wallet.init();
+  const audit = createAuditLog({ storage, logger: quiet });
+  const payouts = createPayouts({ storage, wallet, audit, counters: { payouts: counter, clawbacks: counter }, logger: quiet });
+  return { storage, wallet, payouts };
+}
+
+// An ended giveaway: two members staked 10c each, "a" won 50c (20c of it a
+// pot share) and the stakes are in escrow
+async function endedGiveaway({ storage, wallet }) {
+  const g = {
+    id: "G-1",
+    guildId: "guild-1",
+    ended: true,
+    endsAt: 1,
+    pot: 80,
+    entries: [{ userId: "a", reservedC: 10 }, { userId: "b", reservedC: 10 }],
+    winner: [{ place: 1, userId: "a", payoutC: 50, potShareC: 20 }],
+    ledger: { stakesCollected: false }
+  };
+  for (const e of g.entries) {
+    await wallet.transfer(MINT, userAccount(e.userId), 10, { type: "grant" });
+    await wallet.transfer(userAccount(e.userId), escrowAccount(g.id), 10, { type: "stake", giveawayId: g.id });
+  }
+  await storage.insert("giveaways", g);
+  return g;
+}
+
+const settle = (storage, fn) => storage.update("giveaways", "G-1", async (g) => {
+  await fn(g);
+  return g;
+});
+
+test("a house short of the payouts holds them until it is funded", async (t) => {
+  const { storage, wallet, payouts } = await setup(t);
+  await endedGiveaway({ storage, wallet });
+
+  let g = await settle(storage, payouts.settleStakes);
+  assert.equal(g.ledger.stakesCollected, false);
+  assert.equal(g.ledger.awaitingHouseC, 30);
+  assert.equal(wallet.balance(escrowAccount("G-1")), 20);
+
+  // the shared house doesn't pay for a guild's giveaways
+  await wallet.transfer(MINT, HOUSE, 1000, { type: "grant" });
+  assert.deepEqual(await payouts.payAwaitingHouse(), []);
+  assert.deepEqual(await payouts.payAwaitingHouse("guild-1"), []);
+
+  await wallet.transfer(MINT, house, 30, { type: "grant" });
+  const paid = await payouts.payAwaitingHouse("guild-1");
+  assert.deepEqual(paid.map(g => g.id), ["G-1"]);
+  g = await storage.get("giveaways", "G-1");
+  assert.equal(g.ledger.awaitingHouseC, undefined);
+  assert.equal(g.winner[0].paid, true);
+  assert.equal(wallet.balance(userAccount("a")), 50);
+  assert.equal(wallet.balance(house), 0);
+  assert.equal(wallet.balance(HOUSE), 1000);
+  assert.equal(wallet.balance(escrowAccount("G-1")), 0);
+});
+
+test("refunding a giveaway waiting for the house, then funding the house", async (t) => {
+  const { storage, wallet, payouts } = await setup(t);
+  await endedGiveaway({ storage, wallet });
+  await settle(storage, payouts.settleStakes);
+
+  let clawedBack;
+  let g = await settle(storage, async (g) => { clawedBack = await payouts.refundGiveawayStakes(g, "admin"); });
+  assert.deepEqual(clawedBack, []);
+  assert.equal(g.ledger.refunded, true);
+  assert.equal(g.ledger.awaitingHouseC, undefined);
+  // the winner's pot share goes back into the pot
+  assert.equal(g.pot, 100);
+  assert.equal(wallet.balance(userAccount("a")), 10);
+  assert.equal(wallet.balance(userAccount("b")), 10);
+  assert.equal(wallet.balance(escrowAccount("G-1")), 0);
+
+  // the grant doesn't pay the voided giveaway's winner
+  await wallet.transfer(MINT, house, 100, { type: "grant" });
+  assert.deepEqual(await payouts.payAwaitingHouse("guild-1"), []);
+  assert.equal(wallet.balance(userAccount("a")), 10);
+  assert.equal(wallet.balance(house), 100);
+});
+
+test("a refunded giveaway left waiting for the house stops waiting", async (t) => {
+  const { storage, wallet, payouts } = await setup(t);
+  await endedGiveaway({ storage, wallet });
+  // as stored before refunds cleared the shortfall
+  await settle(storage, async (g) => {
+    await payouts.refundStakes(g, "admin");
+    g.ledger.awaitingHouseC = 30;
+  });
+
+  await wallet.transfer(MINT, house, 100, { type: "grant" });
+  assert.deepEqual(await payouts.payAwaitingHouse("guild-1"), []);
+  const g = await storage.get("giveaways", "G-1");
+  assert.equal(g.ledger.awaitingHouseC, undefined);
+  assert.equal(wallet.balance(userAccount("a")), 10);
+  assert.equal(wallet.balance(house), 100);
+});
+
+test("a reroll of a giveaway waiting for the house takes nothing back", async (t) => {
+  const { storage, wallet, payouts } = await setup(t);
+  await endedGiveaway({ storage, wallet });
+  await settle(storage, payouts.settleStakes);
+
+  const g = await settle(storage, (g) => payouts.clawBackPayout(g, "admin"));
+  assert.equal(g.ledger.awaitingHouseC, undefined);
+  assert.equal(g.ledger.stakesCollected, false);
+  assert.equal(wallet.balance(escrowAccount("G-1")), 20);
+  assert.equal(wallet.balance(userAccount("a")), 0);
+});
@@ -0,0 +1,73 @@
+// The RNG provider chain against the local Random.org stub
+// (scripts/randomorg-stub.js): signed rolls, the fallback to basic
+// Random.org rolls, and the fallback to local ones.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRandomOrgStub } from "../scripts/randomorg-stub.js";
+import { createRandomOrgClient, createRngChain, providersFromList, verifyRandomOrgSignature, DEFAULT_CHAIN } from "../src/rng.js";
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+// A stub on a free port and a chain of the default providers pointed at it
+async function withStub(options, fn) {
+  const stub = createRandomOrgStub(options);
+  await new Promise(resolve => stub.server.listen(0, "127.0.0.1", resolve));
+  const endpoint = `http://127.0.0.1:${stub.server.address().port}/`;
+  const client = createRandomOrgClient({ apiKey: "test-key", endpoint, retries: 1, backoffMs: 1, logger: quiet });
+  const chain = createRngChain(providersFromList(DEFAULT_CHAIN, { client, endpoint }), { logger: quiet });
+  try {
+    await fn({ chain, client, endpoint, requests: stub.requests });
+  } finally {
+    await new Promise(resolve => stub.server.close(resolve));
+  }
+}
+
+test("signed Random.org roll, verified by the stub", () => withStub({}, async ({ chain, client, endpoint, requests }) => {
+  const roll = await chain.integer(0, 100);
+  assert.equal(roll.provider, "randomorg-signed");
+  assert.ok(roll.value >= 0 && roll.value <= 100);
+  assert.equal(roll.failures, undefined);
+  assert.equal(roll.evidence.verified, true);
+  assert.equal(roll.evidence.random.data[0], roll.value);
+  assert.deepEqual(requests, { generateSignedIntegers: 1, verifySignature: 1 });
+  assert.equal(client.usage().requestsLeft, 999);
+  // stored evidence can be checked again later, and tampering shows
+  assert.equal(await verifyRandomOrgSignature(roll.evidence, { endpoint }), true);
+  const tampered = { ...roll.evidence.random, data: [roll.value === 100 ? 0 : roll.value + 1] };
+  assert.equal(await verifyRandomOrgSignature({ random: tampered, signature: roll.evidence.signature }, { endpoint }), false);
+}));
+
+test("basic Random.org roll when signed integers are unavailable", () => withStub({ fail: ["generateSignedIntegers"] }, async ({ chain, requests }) => {
+  const roll = await chain.integer(1, 6);
+  assert.equal(roll.provider, "randomorg");
+  assert.ok(roll.value >= 1 && roll.value <= 6);
+  assert.deepEqual(roll.failures.map(f => f.provider), ["randomorg-signed"]);
+  assert.match(roll.failures[0].message, /error 100/);
+  // the transient error was retried once before giving up
+  assert.equal(requests.generateSignedIntegers, 2);
+}));
+
+test("basic Random.org roll when the signature doesn't verify", () => withStub({ badSignature: true }, async ({ chain }) => {
+  const roll = await chain.integer(0, 100);
+  assert.equal(roll.provider, "randomorg");
+  assert.match(roll.failures[0].message, /signature verification failed/);
+}));
+
+test("local roll when Random.org fails", () => withStub({ fail: ["generateSignedIntegers", "generateIntegers"] }, async ({ chain }) => {
+  const roll = await chain.integer(0, 100);
+  assert.equal(roll.provider, "local");
+  assert.equal(roll.evidence, null);
+  assert.deepEqual(roll.failures.map(f => f.provider), ["randomorg-signed", "randomorg"]);
+}));
+
+test("a used-up allowance skips Random.org without calling it again", () => withStub({ fail: ["generateSignedIntegers"], failCode: 402 }, async ({ chain, client, requests }) => {
+  const roll = await chain.integer(0, 100);
+  assert.equal(roll.provider, "local");
+  assert.match(roll.failures[1].message, /quota used up/);
+  assert.deepEqual(requests, { generateSignedIntegers: 1 });
+  const usage = client.usage();
+  assert.equal(usage.requestsLeft, 0);
+  assert.equal(usage.bitsLeft, null);
+  assert.ok(usage.exhaustedAt);
+}));
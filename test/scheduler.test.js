@@ -0,0 +1,69 @@
+// Scheduler restore: jobs that came due while the bot was down.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { openStorage } from "../src/storage/index.js";
+import { createScheduler } from "../src/scheduler.js";
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+// A "process": a scheduler whose giveaway.end job ends the giveaway once, as
+// resolveGiveaway in app.js does, and counts the times it resolved it
+function boot(storage, resolved) {
+  const scheduler = createScheduler({ logger: quiet });
+  scheduler.define("giveaway.end", async (gid) => {
+    const ended = await storage.update("giveaways", gid, async (g) => {
+      if (g.ended) return false;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      g.ended = true;
+      return true;
+    });
+    if (ended) resolved.push(gid);
+  });
+  // rebuilt from storage the same way as on startup
+  const restore = async () => scheduler.restore((await storage.list("giveaways")).filter(g => !g.ended).map(g => ({ type: "giveaway.end", id: g.id, runAt: g.endsAt })));
+  return { scheduler, restore };
+}
+
+test("a job that fell due while down runs exactly once after restore", async (t) => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "scheduler-test-"));
+  const storage = await openStorage({ driver: "json", dataDir, logger: quiet });
+  t.after(() => fs.remove(dataDir));
+  const now = Date.now();
+  await storage.insert("giveaways", { id: "G-due", endsAt: now - 60_000, ended: false });
+  await storage.insert("giveaways", { id: "G-later", endsAt: now + 60_000, ended: false });
+
+  const resolved = [];
+  const first = boot(storage, resolved);
+  // a force-end arriving while the catch-up is still running
+  const [counts] = await Promise.all([first.restore(), first.scheduler.run("giveaway.end", "G-due")]);
+  assert.deepEqual(counts, { scheduled: 1, caughtUp: 1 });
+  assert.deepEqual(resolved, ["G-due"]);
+  assert.deepEqual(first.scheduler.pending(), ["giveaway.end:G-later"]);
+  first.scheduler.cancel("giveaway.end", "G-later");
+
+  // the next restart finds nothing left to catch up on
+  const second = boot(storage, resolved);
+  assert.deepEqual(await second.restore(), { scheduled: 1, caughtUp: 0 });
+  second.scheduler.cancel("giveaway.end", "G-later");
+  assert.deepEqual(resolved, ["G-due"]);
+});
+
+test("restore runs overdue jobs oldest first, one at a time", async () => {
+  const scheduler = createScheduler({ logger: quiet });
+  const events = [];
+  scheduler.define("job", async (id) => {
+    events.push(`start ${id}`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    events.push(`end ${id}`);
+    if (id === "b") throw new Error("boom");
+  });
+  const now = Date.now();
+  const counts = await scheduler.restore([{ type: "job", id: "c", runAt: now - 1 }, { type: "job", id: "a", runAt: now - 300 }, { type: "job", id: "b", runAt: now - 200 }]);
+  assert.deepEqual(counts, { scheduled: 0, caughtUp: 3 });
+  // a failing job doesn't stop the ones after it
+  assert.deepEqual(events, ["start a", "end a", "start b", "end b", "start c", "end c"]);
+});
@@ -0,0 +1,29 @@
+// The economy simulation: its work cap and reproducible results.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeSimulation, simulateEconomy, workPerEntry, MAX_SIM_WORK } from "../src/simulate.js";
+
+const cfg = {
+  pot: 1000,
+  conversionRateUSDPerC: 0.6,
+  houseEdge: 0.02,
+  riskProfiles: { low: { potSharePercent: 30 }, high: { potSharePercent: 70 } }
+};
+
+test("the work cap counts closest mode by its winners", () => {
+  const input = { giveaways: 5000, runs: 6, entrantsMin: 5, entrantsMax: 30, winners: 5 };
+  assert.ok(normalizeSimulation({ ...input, mode: "overunder" }, cfg).options);
+  const { error } = normalizeSimulation({ ...input, mode: "closest" }, cfg);
+  assert.match(error, /^Too much work: .* under 60606 in closest mode with 5 winners\.$/);
+  assert.equal(Math.floor(MAX_SIM_WORK / workPerEntry("closest", 5)), 60606);
+  assert.ok(normalizeSimulation({ ...input, giveaways: 300, mode: "closest" }, cfg).options);
+});
+
+test("the same seed gives the same report", async () => {
+  const { options } = normalizeSimulation({ giveaways: 50, runs: 3, seed: "fixed", mode: "closest", winners: 2 }, cfg);
+  const a = await simulateEconomy(options, cfg);
+  const b = await simulateEconomy(options, cfg);
+  assert.deepEqual(a, b);
+  assert.equal(a.seed, "fixed");
+});
@@ -0,0 +1,42 @@
+// Stream reads on both drivers: the selections pushed down to the driver and
+// the filtered, limited reads done in batches.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { openStorage } from "../src/storage/index.js";
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+for (const driver of ["sqlite", "json"]) {
+  test(`${driver}: stream reads`, async (t) => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "storage-test-"));
+    const storage = await openStorage({ driver, dataDir, logger: quiet });
+    t.after(async () => {
+      await storage.close();
+      await fs.remove(dataDir);
+    });
+    // 1200 transactions over four giveaways; every third pays user:a
+    for (let i = 1; i <= 1200; i++) {
+      const account = i % 3 === 0 ? "user:a" : "user:b";
+      await storage.append("ledger", { giveawayId: `G-${i % 4}`, postings: [{ account: "house", amount: -1 }, { account, amount: 1 }] });
+    }
+    const seqs = (records) => records.map(r => r.seq);
+
+    assert.deepEqual(seqs(await storage.read("ledger", { afterSeq: 1195 })), [1196, 1197, 1198, 1199, 1200]);
+    assert.deepEqual(seqs(await storage.read("ledger", { limit: 2 })), [1, 2]);
+    assert.deepEqual(seqs(await storage.read("ledger", { newest: true, limit: 2 })), [1200, 1199]);
+    assert.deepEqual(seqs(await storage.read("ledger", { account: "user:a", newest: true, limit: 3 })), [1200, 1197, 1194]);
+    assert.deepEqual(seqs(await storage.read("ledger", { account: "user:a", where: { giveawayId: ["G-1", "G-2"] }, newest: true, limit: 2 })), [1197, 1194]);
+    assert.deepEqual(await storage.read("ledger", { where: { giveawayId: [] } }), []);
+    assert.equal((await storage.read("ledger", { where: { giveawayId: "G-0" } })).length, 300);
+
+    // filtered reads keep going past the first batch
+    const filter = (tx) => tx.seq % 700 === 0;
+    assert.deepEqual(seqs(await storage.read("ledger", { filter, limit: 5 })), [700]);
+    assert.deepEqual(seqs(await storage.read("ledger", { filter, newest: true, limit: 1 })), [700]);
+    assert.deepEqual(seqs(await storage.read("ledger", { afterSeq: 650, filter, limit: 1 })), [700]);
+  });
+}
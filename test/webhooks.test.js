@@ -0,0 +1,112 @@
+// Webhook signatures, the private network check and delivery to the local
+// receiver (scripts/webhook-receiver.js).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { createWebhookReceiver } from "../scripts/webhook-receiver.js";
+import { openStorage } from "../src/storage/index.js";
+import { createWebhooks, isPrivateAddress, normalizeWebhook, signPayload, verifySignature, RETRY_DELAYS_MS } from "../src/webhooks.js";
+
+const quiet = { log() {}, warn() {}, error() {} };
+const secret = "whsec_test";
+
+test("a signature round-trips, and only for its own secret and body", () => {
+  const now = Date.now();
+  const timestamp = Math.floor(now / 1000);
+  const body = JSON.stringify({ event: "giveaway.created" });
+  const signature = signPayload(secret, timestamp, body);
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.equal(verifySignature(secret, { timestamp, body, signature, now }), true);
+  assert.equal(verifySignature("whsec_other", { timestamp, body, signature, now }), false);
+  assert.equal(verifySignature(secret, { timestamp, body: body + " ", signature, now }), false);
+  assert.equal(verifySignature(secret, { timestamp, body, signature: undefined, now }), false);
+});
+
+test("a stale or future timestamp is rejected", () => {
+  const now = Date.now();
+  const body = "{}";
+  const at = (offsetS) => {
+    const timestamp = Math.floor(now / 1000) + offsetS;
+    return verifySignature(secret, { timestamp, body, signature: signPayload(secret, timestamp, body), now });
+  };
+  assert.equal(at(-299), true);
+  assert.equal(at(-301), false);
+  assert.equal(at(301), false);
+  assert.equal(verifySignature(secret, { timestamp: "soon", body, signature: signPayload(secret, "soon", body), now }), false);
+});
+
+test("private addresses, IPv4-mapped IPv6 included", () => {
+  for (const a of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "::1", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "::ffff:10.0.0.1", "::ffff:169.254.169.254", "::ffff:7f00:1", "not an address"]) {
+    assert.equal(isPrivateAddress(a), true, a);
+  }
+  for (const a of ["8.8.8.8", "1.1.1.1", "2606:4700:4700::1111", "::ffff:8.8.8.8"]) {
+    assert.equal(isPrivateAddress(a), false, a);
+  }
+});
+
+test("webhook URLs on private networks are refused unless allowed", () => {
+  for (const url of ["http://127.0.0.1:4000/", "http://[::ffff:127.0.0.1]/", "http://localhost/", "http://api.localhost/", "http://10.0.0.5/hook"]) {
+    assert.equal(normalizeWebhook({ url }).error, "url must point to a public address.", url);
+    assert.equal(normalizeWebhook({ url }, { allowPrivate: true }).webhook.url, new URL(url).href);
+  }
+  assert.equal(normalizeWebhook({ url: "https://example.com/hook" }).webhook.url, "https://example.com/hook");
+  assert.match(normalizeWebhook({ url: "ftp://example.com/" }).error, /http\(s\)/);
+});
+
+async function setup(t, { allowPrivate, receiver: receiverOptions }) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "webhooks-test-"));
+  const storage = await openStorage({ driver: "json", dataDir, logger: quiet });
+  const receiver = createWebhookReceiver({ secret, ...receiverOptions });
+  await new Promise(resolve => receiver.server.listen(0, "127.0.0.1", resolve));
+  t.after(async () => {
+    await new Promise(resolve => receiver.server.close(resolve));
+    await fs.remove(dataDir);
+  });
+  const scheduled = [];
+  const webhooks = createWebhooks({ storage, schedule: (id, at) => scheduled.push({ id, at }), allowPrivate, logger: quiet });
+  const h = await webhooks.create({ url: `http://127.0.0.1:${receiver.server.address().port}/`, events: ["*"], createdBy: "test" });
+  // the receiver knows the endpoint's secret
+  await storage.update("webhooks", h.id, (x) => { x.secret = secret; });
+  return { webhooks, receiver, scheduled, h };
+}
+
+test("a delivery reaches a local receiver with allowPrivate", async (t) => {
+  const { webhooks, receiver, scheduled } = await setup(t, { allowPrivate: true });
+  const [queued] = await webhooks.emit("giveaway.created", { giveawayId: "G-1" }, { guildId: "guild-1" });
+  assert.deepEqual(scheduled.map(s => s.id), [queued.id]);
+
+  const d = await webhooks.deliver(queued.id);
+  assert.equal(d.status, "delivered");
+  assert.equal(d.lastStatus, 200);
+  assert.equal(receiver.received.length, 1);
+  const [req] = receiver.received;
+  assert.equal(req.valid, true);
+  assert.equal(req.headers["x-webhook-id"], queued.id);
+  assert.equal(req.headers["x-webhook-event"], "giveaway.created");
+  assert.deepEqual(req.payload, { id: queued.id, event: "giveaway.created", createdAt: req.payload.createdAt, guildId: "guild-1", data: { giveawayId: "G-1" } });
+});
+
+test("a failed delivery is retried later", async (t) => {
+  const { webhooks, receiver, scheduled } = await setup(t, { allowPrivate: true, receiver: { failFirst: 1 } });
+  const [queued] = await webhooks.emit("entry.added", { giveawayId: "G-1" });
+  const before = Date.now();
+  const d = await webhooks.deliver(queued.id);
+  assert.equal(d.status, "pending");
+  assert.equal(d.lastError, "HTTP 500");
+  assert.ok(d.nextAttemptAt >= before + RETRY_DELAYS_MS[0]);
+  assert.equal(scheduled.at(-1).id, queued.id);
+  assert.equal((await webhooks.deliver(queued.id)).status, "delivered");
+  assert.equal(receiver.received.length, 2);
+});
+
+test("without allowPrivate, nothing is sent to a local receiver", async (t) => {
+  const { webhooks, receiver, h } = await setup(t, { allowPrivate: false });
+  const d = await webhooks.test(h.id);
+  assert.equal(d.event, "webhook.ping");
+  assert.equal(d.status, "pending");
+  assert.equal(d.lastError, "127.0.0.1 is not a public address");
+  assert.equal(receiver.received.length, 0);
+});